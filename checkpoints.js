@@ -0,0 +1,83 @@
+/**
+ * The session's edit journal. A checkpoint is { id, tool, created_at, changes }, where each change
+ * is { safePath, before, after } for a content edit (null = file absent) or { type: 'rename', from, to }
+ * for a move. Contents are strings, or Buffers for files that are not UTF-8 text (see decodeContent).
+ * File access goes through `io` ({ readFile, exists }), so undo can be checked without a disk.
+ */
+
+import path from 'path';
+
+// How many edit checkpoints the session journal keeps before dropping the oldest.
+export const CHECKPOINT_LIMIT = 100;
+
+export function recordCheckpoint(checkpoints, checkpoint, limit = CHECKPOINT_LIMIT) {
+    checkpoints.push(checkpoint);
+    if (checkpoints.length > limit) checkpoints.shift();
+}
+
+/**
+ * A file's bytes as a string when they are valid UTF-8, so the text can be diffed, and as the
+ * Buffer itself otherwise, so writing it back restores the file exactly.
+ */
+export function decodeContent(buffer) {
+    if (buffer === null) return null;
+    const text = buffer.toString('utf8');
+    return Buffer.from(text).equals(buffer) ? text : buffer;
+}
+
+export function sameContent(a, b) {
+    if (a === null || b === null) return a === b;
+    if (typeof a === 'string' && typeof b === 'string') return a === b;
+    return Buffer.from(a).equals(Buffer.from(b));
+}
+
+const isWithin = (filePath, dir) => filePath === dir || filePath.startsWith(`${dir}${path.sep}`);
+
+/**
+ * The first change that undoing `checkpoints` (newest first) would clobber, because the files
+ * were changed after it (by hand, by a shell command, ...), as { checkpoint, change }; null when
+ * they can all be undone safely. Each checkpoint is checked against the files as undoing the
+ * newer ones would leave them, so nothing needs to be touched before the answer is known.
+ */
+export async function findConflict(checkpoints, { readFile, exists }) {
+    const contents = new Map(); // Path -> content once the checked changes are undone
+    const moves = []; // Moves undone so far, in order
+
+    // Where a path is on disk before anything is undone, or null if undoing a move vacated it.
+    const onDisk = (filePath) => {
+        let current = filePath;
+        for (const { from, to } of [...moves].reverse()) {
+            if (isWithin(current, from)) current = to + current.slice(from.length);
+            else if (isWithin(current, to)) return null;
+        }
+        return current;
+    };
+    const contentOf = async (filePath) => {
+        if (contents.has(filePath)) return contents.get(filePath);
+        const diskPath = onDisk(filePath);
+        return diskPath === null ? null : readFile(diskPath);
+    };
+    const existsAt = async (filePath) => {
+        if (contents.has(filePath)) return contents.get(filePath) !== null;
+        const diskPath = onDisk(filePath);
+        return diskPath !== null && exists(diskPath);
+    };
+
+    for (const checkpoint of checkpoints) {
+        for (const change of [...checkpoint.changes].reverse()) {
+            if (change.type === 'rename') {
+                if (!(await existsAt(change.to)) || await existsAt(change.from)) return { checkpoint, change };
+                for (const [filePath, content] of [...contents]) {
+                    if (!isWithin(filePath, change.to)) continue;
+                    contents.delete(filePath);
+                    contents.set(change.from + filePath.slice(change.to.length), content);
+                }
+                moves.push(change);
+            } else {
+                if (!sameContent(await contentOf(change.safePath), change.after)) return { checkpoint, change };
+                contents.set(change.safePath, change.before);
+            }
+        }
+    }
+    return null;
+}
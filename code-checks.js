@@ -0,0 +1,99 @@
+/**
+ * The static checks check_code can run (ESLint, Prettier and tsc) and parsers that turn their
+ * output into diagnostics of one shape: { tool, file, line, column, rule, severity, message },
+ * with file relative to the project root, severity 'error' or 'warning', and null where a tool
+ * does not report a value.
+ */
+
+import path from 'path';
+
+export const CODE_CHECKERS = ['eslint', 'prettier', 'tsc'];
+
+const ESLINT_CONFIG = /^(eslint\.config\.[cm]?[jt]s|\.eslintrc(\.(js|cjs|json|ya?ml))?)$/;
+const PRETTIER_CONFIG = /^(\.prettierrc(\.\w+)?|prettier\.config\.[cm]?[jt]s)$/;
+
+function relativize(filePath, root) {
+    const relative = path.isAbsolute(filePath) ? path.relative(root, filePath) : filePath;
+    return relative.split(path.sep).join('/');
+}
+
+/**
+ * The checkers a project has set up: installed in node_modules/.bin (`bins`, a Set of names)
+ * and configured, judging by the files at its root (`rootFiles`, a Set) and its package.json.
+ * Returns { tool: reason } for the ones that are missing something, alongside the usable list.
+ */
+export function configuredCheckers({ packageJson = null, rootFiles = new Set(), bins = new Set() }) {
+    const dependencies = { ...packageJson?.dependencies, ...packageJson?.devDependencies };
+    const configured = {
+        eslint: [...rootFiles].some(name => ESLINT_CONFIG.test(name)) || !!packageJson?.eslintConfig,
+        prettier: [...rootFiles].some(name => PRETTIER_CONFIG.test(name)) || !!packageJson?.prettier || !!dependencies.prettier,
+        tsc: rootFiles.has('tsconfig.json')
+    };
+    const configFiles = { eslint: 'an ESLint config file', prettier: 'a Prettier config or dependency', tsc: 'tsconfig.json' };
+    const available = [];
+    const missing = {};
+    for (const tool of CODE_CHECKERS) {
+        if (!bins.has(tool)) missing[tool] = `node_modules/.bin/${tool} is not installed`;
+        else if (!configured[tool]) missing[tool] = `the project has no ${configFiles[tool]}`;
+        else available.push(tool);
+    }
+    return { available, missing };
+}
+
+/**
+ * Diagnostics from `eslint --format json`. Parse errors come through with a null rule.
+ */
+export function parseEslintJson(results, root) {
+    return results.flatMap(result => result.messages.map(message => ({
+        tool: 'eslint',
+        file: relativize(result.filePath, root),
+        line: message.line ?? null,
+        column: message.column ?? null,
+        rule: message.ruleId ?? null,
+        severity: message.severity === 2 ? 'error' : 'warning',
+        message: message.message
+    })));
+}
+
+/**
+ * Files eslint --fix would change, from a `--format json` run.
+ */
+export function eslintFixableFiles(results, root) {
+    return results.filter(result => result.fixableErrorCount + result.fixableWarningCount > 0).map(result => relativize(result.filePath, root));
+}
+
+/**
+ * Diagnostics from `prettier --list-different`: one per unformatted file (stdout lists them),
+ * plus the syntax errors it printed to stderr, which have a position.
+ */
+export function parsePrettierOutput(stdout, stderr) {
+    const unformatted = stdout.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(file => ({
+        tool: 'prettier', file, line: null, column: null, rule: null, severity: 'error', message: 'File is not formatted with Prettier.'
+    }));
+    const syntaxErrors = [...stderr.matchAll(/^\[error\] (.+?): (\w*Error: .*?)(?: \((\d+):(\d+)\))?$/gm)].map(([, file, message, line, column]) => ({
+        tool: 'prettier', file, line: line ? Number(line) : null, column: column ? Number(column) : null, rule: null, severity: 'error', message
+    }));
+    return [...syntaxErrors, ...unformatted];
+}
+
+/**
+ * Diagnostics from `tsc --pretty false`. Indented lines continue the previous message;
+ * errors about the configuration itself have no file.
+ */
+export function parseTscOutput(output, root) {
+    const diagnostics = [];
+    for (const line of output.split(/\r?\n/)) {
+        const located = line.match(/^(.+?)\((\d+),(\d+)\): (error|warning|message) (TS\d+): (.*)$/);
+        const global = line.match(/^(error|warning|message) (TS\d+): (.*)$/);
+        if (located) {
+            const [, file, lineNumber, column, category, rule, message] = located;
+            diagnostics.push({ tool: 'tsc', file: relativize(file, root), line: Number(lineNumber), column: Number(column), rule, severity: category === 'error' ? 'error' : 'warning', message });
+        } else if (global) {
+            const [, category, rule, message] = global;
+            diagnostics.push({ tool: 'tsc', file: null, line: null, column: null, rule, severity: category === 'error' ? 'error' : 'warning', message });
+        } else if (/^\s+\S/.test(line) && diagnostics.length > 0) {
+            diagnostics[diagnostics.length - 1].message += `\n${line.trim()}`;
+        }
+    }
+    return diagnostics;
+}
@@ -0,0 +1,159 @@
+/**
+ * The shell command policy behind execute_shell_command, start_process and the tools that run
+ * programs for the agent: which commands are denied, which need confirmation, and what is
+ * removed from their environment.
+ */
+
+import os from 'os';
+import path from 'path';
+import { isPathInside } from './sandbox.js';
+
+// Built-in shell command policy. Entries in the user's policy are added to these lists.
+export const DEFAULT_COMMAND_POLICY = {
+    mode: 'denylist', // 'allowlist': only executables in `allow` may run
+    allow: [],
+    deny: ['sudo', 'su', 'doas', 'shutdown', 'reboot', 'halt', 'poweroff', 'mkfs', 'diskpart', 'format'],
+    denyPatterns: [
+        '(curl|wget)\\b[^|]*\\|\\s*(sudo\\s+)?(ba|z|da)?sh\\b', // Piping downloads into a shell
+        ':\\(\\)\\s*\\{' // Fork bomb
+    ],
+    confirm: [],
+    confirmPatterns: [
+        '\\brm\\s+(-\\S*[rRf]\\S*\\s+)',
+        '\\bnpm\\s+publish\\b',
+        '\\bgit\\s+(push\\b.*(--force|-f\\b)|reset\\s+--hard|clean\\b)'
+    ],
+    scrubEnv: ['GITHUB_TOKEN', 'GH_TOKEN', 'NPM_TOKEN', '*_SECRET', '*_SECRET_KEY', '*_API_KEY', 'AWS_SESSION_TOKEN'],
+    auditLog: null // Defaults to defaultAuditLog()
+};
+
+const WRAPPERS = new Set(['env', 'nohup', 'time', 'exec', 'command', 'nice']);
+
+/**
+ * Where the audit log goes unless the policy names a file: the user's state directory
+ * ($XDG_STATE_HOME or ~/.local/state; %LOCALAPPDATA% on Windows), never the server's own directory.
+ */
+export function defaultAuditLog({ env = process.env, platform = process.platform, homedir = os.homedir() } = {}) {
+    const stateDir = platform === 'win32'
+        ? env.LOCALAPPDATA || path.join(homedir, 'AppData', 'Local')
+        : env.XDG_STATE_HOME || path.join(homedir, '.local', 'state');
+    return path.join(stateDir, 'autonomous-developer-mcp', 'command-audit.log');
+}
+
+/**
+ * Merges a user's policy into the defaults and compiles its patterns. A relative auditLog is
+ * resolved against `baseDir`, the directory of the configuration; false turns auditing off.
+ */
+export function buildCommandPolicy(config = {}, { baseDir = process.cwd(), auditLog = defaultAuditLog() } = {}) {
+    const merge = (key) => [...DEFAULT_COMMAND_POLICY[key], ...(config[key] || [])];
+    const toRegExps = (patterns) => patterns.map(pattern => ({ pattern, regex: new RegExp(pattern, 'i') }));
+    return {
+        mode: config.mode || DEFAULT_COMMAND_POLICY.mode,
+        allow: new Set((config.allow || []).map(name => name.toLowerCase())),
+        deny: new Set(merge('deny').map(name => name.toLowerCase())),
+        denyPatterns: toRegExps(merge('denyPatterns')),
+        confirm: new Set(merge('confirm').map(name => name.toLowerCase())),
+        confirmPatterns: toRegExps(merge('confirmPatterns')),
+        allowPatterns: toRegExps(config.allowPatterns || []),
+        scrubEnv: merge('scrubEnv'),
+        auditLog: config.auditLog === false ? null : config.auditLog ? path.resolve(baseDir, config.auditLog) : auditLog
+    };
+}
+
+// The words of every simple command in a command line: one per pipeline stage, list element or
+// subshell, without leading variable assignments and wrappers such as env or nohup.
+function commandWords(command) {
+    return command
+        .split(/&&|\|\||[;|&\n()`]|\$\(/)
+        .map(segment => segment.trim().split(/\s+/).filter(Boolean))
+        .map((words) => {
+            while (words.length > 0 && (/^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0]) || WRAPPERS.has(words[0]))) words.shift();
+            return words.map(word => word.replace(/^['"]|['"]$/g, ''));
+        })
+        .filter(words => words.length > 0);
+}
+
+const executableName = (word) => path.basename(word.replace(/\\/g, '/')).toLowerCase().replace(/\.(exe|cmd|bat)$/, '');
+
+/**
+ * Every executable the command line would run, by base name.
+ */
+export function commandExecutables(command) {
+    return commandWords(command).map(words => executableName(words[0]));
+}
+
+// Expands the home directory the ways a shell would (~, $HOME, ${HOME}) and resolves `word`
+// against `cwd`. Returns null for a home directory the policy cannot know (~user).
+function resolveShellPath(word, cwd, home) {
+    const expanded = word.replace(/^(~|\$HOME\b|\$\{HOME\})(?=\/|\\|$)/, home);
+    if (expanded.startsWith('~')) return null;
+    return path.resolve(cwd, expanded);
+}
+
+// Paths the command would change into or remove outside the project, however they are spelled
+// (cd ./../.., rm -rf "$HOME"). Follows cd from one command of the line to the next.
+function pathEscape(command, root, home) {
+    let cwd = root;
+    for (const words of commandWords(command)) {
+        const name = executableName(words[0]);
+        const operands = words.slice(1).filter((word, i, all) => !word.startsWith('-') || all.slice(0, i).includes('--')).filter(word => word !== '--');
+        if (name === 'cd' || name === 'pushd') {
+            const target = operands[0] ?? '~';
+            const resolved = resolveShellPath(target, cwd, home);
+            if (resolved === null || !isPathInside(root, resolved)) return { rule: `${name} ${target}`, reason: `'${name} ${target}' leaves the project directory.` };
+            cwd = resolved;
+        } else if (name === 'rm' || name === 'rmdir') {
+            for (const target of operands) {
+                const resolved = resolveShellPath(target, cwd, home);
+                if (resolved === null || !isPathInside(root, resolved) || resolved === root) {
+                    return { rule: `${name} ${target}`, reason: `'${name}' on ${target} would remove files outside the project, or the project itself.` };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * The policy's verdict on a command line run in `root`: { decision: 'allow' | 'confirm' | 'deny', rule, reason }.
+ */
+export function evaluateCommand(policy, command, { root, confirmed = false, home = os.homedir() }) {
+    const executables = commandExecutables(command);
+
+    const denyPattern = policy.denyPatterns.find(({ regex }) => regex.test(command));
+    if (denyPattern) {
+        return { decision: 'deny', rule: `denyPatterns: ${denyPattern.pattern}`, reason: 'The command matches a forbidden pattern.' };
+    }
+    const denied = executables.find(name => policy.deny.has(name));
+    if (denied) {
+        return { decision: 'deny', rule: `deny: ${denied}`, reason: `Running '${denied}' is not allowed.` };
+    }
+    const escape = pathEscape(command, root, home);
+    if (escape) {
+        return { decision: 'deny', rule: `outsideProject: ${escape.rule}`, reason: escape.reason };
+    }
+    if (policy.mode === 'allowlist' && !policy.allowPatterns.some(({ regex }) => regex.test(command))) {
+        const notAllowed = executables.find(name => !policy.allow.has(name));
+        if (notAllowed) {
+            return {
+                decision: 'deny',
+                rule: `allowlist: ${notAllowed}`,
+                reason: `'${notAllowed}' is not in the allowlist. Allowed executables: ${[...policy.allow].join(', ') || '(none)'}.`
+            };
+        }
+    }
+    const confirmPattern = policy.confirmPatterns.find(({ regex }) => regex.test(command));
+    const needsConfirm = confirmPattern ? `confirmPatterns: ${confirmPattern.pattern}` : executables.filter(name => policy.confirm.has(name)).map(name => `confirm: ${name}`)[0];
+    if (needsConfirm && !confirmed) {
+        return { decision: 'confirm', rule: needsConfirm, reason: 'This command is potentially destructive and needs explicit confirmation.' };
+    }
+    return { decision: 'allow', rule: needsConfirm ? `${needsConfirm} (confirmed)` : null, reason: null };
+}
+
+/**
+ * `env` without the variables the policy's scrubEnv names (case-insensitive, * as a wildcard).
+ */
+export function scrubbedEnv(policy, env = process.env) {
+    const patterns = policy.scrubEnv.map(name => new RegExp(`^${name.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i'));
+    return Object.fromEntries(Object.entries(env).filter(([name]) => !patterns.some(regex => regex.test(name))));
+}
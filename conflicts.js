@@ -0,0 +1,110 @@
+/**
+ * Merge-conflict markers: parsing the regions git leaves in a file and writing resolutions back.
+ *
+ * Handles the default "merge" style and the "diff3"/"zdiff3" styles that add a base section.
+ */
+
+const MARKERS = { ours: '<<<<<<<', base: '|||||||', separator: '=======', theirs: '>>>>>>>' };
+
+function markerOf(line) {
+    // A marker is exactly seven characters, then end of line or a space and a label.
+    const text = line.replace(/\r?\n$/, '');
+    for (const [kind, marker] of Object.entries(MARKERS)) {
+        if (text === marker || text.startsWith(`${marker} `)) {
+            return { kind, label: text.slice(marker.length + 1) || null };
+        }
+    }
+    return null;
+}
+
+function splitLines(content) {
+    // Keeps each line's own terminator, so CRLF files round-trip unchanged.
+    return content.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Finds every conflict region. Each is { index, start_line, end_line, ours, base, theirs }, where
+ * the sides are { label, text } (base is null without diff3 markers) and lines are 1-based.
+ */
+export function parseConflicts(content) {
+    const regions = [];
+    let region = null;
+    let side = null;
+    splitLines(content).forEach((line, i) => {
+        const marker = markerOf(line);
+        if (!region) {
+            if (marker?.kind === 'ours') {
+                region = { index: regions.length + 1, start_line: i + 1, end_line: null, ours: { label: marker.label, text: '' }, base: null, theirs: { label: null, text: '' } };
+                side = 'ours';
+            }
+            return;
+        }
+        if (marker?.kind === 'base' && side === 'ours') {
+            region.base = { label: marker.label, text: '' };
+            side = 'base';
+        } else if (marker?.kind === 'separator' && side !== 'theirs') {
+            side = 'theirs';
+        } else if (marker?.kind === 'theirs' && side === 'theirs') {
+            region.theirs.label = marker.label;
+            region.end_line = i + 1;
+            regions.push(region);
+            region = null;
+        } else if (marker?.kind === 'ours') {
+            throw new Error(`Conflict starting at line ${region.start_line} is not closed before another starts at line ${i + 1}.`);
+        } else {
+            region[side].text += line;
+        }
+    });
+    if (region) {
+        throw new Error(`Conflict starting at line ${region.start_line} has no closing ${MARKERS.theirs} marker.`);
+    }
+    return regions;
+}
+
+/**
+ * Replaces the chosen regions. Each resolution is { region, choose } with choose one of
+ * 'ours', 'theirs', 'base' or 'both' (ours then theirs), or { region, content } with merged
+ * text. Unmentioned regions stay as they are. Returns { content, resolved, remaining }.
+ */
+export function resolveConflicts(content, resolutions) {
+    const regions = parseConflicts(content);
+    const byIndex = new Map();
+    for (const resolution of resolutions) {
+        const region = regions[resolution.region - 1];
+        if (!region) {
+            throw new Error(`There is no conflict region ${resolution.region}; the file has ${regions.length}.`);
+        }
+        if (byIndex.has(resolution.region)) {
+            throw new Error(`Conflict region ${resolution.region} is resolved more than once.`);
+        }
+        if ((resolution.choose === undefined) === (resolution.content === undefined)) {
+            throw new Error(`Conflict region ${resolution.region}: give exactly one of "choose" or "content".`);
+        }
+        let text;
+        if (resolution.content !== undefined) {
+            const eol = content.includes('\r\n') ? '\r\n' : '\n';
+            text = resolution.content && !resolution.content.endsWith('\n') ? resolution.content + eol : resolution.content;
+        } else if (resolution.choose === 'both') {
+            text = region.ours.text + region.theirs.text;
+        } else if (['ours', 'theirs', 'base'].includes(resolution.choose)) {
+            if (!region[resolution.choose]) {
+                throw new Error(`Conflict region ${resolution.region} has no base section (it needs merge.conflictStyle diff3).`);
+            }
+            text = region[resolution.choose].text;
+        } else {
+            throw new Error(`Conflict region ${resolution.region}: "choose" must be ours, theirs, base or both.`);
+        }
+        byIndex.set(resolution.region, text);
+    }
+
+    const lines = splitLines(content);
+    let output = '';
+    let line = 1;
+    for (const region of regions) {
+        if (!byIndex.has(region.index)) continue;
+        output += lines.slice(line - 1, region.start_line - 1).join('') + byIndex.get(region.index);
+        line = region.end_line + 1;
+    }
+    output += lines.slice(line - 1).join('');
+    return { content: output, resolved: byIndex.size, remaining: regions.length - byIndex.size };
+}
@@ -0,0 +1,262 @@
+/**
+ * In-memory text edits behind smart_replace, delete_lines and apply_edits (whose operations
+ * include inserting lines).
+ *
+ * A match is { start, end, replacement, start_line, end_line }: character offsets into the content,
+ * the text to put there and the 1-based lines it covers. Fuzzy matches add confidence and applied_as.
+ */
+
+import { diff_match_patch } from 'diff-match-patch';
+
+const dmp = new diff_match_patch();
+
+function lineNumberAt(content, index) {
+    let line = 1;
+    for (let i = content.indexOf('\n'); i !== -1 && i < index; i = content.indexOf('\n', i + 1)) line++;
+    return line;
+}
+
+function lineWindowMatch(lines, startLine, height, replacement) {
+    // Builds a candidate covering whole lines [startLine, startLine + height) (0-based).
+    const start = lines.slice(0, startLine).reduce((offset, line) => offset + line.length + 1, 0);
+    const end = start + lines.slice(startLine, startLine + height).join('\n').length;
+    return { start, end, replacement, start_line: startLine + 1, end_line: startLine + height };
+}
+
+export function exactMatch(content, oldCode, newCode) {
+    const matches = [];
+    if (!oldCode) return matches;
+    for (let index = content.indexOf(oldCode); index !== -1; index = content.indexOf(oldCode, index + oldCode.length)) {
+        const startLine = lineNumberAt(content, index);
+        matches.push({
+            start: index,
+            end: index + oldCode.length,
+            replacement: newCode,
+            start_line: startLine,
+            end_line: startLine + oldCode.split('\n').length - 1
+        });
+    }
+    return matches;
+}
+
+export function smartMatch(content, oldCode, newCode) {
+    // Strategy 1: Direct replacement (handles multi-line exact matches)
+    const exactMatches = exactMatch(content, oldCode, newCode);
+    if (exactMatches.length > 0) {
+        return exactMatches;
+    }
+
+    // Strategy 2: Trimmed multi-line match (ignores leading/trailing whitespace on the whole block)
+    const lines = content.split('\n');
+    const oldLines = oldCode.trim().split('\n').map(l => l.trim());
+    const newLines = newCode.split('\n');
+    const matches = [];
+
+    for (let i = 0; i <= lines.length - oldLines.length; i++) {
+        let match = true;
+        for (let j = 0; j < oldLines.length; j++) {
+            if (lines[i + j].trim() !== oldLines[j]) {
+                match = false;
+                break;
+            }
+        }
+
+        if (match) {
+            // Found a match, preserve indentation from the first matched line
+            const indent = lines[i].match(/^(\s*)/)[1];
+            const indentedNewLines = newLines.map(line => indent + line);
+            matches.push(lineWindowMatch(lines, i, oldLines.length, indentedNewLines.join('\n')));
+            i += oldLines.length - 1; // Matches never overlap
+        }
+    }
+
+    return matches;
+}
+
+export function fuzzyMatch(content, oldCode, newCode, threshold = 0.8) {
+    // Scores every window of lines the same height as old_code by edit distance, ignoring
+    // indentation and runs of whitespace. Returns the windows that reach the threshold.
+    const normalize = (text) => text.split('\n').map(l => l.trim().replace(/\s+/g, ' ')).join('\n');
+    const similarity = (a, b) => {
+        if (a === b) return 1;
+        const diffs = dmp.diff_main(a, b, false);
+        return 1 - dmp.diff_levenshtein(diffs) / Math.max(a.length, b.length);
+    };
+
+    const lines = content.split('\n');
+    const trimmedOld = oldCode.replace(/^\n+|\s+$/g, '');
+    const height = trimmedOld.split('\n').length;
+    const target = normalize(trimmedOld);
+
+    const scored = [];
+    for (let i = 0; i <= lines.length - height; i++) {
+        const window = normalize(lines.slice(i, i + height).join('\n'));
+        // Cheap length filter: a window this much longer or shorter can never reach the threshold.
+        if (Math.min(window.length, target.length) / Math.max(window.length, target.length, 1) < threshold) continue;
+        const score = similarity(window, target);
+        if (score >= threshold) scored.push({ start: i, score });
+    }
+
+    // Overlapping windows describe the same spot, so keep only the best of each cluster.
+    const best = [];
+    for (const candidate of scored.sort((a, b) => b.score - a.score)) {
+        if (best.every(c => Math.abs(c.start - candidate.start) >= height)) best.push(candidate);
+    }
+
+    // A window that differs from old_code only in whitespace takes the old_code -> new_code delta
+    // as a patch, which keeps the file's own spacing. Any other window is replaced by new_code,
+    // re-indented to the window: patching it would apply fixes the file already has a second time.
+    const trimmedNew = newCode.replace(/^\n+|\s+$/g, '');
+    const patches = dmp.patch_make(trimmedOld, trimmedNew);
+    const newLines = trimmedNew.split('\n');
+    const commonIndent = Math.min(...newLines.filter(l => l.trim()).map(l => l.match(/^(\s*)/)[1].length));
+    return best.sort((a, b) => a.start - b.start).map(({ start, score }) => {
+        const matchedText = lines.slice(start, start + height).join('\n');
+        let replacement = null;
+        if (normalize(matchedText) === target) {
+            const [patched, applied] = dmp.patch_apply(patches, matchedText);
+            if (applied.every(Boolean)) replacement = patched;
+        }
+        const usePatch = replacement !== null;
+        if (!usePatch) {
+            const indent = lines[start].match(/^(\s*)/)[1];
+            replacement = newLines.map(line => (line.trim() ? indent + line.slice(commonIndent) : '')).join('\n');
+        }
+        return {
+            ...lineWindowMatch(lines, start, height, replacement),
+            confidence: Math.round(score * 1000) / 1000,
+            applied_as: usePatch ? 'patch' : 'replace'
+        };
+    });
+}
+
+/**
+ * Picks the candidates (ordered by position) to replace, or throws a descriptive error, with the
+ * candidate list in error.details, when the choice would be a guess.
+ */
+export function selectMatches(candidates, { occurrence, near_line, match_mode }) {
+    const describe = (c) => ({ start_line: c.start_line, end_line: c.end_line, ...(c.confidence !== undefined && { confidence: c.confidence }) });
+    const ambiguous = (message, list) => {
+        const error = new Error(`${message} Candidates: ${list.map(c => `lines ${c.start_line}-${c.end_line}`).join(', ')}. Pass occurrence (1-${candidates.length} or "all") or near_line to choose.`);
+        error.details = { candidates: candidates.map(describe) };
+        return error;
+    };
+
+    if (occurrence === 'all') return candidates;
+
+    if (occurrence !== undefined && occurrence !== null) {
+        const index = Number(occurrence);
+        if (!Number.isInteger(index) || index < 1 || index > candidates.length) {
+            throw ambiguous(`Invalid occurrence '${occurrence}': old_code matches ${candidates.length} location(s).`, candidates);
+        }
+        return [candidates[index - 1]];
+    }
+
+    if (near_line !== undefined && near_line !== null) {
+        const distance = (c) => (near_line < c.start_line ? c.start_line - near_line : Math.max(0, near_line - c.end_line));
+        const closest = Math.min(...candidates.map(distance));
+        const nearest = candidates.filter(c => distance(c) === closest);
+        if (nearest.length > 1) {
+            throw ambiguous(`old_code matches ${nearest.length} locations equally close to line ${near_line}.`, nearest);
+        }
+        return nearest;
+    }
+
+    if (candidates.length === 1) return candidates;
+
+    if (match_mode === 'fuzzy') {
+        // A single clearly better match wins; near-ties are refused rather than guessed.
+        const AMBIGUITY_MARGIN = 0.03;
+        const best = candidates.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+        const rivals = candidates.filter(c => best.confidence - c.confidence < AMBIGUITY_MARGIN);
+        if (rivals.length === 1) return [best];
+        throw ambiguous(`Fuzzy match is ambiguous: ${rivals.length} locations match old_code about equally well.`, rivals);
+    }
+
+    throw ambiguous(`old_code is ambiguous: it matches ${candidates.length} locations.`, candidates);
+}
+
+/**
+ * Replaces old_code with new_code the way smart_replace does. Returns { newContent, candidates, selected }.
+ */
+export function replaceInContent(content, { old_code, new_code, match_mode = 'smart', fuzzy_threshold = 0.8, occurrence, near_line }) {
+    if (typeof old_code !== 'string' || !old_code.trim()) {
+        // Whitespace-only old_code would match every blank line once trimmed.
+        throw new Error('old_code must contain some non-whitespace text.');
+    }
+
+    let candidates;
+    if (match_mode === 'exact') {
+        candidates = exactMatch(content, old_code, new_code);
+    } else if (match_mode === 'fuzzy') {
+        candidates = fuzzyMatch(content, old_code, new_code, fuzzy_threshold);
+    } else {
+        candidates = smartMatch(content, old_code, new_code);
+    }
+
+    if (candidates.length === 0) {
+        throw new Error(`Could not find the specified code to replace. The old_code was not found in the file.`);
+    }
+
+    const selected = selectMatches(candidates, { occurrence, near_line, match_mode });
+
+    // Splice from the end of the file backwards so earlier offsets stay valid.
+    let newContent = content;
+    for (const match of [...selected].sort((a, b) => b.start - a.start)) {
+        newContent = newContent.slice(0, match.start) + match.replacement + newContent.slice(match.end);
+    }
+
+    return { newContent, candidates, selected };
+}
+
+export function deleteLinesInContent(content, start_line, end_line) {
+    const lines = content.split('\n');
+    if (!Number.isInteger(start_line) || !Number.isInteger(end_line)) {
+        throw new Error(`start_line and end_line must both be integers (got ${start_line} and ${end_line}).`);
+    }
+    if (start_line < 1 || end_line > lines.length || start_line > end_line) {
+        throw new Error(`Invalid line range: ${start_line}-${end_line} (file has ${lines.length} lines)`);
+    }
+    lines.splice(start_line - 1, end_line - start_line + 1);
+    return lines.join('\n');
+}
+
+export function insertLinesInContent(content, after_line, text) {
+    const lines = content.split('\n');
+    if (!Number.isInteger(after_line) || after_line < 0 || after_line > lines.length) {
+        throw new Error(`Invalid insert position: after_line ${after_line} (file has ${lines.length} lines)`);
+    }
+    lines.splice(after_line, 0, ...text.split('\n'));
+    return lines.join('\n');
+}
+
+/**
+ * Applies one apply_edits operation to a file's content (null when the file does not exist).
+ * Returns { content, result }, where result holds the operation-specific fields of its report.
+ */
+export function applyOperation(content, operation) {
+    const { type, file_path } = operation;
+    if (type !== 'create' && content === null) {
+        throw new Error(`File not found: ${file_path}`);
+    }
+    if (type !== 'create' && typeof content !== 'string') {
+        throw new Error(`${file_path} is not a UTF-8 text file.`);
+    }
+    switch (type) {
+        case 'replace': {
+            const { newContent, selected } = replaceInContent(content, operation);
+            return { content: newContent, result: { replaced: selected.map(m => ({ start_line: m.start_line, end_line: m.end_line })) } };
+        }
+        case 'insert':
+            return { content: insertLinesInContent(content, operation.after_line, operation.content ?? ''), result: { after_line: operation.after_line } };
+        case 'delete_lines':
+            return { content: deleteLinesInContent(content, operation.start_line, operation.end_line), result: { lines_deleted: operation.end_line - operation.start_line + 1 } };
+        case 'create':
+            if (content !== null && !operation.overwrite) {
+                throw new Error(`File already exists: ${file_path}. Set overwrite: true to replace it.`);
+            }
+            return { content: operation.content ?? '', result: {} };
+        default:
+            throw new Error(`Unknown operation type: ${type}`);
+    }
+}
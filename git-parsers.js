@@ -0,0 +1,206 @@
+/**
+ * Parsers for git's text output, used by git_tool to return structured results.
+ *
+ * Pure functions over strings, so they can be tested without a repository.
+ */
+
+// Separators for `git log --format`: one record per commit, one unit per field.
+const RECORD = '\x1e';
+const UNIT = '\x1f';
+
+export const LOG_FORMAT = `${RECORD}%H${UNIT}%h${UNIT}%an${UNIT}%ae${UNIT}%aI${UNIT}%s${UNIT}%b${UNIT}`;
+
+function unquotePath(value) {
+    // git quotes paths with unusual characters ("a/caf\303\251.txt"); octal escapes are UTF-8 bytes.
+    if (!value.startsWith('"')) return value;
+    const bytes = [];
+    const body = value.slice(1, -1);
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] !== '\\') {
+            bytes.push(...Buffer.from(body[i]));
+            continue;
+        }
+        const next = body[++i];
+        if (/[0-7]/.test(next)) {
+            bytes.push(parseInt(body.slice(i, i + 3), 8));
+            i += 2;
+        } else {
+            bytes.push(({ n: 10, t: 9, r: 13, '"': 34, '\\': 92 })[next] ?? next.charCodeAt(0));
+        }
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
+
+function stripPrefix(value) {
+    // "a/src/x.js" -> "src/x.js"; "/dev/null" -> null.
+    const unquoted = unquotePath(value.replace(/\t.*$/, ''));
+    if (unquoted === '/dev/null') return null;
+    return unquoted.replace(/^[ab]\//, '');
+}
+
+/**
+ * Splits a unified diff (as printed by `git diff`/`git show`) into files and hunks.
+ * Each hunk line carries its old and/or new line number. Combined diffs of merge commits
+ * are listed by path only, with `combined: true` and no hunks.
+ */
+export function parseUnifiedDiff(text) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+    let oldLine = 0;
+    let newLine = 0;
+    let oldRemaining = 0;
+    let newRemaining = 0;
+
+    for (const line of text.split('\n')) {
+        if (hunk && (oldRemaining > 0 || newRemaining > 0 || line.startsWith('\\'))) {
+            const marker = line[0];
+            if (marker === '\\') {
+                hunk.lines[hunk.lines.length - 1].no_newline = true;
+            } else if (marker === '+') {
+                hunk.lines.push({ type: 'add', new_line: newLine++, content: line.slice(1) });
+                file.additions++;
+                newRemaining--;
+            } else if (marker === '-') {
+                hunk.lines.push({ type: 'delete', old_line: oldLine++, content: line.slice(1) });
+                file.deletions++;
+                oldRemaining--;
+            } else {
+                hunk.lines.push({ type: 'context', old_line: oldLine++, new_line: newLine++, content: line.slice(1) });
+                oldRemaining--;
+                newRemaining--;
+            }
+            continue;
+        }
+        hunk = null;
+
+        let match;
+        if ((match = /^diff --git (.+)$/.exec(line))) {
+            // Unquoted paths may contain spaces. When both sides name the same file the line splits
+            // in the middle; otherwise the rename and ---/+++ lines below fill in the real paths.
+            const half = (match[1].length - 1) / 2;
+            const paths = match[1][half] === ' ' && match[1].slice(2, half) === match[1].slice(half + 3)
+                ? [null, match[1].slice(0, half), match[1].slice(half + 1)]
+                : /^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|.+)$/.exec(match[1]) || [null, match[1], match[1]];
+            file = { old_path: stripPrefix(paths[1]), new_path: stripPrefix(paths[2]), status: 'modified', binary: false, additions: 0, deletions: 0, hunks: [] };
+            files.push(file);
+        } else if ((match = /^diff --(?:cc|combined) (.+)$/.exec(line))) {
+            file = { old_path: unquotePath(match[1]), new_path: unquotePath(match[1]), status: 'modified', combined: true, binary: false, additions: 0, deletions: 0, hunks: [] };
+            files.push(file);
+        } else if (!file || file.combined) {
+            continue;
+        } else if (line.startsWith('new file mode')) {
+            file.status = 'added';
+        } else if (line.startsWith('deleted file mode')) {
+            file.status = 'deleted';
+        } else if ((match = /^(rename|copy) (from|to) (.+)$/.exec(line))) {
+            file.status = match[1] === 'rename' ? 'renamed' : 'copied';
+            file[match[2] === 'from' ? 'old_path' : 'new_path'] = unquotePath(match[3]);
+        } else if ((match = /^similarity index (\d+)%/.exec(line))) {
+            file.similarity = Number(match[1]);
+        } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+            file.binary = true;
+        } else if (line.startsWith('--- ')) {
+            file.old_path = stripPrefix(line.slice(4));
+        } else if (line.startsWith('+++ ')) {
+            file.new_path = stripPrefix(line.slice(4));
+        } else if ((match = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/.exec(line))) {
+            hunk = {
+                index: file.hunks.length + 1,
+                header: line,
+                old_start: Number(match[1]),
+                old_lines: match[2] === undefined ? 1 : Number(match[2]),
+                new_start: Number(match[3]),
+                new_lines: match[4] === undefined ? 1 : Number(match[4]),
+                section: match[5] || null,
+                lines: []
+            };
+            file.hunks.push(hunk);
+            oldLine = hunk.old_start;
+            newLine = hunk.new_start;
+            oldRemaining = hunk.old_lines;
+            newRemaining = hunk.new_lines;
+        }
+    }
+
+    return files.map((entry) => {
+        if (entry.status === 'added') entry.old_path = null;
+        if (entry.status === 'deleted') entry.new_path = null;
+        return { path: entry.new_path ?? entry.old_path, ...entry };
+    });
+}
+
+/**
+ * Renders the chosen hunks of one parsed file back into a patch that `git apply` accepts.
+ */
+export function buildPatch(file, hunks) {
+    const output = [
+        `diff --git a/${file.old_path} b/${file.new_path}`,
+        `--- a/${file.old_path}`,
+        `+++ b/${file.new_path}`
+    ];
+    const markers = { context: ' ', add: '+', delete: '-' };
+    for (const hunk of hunks) {
+        output.push(hunk.header);
+        for (const line of hunk.lines) {
+            output.push(markers[line.type] + line.content);
+            if (line.no_newline) output.push('\\ No newline at end of file');
+        }
+    }
+    return output.join('\n') + '\n';
+}
+
+/**
+ * Parses `git log --numstat --format=LOG_FORMAT` into commits with per-file line counts.
+ */
+export function parseLog(text) {
+    return text.split(RECORD).filter(record => record.trim()).map((record) => {
+        const [hash, shortHash, authorName, authorEmail, date, subject, body, stats = ''] = record.split(UNIT);
+        const files = stats.split('\n').filter(Boolean).map((line) => {
+            const [additions, deletions, ...rest] = line.split('\t');
+            const binary = additions === '-';
+            return { path: unquotePath(rest.join('\t')), additions: binary ? 0 : Number(additions), deletions: binary ? 0 : Number(deletions), binary };
+        });
+        return {
+            hash,
+            short_hash: shortHash,
+            author_name: authorName,
+            author_email: authorEmail,
+            date,
+            message: subject,
+            body: body.trim(),
+            files,
+            additions: files.reduce((sum, f) => sum + f.additions, 0),
+            deletions: files.reduce((sum, f) => sum + f.deletions, 0)
+        };
+    });
+}
+
+/**
+ * Parses `git blame --porcelain` into one entry per line plus the commits they refer to
+ * (keyed by abbreviated hash, so each commit's details appear once).
+ */
+export function parseBlame(text) {
+    const commits = {};
+    const lines = [];
+    let current = null;
+    for (const line of text.split('\n')) {
+        let match;
+        if ((match = /^([0-9a-f]{40}) (\d+) (\d+)(?: \d+)?$/.exec(line))) {
+            const hash = match[1].slice(0, 8);
+            commits[hash] ??= { hash: match[1], author: null, author_email: null, date: null, summary: null, uncommitted: /^0+$/.test(match[1]) };
+            current = { line: Number(match[3]), original_line: Number(match[2]), commit: hash, content: null };
+        } else if (current && line.startsWith('\t')) {
+            current.content = line.slice(1);
+            lines.push(current);
+            current = null;
+        } else if (current && (match = /^(author|author-mail|author-time|summary) (.*)$/.exec(line))) {
+            const commit = commits[current.commit];
+            if (match[1] === 'author') commit.author = match[2];
+            else if (match[1] === 'author-mail') commit.author_email = match[2].replace(/^<|>$/g, '');
+            else if (match[1] === 'author-time') commit.date = new Date(Number(match[2]) * 1000).toISOString();
+            else commit.summary = match[2];
+        }
+    }
+    return { commits, lines };
+}
@@ -0,0 +1,130 @@
+/**
+ * The git guardrails behind git_tool and finish_merge: protected branches, force pushes and
+ * commands that throw work away, plus the options that would let git step outside the sandbox.
+ */
+
+import path from 'path';
+
+// Built-in git guardrails. A "gitPolicy" object in package.json (or per workspace) overrides these keys.
+export const DEFAULT_GIT_POLICY = {
+    protectedBranches: ['main', 'master'], // No commits (commit, merge, pull, cherry-pick, revert, am), pushes or rebases; "*" is a wildcard
+    blockForcePush: true,
+    blockDestructive: true, // reset --hard, checkout that discards changes, branch -D, stash drop/clear, push --delete
+    allowOverride: true, // false: the rules above cannot be bypassed with "confirm": true
+    preCommitCheck: null, // Shell command that must succeed before every commit, e.g. "npm test"
+    preCommitTimeout: 300 // Seconds
+};
+
+// Subcommands that create commits on the current branch: what they do to it, and the arguments
+// with which they don't commit.
+const COMMITTING_COMMANDS = {
+    commit: { action: 'committing to', unless: [] },
+    merge: { action: 'merging into', unless: ['--abort', '--quit', '--ff-only', '--no-commit'] },
+    pull: { action: 'pulling merges into', unless: ['--ff-only'] },
+    'cherry-pick': { action: 'cherry-picking onto', unless: ['--abort', '--quit', '--no-commit', '-n'] },
+    revert: { action: 'reverting commits on', unless: ['--abort', '--quit', '--no-commit', '-n'] },
+    am: { action: 'applying patches to', unless: ['--abort', '--quit', '--show-current-patch'] },
+    rebase: { action: 'rebasing', unless: ['--abort', '--quit', '--show-current-patch'] }
+};
+
+// Options with which the read-only subcommands write files, or read files or run programs of the
+// caller's choosing. These bypass the sandbox, so no policy or confirmation lets them through.
+const SANDBOX_ESCAPES = {
+    diff: ['--output', '-o', '--no-index', '--ext-diff'],
+    log: ['--output', '-o', '--ext-diff'],
+    show: ['--output', '-o', '--ext-diff'],
+    blame: ['--contents', '-S']
+};
+
+/**
+ * Why `git <command> <args>`, run in the workspace at `root`, would reach outside it, or null
+ * when it stays inside.
+ */
+export function findSandboxEscape(command, args, root) {
+    const options = SANDBOX_ESCAPES[command] || [];
+    const option = args.find(arg => options.some(flag => (flag.startsWith('--') ? arg === flag || arg.startsWith(`${flag}=`) : arg.startsWith(flag))));
+    if (option) return `git ${command} ${option.split('=')[0]} is not allowed: it reads or writes files outside the sandbox.`;
+    if (command === 'diff') {
+        // Given a path outside the working tree, git diff silently compares files as --no-index does.
+        const outside = args.find(arg => {
+            if (arg.startsWith('-')) return false;
+            const relative = path.relative(root, path.resolve(root, arg));
+            return path.isAbsolute(relative) || relative === '..' || relative.startsWith(`..${path.sep}`);
+        });
+        if (outside) return `git diff ${outside} is not allowed: the path is outside the project.`;
+    }
+    return null;
+}
+
+/**
+ * The policy's verdict on `git <command> <args>` run on `currentBranch` (null when unknown), in
+ * the shape of evaluateCommand: { decision: 'allow' | 'confirm' | 'deny', rule, reason }.
+ */
+export function evaluateGitCommand(policy, command, args, currentBranch, confirmed = false) {
+    const isProtected = (branch) => !!branch && policy.protectedBranches.some(pattern =>
+        new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`).test(branch));
+    const has = (...flags) => args.some(arg => flags.some(flag => flag.startsWith('--')
+        ? arg === flag || arg.startsWith(`${flag}=`)
+        : /^-[A-Za-z]+$/.test(arg) && arg.includes(flag.slice(1))));
+    const findings = [];
+    const protectedRule = (branch, action) => findings.push({
+        rule: `protectedBranches: ${branch}`,
+        reason: `'${branch}' is a protected branch, so ${action} it directly is not allowed. Work on a feature branch and open a pull request instead.`
+    });
+    const destructive = (rule, reason) => {
+        if (policy.blockDestructive) findings.push({ rule: `blockDestructive: ${rule}`, reason });
+    };
+
+    const committing = COMMITTING_COMMANDS[command];
+    if (committing && isProtected(currentBranch) && !has(...committing.unless)) {
+        protectedRule(currentBranch, committing.action);
+    }
+    switch (command) {
+        case 'push': {
+            // Skip options that take a value, then [remote] [refspec...].
+            const positional = args.filter((arg, i) => !arg.startsWith('-') && !['-o', '--push-option', '--repo', '--receive-pack', '--exec'].includes(args[i - 1]));
+            const refspecs = positional.slice(1);
+            const force = has('--force', '-f', '--force-with-lease', '--force-if-includes', '--mirror') || refspecs.some(spec => spec.startsWith('+'));
+            if (force && policy.blockForcePush) {
+                findings.push({ rule: 'blockForcePush', reason: 'Force-pushing rewrites history on the remote and can destroy other people\'s work.' });
+            }
+            if (has('--delete', '-d') || refspecs.some(spec => spec.startsWith(':'))) {
+                destructive('push --delete', 'Deleting a remote branch cannot be undone from here.');
+            }
+            const targets = refspecs.length > 0
+                ? refspecs.map(spec => spec.replace(/^\+/, '').split(':').pop().replace(/^refs\/heads\//, '')).map(branch => (branch === 'HEAD' ? currentBranch : branch))
+                : [has('--all', '--mirror') ? policy.protectedBranches[0] : currentBranch];
+            const protectedTarget = targets.find(isProtected);
+            if (protectedTarget) protectedRule(protectedTarget, 'pushing to');
+            break;
+        }
+        case 'reset':
+            if (has('--hard')) destructive('reset --hard', 'A hard reset throws away uncommitted changes in the working tree.');
+            break;
+        case 'checkout':
+            if (has('--force', '-f') || args.includes('--') || args.includes('.')) {
+                destructive('checkout --force', 'Checking out over local changes throws them away.');
+            }
+            break;
+        case 'branch':
+            if (has('-D') || (has('--delete', '-d') && has('--force', '-f'))) {
+                destructive('branch -D', 'Force-deleting a branch loses any commits that are not merged elsewhere.');
+            }
+            if (has('--delete', '-d', '-D')) {
+                const deleted = args.filter(arg => !arg.startsWith('-')).find(isProtected);
+                if (deleted) protectedRule(deleted, 'deleting');
+            }
+            break;
+        case 'stash':
+            if (['drop', 'clear'].includes(args[0])) destructive(`stash ${args[0]}`, 'Dropped stashes are hard to recover.');
+            break;
+    }
+
+    if (findings.length === 0) {
+        return { decision: 'allow', rule: null, reason: null };
+    }
+    if (policy.allowOverride && confirmed) {
+        return { decision: 'allow', rule: `${findings.map(finding => finding.rule).join(', ')} (confirmed)`, reason: null };
+    }
+    return { decision: policy.allowOverride ? 'confirm' : 'deny', ...findings[0] };
+}
@@ -0,0 +1,95 @@
+/**
+ * Glob patterns and .gitignore rules, as the search and listing tools apply them to
+ * project-relative paths with forward slashes.
+ */
+
+import path from 'path';
+
+// Directories that project-wide tools never descend into, on top of .gitignore rules.
+export const DEFAULT_IGNORES = ['.git', 'node_modules'];
+
+/**
+ * Supports *, **, ?, [...] and {a,b}. The expression matches a whole path.
+ */
+export function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const close = glob.indexOf(']', i + 1);
+            if (close === -1) {
+                source += '\\[';
+            } else {
+                source += `[${glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = close;
+            }
+        } else if (char === '{') {
+            const close = glob.indexOf('}', i + 1);
+            if (close === -1) {
+                source += '\\{';
+            } else {
+                source += `(?:${glob.slice(i + 1, close).split(',').map(part => globToRegExp(part).source.slice(1, -1)).join('|')})`;
+                i = close;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * A glob without a slash matches the file name at any depth.
+ */
+export function matchesGlob(relativePath, glob) {
+    const regex = globToRegExp(glob.replace(/^\.\//, ''));
+    return glob.includes('/') ? regex.test(relativePath) : regex.test(path.posix.basename(relativePath));
+}
+
+/**
+ * Parses the text of the .gitignore in directory `base` ('' for the root) into rules.
+ */
+export function parseGitignore(text, base) {
+    const rules = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        let line = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) continue;
+        const negate = line.startsWith('!');
+        if (negate) line = line.slice(1);
+        const directoryOnly = line.endsWith('/');
+        if (directoryOnly) line = line.slice(0, -1);
+        // A slash anywhere but the end anchors the pattern to the .gitignore's directory.
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+        const regex = globToRegExp(anchored ? line : `**/${line}`);
+        rules.push({ base, regex, negate, directoryOnly });
+    }
+    return rules;
+}
+
+/**
+ * Applies rules from parseGitignore, outermost .gitignore first; the last matching rule wins.
+ */
+export function isIgnored(relativePath, isDirectory, rules) {
+    if (DEFAULT_IGNORES.includes(path.posix.basename(relativePath))) return true;
+    let ignored = false;
+    for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) continue;
+        if (rule.base && !relativePath.startsWith(`${rule.base}/`)) continue;
+        const local = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+        if (rule.regex.test(local)) ignored = !rule.negate;
+    }
+    return ignored;
+}
@@ -0,0 +1,110 @@
+/**
+ * Relative import specifiers in JavaScript/TypeScript files, and how to rewrite them when files move.
+ *
+ * Paths here are project-relative and use forward slashes. A specifier is resolved the way bundlers
+ * and Node's CommonJS loader do: as written, with an added extension, or as a directory's index file.
+ * TypeScript's "./x.js" naming ./x.ts is understood as well.
+ */
+
+import path from 'path';
+
+// Languages (see languages.js) whose files are scanned for import specifiers.
+export const IMPORT_LANGUAGES = ['javascript', 'typescript', 'tsx'];
+
+const EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.d.ts', '.json'];
+const TS_FOR_JS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+
+const isRelative = (specifier) => /^\.\.?(\/|$)/.test(specifier);
+const stripExtension = (filePath) => filePath.replace(/(\.d)?\.[^./]+$/, '');
+
+/**
+ * Lists the relative specifiers of import/export ... from, require(), import() and TypeScript's
+ * import x = require(). Each is { specifier, start, end, line }, where start and end delimit the
+ * text between the quotes.
+ */
+export function findRelativeImports(rootNode) {
+    const imports = [];
+    const add = (stringNode) => {
+        if (stringNode?.type !== 'string') return;
+        const specifier = stringNode.text.slice(1, -1);
+        if (!isRelative(specifier)) return;
+        imports.push({ specifier, start: stringNode.startIndex + 1, end: stringNode.endIndex - 1, line: stringNode.startPosition.row + 1 });
+    };
+    const visit = (node) => {
+        if (['import_statement', 'export_statement', 'import_require_clause'].includes(node.type)) {
+            add(node.childForFieldName('source'));
+        } else if (node.type === 'call_expression') {
+            const callee = node.childForFieldName('function');
+            if (callee?.type === 'import' || (callee?.type === 'identifier' && callee.text === 'require')) {
+                add(node.childForFieldName('arguments')?.namedChildren[0]);
+            }
+        }
+        node.namedChildren.forEach(visit);
+    };
+    visit(rootNode);
+    return imports;
+}
+
+/**
+ * The file a relative specifier in `importer` loads, if it is one of `files` (a Set of paths).
+ */
+export function resolveImport(importer, specifier, files) {
+    const base = path.posix.join(path.posix.dirname(importer), specifier);
+    if (base.startsWith('..')) return null;
+    const candidates = [base, ...EXTENSIONS.map(ext => base + ext), ...EXTENSIONS.map(ext => `${base}/index${ext}`)];
+    const extension = path.posix.extname(base);
+    for (const tsExtension of TS_FOR_JS[extension] || []) {
+        candidates.push(base.slice(0, -extension.length) + tsExtension);
+    }
+    return candidates.find(candidate => files.has(candidate)) ?? null;
+}
+
+/**
+ * Maps old paths to new ones for a move of `from` to `to`, where `from` is a file or a directory.
+ * Returns null for paths the move does not touch.
+ */
+export function movedPath(from, to) {
+    return (filePath) => {
+        if (filePath === from) return to;
+        if (filePath.startsWith(`${from}/`)) return to + filePath.slice(from.length);
+        return null;
+    };
+}
+
+/**
+ * Rewrites the relative specifiers of one file for a move. `filePath` is where the file was,
+ * `newFilePath` where it will be (the same when it does not move), `files` the Set of project
+ * files before the move and `mapPath` the function from movedPath(). Specifiers keep their form:
+ * with or without an extension, or naming a directory. Returns { content, changes }, with
+ * changes as { line, from, to }.
+ */
+export function rewriteImports({ filePath, newFilePath, content, imports, files, mapPath }) {
+    const changes = [];
+    let output = content;
+    // Edit from the end so earlier offsets stay valid.
+    for (const { specifier, start, end, line } of [...imports].sort((a, b) => b.start - a.start)) {
+        const literal = path.posix.join(path.posix.dirname(filePath), specifier);
+        const resolved = resolveImport(filePath, specifier, files);
+        let target = mapPath(literal);
+        if (target === null && resolved && mapPath(resolved) !== null) {
+            const movedTo = mapPath(resolved);
+            if (literal === path.posix.dirname(resolved)) {
+                // "./widget" naming widget/index.js, whose file moved on its own.
+                target = path.posix.basename(movedTo) === path.posix.basename(resolved) ? path.posix.dirname(movedTo) : stripExtension(movedTo);
+            } else {
+                // "./widget" or "./widget.js" naming widget.ts: keep whatever followed the stem.
+                target = stripExtension(movedTo) + literal.slice(stripExtension(resolved).length);
+            }
+        }
+        if (target === null && newFilePath === filePath) continue;
+
+        let rewritten = path.posix.relative(path.posix.dirname(newFilePath), target ?? literal) || '.';
+        // A dot directory such as .config/ still needs the ./ that makes the specifier relative.
+        if (!/^\.\.?(\/|$)/.test(rewritten)) rewritten = `./${rewritten}`;
+        if (specifier.endsWith('/') && !rewritten.endsWith('/')) rewritten += '/';
+        if (rewritten === specifier) continue;
+        output = output.slice(0, start) + rewritten + output.slice(end);
+        changes.unshift({ line, from: specifier, to: rewritten });
+    }
+    return { content: output, changes };
+}
@@ -0,0 +1,185 @@
+/**
+ * The get_code_structure summary of a JavaScript or TypeScript module, from its tree-sitter parse
+ * tree: imports (including require()), exports, functions, classes with their methods and, for
+ * TypeScript, interfaces, type aliases and enums. Lines are 1-based.
+ */
+
+import { valueKind } from './symbol-index.js';
+
+// TypeScript declarations that name a type rather than a value.
+export const TYPE_DECLARATION_KINDS = { interface_declaration: 'interface', type_alias_declaration: 'type', enum_declaration: 'enum' };
+
+const lineRange = (node) => ({ start_line: node.startPosition.row + 1, end_line: node.endPosition.row + 1 });
+const stringValue = (node) => node.text.slice(1, -1);
+const isFunctionNode = (node) => ['function', 'function_expression', 'arrow_function', 'generator_function'].includes(node.type);
+const hasKeyword = (node, keyword) => node.children.some(child => !child.isNamed && child.type === keyword);
+
+export function javascriptStructure(rootNode) {
+    const imports = [];
+    const exports = [];
+    const functions = [];
+    const classes = [];
+    const types = []; // TypeScript interfaces, type aliases and enums
+
+    const describeFunction = (name, node, declNode = node) => ({
+        name,
+        kind: node.type === 'arrow_function' ? 'arrow' : node.type.startsWith('generator') ? 'generator' : 'function',
+        async: hasKeyword(node, 'async'),
+        params: node.childForFieldName('parameters')?.text ?? node.childForFieldName('parameter')?.text ?? '()',
+        ...lineRange(declNode)
+    });
+
+    const describeClass = (name, node, declNode = node) => {
+        const heritage = node.namedChildren.find(child => child.type === 'class_heritage');
+        // TypeScript wraps the superclass in an extends_clause, next to any implements_clause.
+        const extendsClause = heritage?.namedChildren.find(child => child.type === 'extends_clause');
+        const methods = [];
+        for (const member of node.childForFieldName('body').namedChildren) {
+            if (member.type === 'method_definition') {
+                const methodName = member.childForFieldName('name').text;
+                methods.push({
+                    name: methodName,
+                    kind: methodName === 'constructor' ? 'constructor'
+                        : hasKeyword(member, 'get') ? 'getter'
+                        : hasKeyword(member, 'set') ? 'setter' : 'method',
+                    static: hasKeyword(member, 'static'),
+                    async: hasKeyword(member, 'async'),
+                    params: member.childForFieldName('parameters').text,
+                    ...lineRange(member)
+                });
+            } else if (member.type === 'field_definition' || member.type === 'public_field_definition') {
+                const value = member.childForFieldName('value');
+                if (value && isFunctionNode(value)) {
+                    methods.push({
+                        name: (member.childForFieldName('property') ?? member.childForFieldName('name')).text,
+                        kind: 'field',
+                        static: hasKeyword(member, 'static'),
+                        async: hasKeyword(value, 'async'),
+                        params: value.childForFieldName('parameters')?.text ?? value.childForFieldName('parameter')?.text ?? '()',
+                        ...lineRange(member)
+                    });
+                }
+            } else if (member.type === 'abstract_method_signature') {
+                methods.push({
+                    name: member.childForFieldName('name').text,
+                    kind: 'abstract',
+                    static: false,
+                    async: false,
+                    params: member.childForFieldName('parameters').text,
+                    ...lineRange(member)
+                });
+            }
+        }
+        return {
+            name,
+            extends: extendsClause ? extendsClause.childForFieldName('value').text
+                : heritage?.namedChildren.some(child => child.type === 'implements_clause') ? null
+                : heritage ? heritage.text.replace(/^extends\s+/, '') : null,
+            ...lineRange(declNode),
+            methods
+        };
+    };
+
+    // Handles `const x = () => {}`, `const X = class {}` and `const y = require('y')`.
+    const visitDeclarators = (declaration, declNode) => {
+        const names = [];
+        for (const declarator of declaration.namedChildren.filter(child => child.type === 'variable_declarator')) {
+            const nameNode = declarator.childForFieldName('name');
+            const value = declarator.childForFieldName('value');
+            names.push(nameNode.text);
+            if (!value) continue;
+            if (isFunctionNode(value)) {
+                functions.push(describeFunction(nameNode.text, value, declNode));
+            } else if (value.type === 'class') {
+                classes.push(describeClass(nameNode.text, value, declNode));
+            } else if (value.type === 'call_expression' && value.childForFieldName('function').text === 'require') {
+                const source = value.childForFieldName('arguments').namedChildren[0];
+                if (source?.type === 'string') {
+                    imports.push({ source: stringValue(source), names: [nameNode.text], ...lineRange(declNode) });
+                }
+            }
+        }
+        return names;
+    };
+
+    const visitDeclaration = (node, declNode = node) => {
+        const name = node.childForFieldName('name')?.text ?? 'default';
+        switch (node.type) {
+            case 'function_declaration':
+            case 'generator_function_declaration':
+            case 'function':
+            case 'function_expression':
+            case 'generator_function':
+                functions.push(describeFunction(name, node, declNode));
+                return [name];
+            case 'class_declaration':
+            case 'abstract_class_declaration':
+            case 'class':
+                classes.push(describeClass(name, node, declNode));
+                return [name];
+            case 'interface_declaration':
+            case 'type_alias_declaration':
+            case 'enum_declaration':
+                types.push({ name, kind: TYPE_DECLARATION_KINDS[node.type], ...lineRange(declNode) });
+                return [name];
+            case 'lexical_declaration':
+            case 'variable_declaration':
+                return visitDeclarators(node, declNode);
+            default:
+                return null;
+        }
+    };
+
+    const visit = (node) => {
+        if (node.type === 'import_statement') {
+            const clause = node.namedChildren.find(child => child.type === 'import_clause');
+            const names = [];
+            for (const part of clause ? clause.namedChildren : []) {
+                if (part.type === 'identifier') names.push(part.text);
+                else if (part.type === 'namespace_import') names.push(part.text.replace(/\s+/g, ' '));
+                else if (part.type === 'named_imports') {
+                    part.namedChildren.forEach(spec => names.push((spec.childForFieldName('alias') ?? spec.childForFieldName('name')).text));
+                }
+            }
+            imports.push({ source: stringValue(node.childForFieldName('source')), names, ...lineRange(node) });
+            return;
+        }
+
+        if (node.type === 'export_statement') {
+            const isDefault = hasKeyword(node, 'default');
+            const sourceNode = node.childForFieldName('source');
+            const source = sourceNode ? stringValue(sourceNode) : null;
+            const declaration = node.childForFieldName('declaration') ?? node.childForFieldName('value');
+            const clause = node.namedChildren.find(child => child.type === 'export_clause');
+            if (declaration) {
+                const names = visitDeclaration(declaration, node);
+                const kind = !names ? 'value'
+                    : TYPE_DECLARATION_KINDS[declaration.type] ? TYPE_DECLARATION_KINDS[declaration.type]
+                    : declaration.type.includes('class') ? 'class'
+                    : declaration.type.includes('function') ? 'function' : 'variable';
+                // Classified like the symbol index does, so list_exports and find_definition agree.
+                const values = new Map(declaration.namedChildren
+                    .filter(child => child.type === 'variable_declarator')
+                    .map(declarator => [declarator.childForFieldName('name').text, declarator.childForFieldName('value')]));
+                (names ?? [declaration.text]).forEach(name => {
+                    exports.push({ name: isDefault ? 'default' : name, local: name, kind: values.has(name) ? valueKind(values.get(name)) : kind, source, ...lineRange(node) });
+                });
+            } else if (clause) {
+                clause.namedChildren.filter(child => child.type === 'export_specifier').forEach(spec => {
+                    const local = spec.childForFieldName('name').text;
+                    const exported = spec.childForFieldName('alias')?.text ?? local;
+                    exports.push({ name: exported, local, kind: source ? 're-export' : 'binding', source, ...lineRange(node) });
+                });
+            } else {
+                exports.push({ name: '*', local: null, kind: 're-export', source, ...lineRange(node) });
+            }
+            return;
+        }
+
+        if (visitDeclaration(node) !== null) return;
+        node.namedChildren.forEach(visit);
+    };
+
+    visit(rootNode);
+    return { imports, exports, functions, classes, types };
+}
@@ -0,0 +1,120 @@
+/**
+ * Language detection and the tree-sitter grammars behind the AST-based tools.
+ *
+ * LANGUAGE_BY_EXTENSION names many languages, since it also labels files in listings; only those
+ * with a grammar in GRAMMARS can be parsed. To add one, install its grammar package and register it here.
+ */
+
+import TreeSitter from 'tree-sitter';
+import JavaScript from 'tree-sitter-javascript';
+import TypeScript from 'tree-sitter-typescript';
+import Python from 'tree-sitter-python';
+import Json from 'tree-sitter-json';
+import path from 'path';
+
+export const LANGUAGE_BY_EXTENSION = {
+    '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+    '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'tsx',
+    '.py': 'python', '.json': 'json', '.md': 'markdown', '.html': 'html', '.css': 'css', '.scss': 'scss',
+    '.yml': 'yaml', '.yaml': 'yaml', '.toml': 'toml', '.xml': 'xml', '.sh': 'shell', '.sql': 'sql',
+    '.go': 'go', '.rs': 'rust', '.java': 'java', '.rb': 'ruby', '.php': 'php', '.cs': 'csharp',
+    '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp', '.vue': 'vue', '.svelte': 'svelte'
+};
+
+const GRAMMARS = {
+    javascript: JavaScript,
+    typescript: TypeScript.typescript,
+    tsx: TypeScript.tsx,
+    python: Python,
+    json: Json
+};
+
+export const PARSEABLE_LANGUAGES = Object.keys(GRAMMARS);
+
+const parsers = new Map();
+
+/**
+ * The language of a file, from its name; null when unknown.
+ */
+export function detectLanguage(filePath) {
+    const name = path.basename(filePath);
+    if (name === 'Dockerfile') return 'dockerfile';
+    if (name === 'Makefile') return 'makefile';
+    return LANGUAGE_BY_EXTENSION[path.extname(name).toLowerCase()] || null;
+}
+
+/**
+ * Parses source text with the grammar of `language` (one of PARSEABLE_LANGUAGES).
+ */
+export function parseSource(content, language) {
+    if (!GRAMMARS[language]) {
+        throw new Error(`There is no grammar for ${language || 'this file type'}. Supported: ${PARSEABLE_LANGUAGES.join(', ')}.`);
+    }
+    if (!parsers.has(language)) {
+        const parser = new TreeSitter();
+        parser.setLanguage(GRAMMARS[language]);
+        parsers.set(language, parser);
+    }
+    // The native binding rejects string inputs over 32KB, so feed the parser in chunks instead.
+    return parsers.get(language).parse((index) => content.slice(index, index + 8192));
+}
+
+/**
+ * Lists the syntax errors of a parse tree as { line, column, end_line, end_column, kind, message },
+ * with 1-based lines and columns. kind is 'unexpected' for text the grammar could not place and
+ * 'missing' for a token the parser had to assume; an unexpected region is reported once, however large.
+ */
+export function findSyntaxErrors(rootNode) {
+    const errors = [];
+    const visit = (node) => {
+        if (!node.hasError && !node.isMissing) return;
+        if (node.type === 'ERROR' || node.isMissing) {
+            const snippet = node.text.split('\n')[0];
+            errors.push({
+                line: node.startPosition.row + 1,
+                column: node.startPosition.column + 1,
+                end_line: node.endPosition.row + 1,
+                end_column: node.endPosition.column + 1,
+                kind: node.isMissing ? 'missing' : 'unexpected',
+                message: node.isMissing
+                    ? `Missing ${node.type}`
+                    : `Unexpected '${snippet.length > 40 ? `${snippet.slice(0, 40)}...` : snippet}'`
+            });
+            return;
+        }
+        node.children.forEach(visit);
+    };
+    visit(rootNode);
+    return errors;
+}
+
+/**
+ * The syntax errors an edit introduced. `edit` gives the replaced range as 1-based { line, column }
+ * positions: `start`, `oldEnd` (in the text before) and `newEnd` (in the text after). Any error in
+ * the new text counts; outside it, errors are matched against those before, with positions after
+ * the range shifted back. An error the edit removed or kept is not reported.
+ */
+export function findIntroducedErrors(errorsBefore, errorsAfter, { start, oldEnd, newEnd }) {
+    const compare = (a, b) => a.line - b.line || a.column - b.column;
+    const key = ({ line, column }, { message }) => `${line}:${column}:${message}`;
+    const remaining = new Map();
+    for (const error of errorsBefore) {
+        // Errors inside the replaced text are gone with it.
+        if (compare(error, start) >= 0 && compare(error, oldEnd) < 0) continue;
+        const id = key(error, error);
+        remaining.set(id, (remaining.get(id) || 0) + 1);
+    }
+    return errorsAfter.filter((error) => {
+        if (compare(error, start) >= 0 && compare(error, newEnd) < 0) return true;
+        let position = error;
+        if (compare(error, newEnd) >= 0) {
+            position = error.line === newEnd.line
+                ? { line: oldEnd.line, column: error.column - newEnd.column + oldEnd.column }
+                : { line: error.line - newEnd.line + oldEnd.line, column: error.column };
+        }
+        const id = key(position, error);
+        if (!remaining.get(id)) return true;
+        remaining.set(id, remaining.get(id) - 1);
+        return false;
+    });
+}
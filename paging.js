@@ -0,0 +1,83 @@
+/**
+ * Paging for read_file_content: a byte budget per call, spent on whole lines where possible, and
+ * byte-offset windows that never split a UTF-8 character.
+ */
+
+/**
+ * Drops a trailing, incomplete UTF-8 sequence from a buffer that was cut at an arbitrary byte.
+ */
+export function cutUtf8(buffer, mayBeIncomplete = true) {
+    if (!mayBeIncomplete) return buffer;
+    for (let back = 1; back <= Math.min(3, buffer.length); back++) {
+        const byte = buffer[buffer.length - back];
+        if ((byte & 0xc0) === 0x80) continue; // Continuation byte, keep looking for the lead byte
+        const needed = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+        return needed > back ? buffer.subarray(0, buffer.length - back) : buffer;
+    }
+    return buffer;
+}
+
+/**
+ * Lines start_line..end_line of `content`, as many as fit in max_bytes. Returns the fields of
+ * read_file_content's reply: { content, lines, start_line, end_line, truncated } plus
+ * next_start_line or next_offset where to continue.
+ */
+export function pageLines(content, { start_line, end_line, max_bytes }) {
+    const lines = content.split('\n');
+    const first = start_line ?? 1;
+    const last = Math.min(end_line ?? lines.length, lines.length);
+    if (first < 1 || first > lines.length || last < first) {
+        throw new Error(`Invalid line range: ${first}-${end_line ?? lines.length} (file has ${lines.length} lines)`);
+    }
+
+    // Take whole lines until the byte budget runs out; a single oversized line (minified
+    // code) is cut mid-line and the caller is pointed at offset-based reading.
+    const selected = [];
+    let bytes = 0;
+    let nextLine = null;
+    let nextOffset = null;
+    for (let i = first - 1; i < last; i++) {
+        const lineBytes = Buffer.byteLength(lines[i], 'utf8') + 1;
+        if (bytes + lineBytes > max_bytes) {
+            if (selected.length === 0) {
+                const lineStart = Buffer.byteLength(lines.slice(0, i).join('\n'), 'utf8') + (i > 0 ? 1 : 0);
+                const partial = cutUtf8(Buffer.from(lines[i], 'utf8').subarray(0, max_bytes));
+                selected.push(partial.toString('utf8'));
+                nextOffset = lineStart + partial.length;
+            } else {
+                nextLine = i + 1;
+            }
+            break;
+        }
+        selected.push(lines[i]);
+        bytes += lineBytes;
+    }
+
+    const truncated = nextLine !== null || nextOffset !== null;
+    const shownLast = nextLine !== null ? nextLine - 1 : nextOffset !== null ? first : last;
+    let text = selected.join('\n');
+    if (truncated) {
+        text += `\n[... truncated at ${max_bytes} bytes: continue with ${nextLine !== null ? `start_line=${nextLine}` : `offset=${nextOffset}`} ...]`;
+    }
+
+    return {
+        content: text,
+        lines: lines.length,
+        start_line: first,
+        end_line: shownLast,
+        truncated,
+        ...(nextLine !== null && { next_start_line: nextLine }),
+        ...(nextOffset !== null && { next_offset: nextOffset })
+    };
+}
+
+/**
+ * Decodes `chunk`, read at byte `offset` of a file of `size` bytes, without starting or ending in
+ * the middle of a character. Returns { text, offset, end }: the byte range the text covers.
+ */
+export function decodeChunk(chunk, offset, size) {
+    let skipped = 0;
+    while (skipped < chunk.length && skipped < 3 && (chunk[skipped] & 0xc0) === 0x80) skipped++;
+    const whole = cutUtf8(chunk.subarray(skipped), offset + chunk.length < size);
+    return { text: whole.toString('utf8'), offset: offset + skipped, end: offset + skipped + whole.length };
+}
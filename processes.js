@@ -0,0 +1,65 @@
+/**
+ * Helpers for the programs the tools run: bounded output buffers for start_process that remember
+ * what the caller has read, and signalling a process together with everything it started (also
+ * used when run_tests or check_code time out).
+ */
+
+import { spawn } from 'child_process';
+
+// Output kept per stream for each background process; older output is dropped first.
+export const PROCESS_OUTPUT_LIMIT = 1024 * 1024;
+
+/**
+ * A stream's buffer: the retained `text`, the position of its first character in the whole
+ * output (`start`), how far the caller has read (`cursor`) and how many bytes were dropped
+ * before the caller read them (`dropped`).
+ */
+export function createOutputBuffer() {
+    return { text: '', start: 0, cursor: 0, dropped: 0 };
+}
+
+export function appendOutput(buffer, chunk, limit = PROCESS_OUTPUT_LIMIT) {
+    buffer.text += chunk;
+    const excess = buffer.text.length - limit;
+    if (excess > 0) {
+        const unread = Math.max(buffer.cursor, buffer.start) - buffer.start;
+        if (unread < excess) buffer.dropped += Buffer.byteLength(buffer.text.slice(unread, excess));
+        buffer.text = buffer.text.slice(excess);
+        buffer.start += excess;
+    }
+}
+
+export function hasUnreadOutput(buffer) {
+    return buffer.start + buffer.text.length > buffer.cursor;
+}
+
+/**
+ * Returns the output not read yet as { text, dropped }, where dropped is the number of bytes
+ * discarded before they could be read, and moves the cursor to the end.
+ */
+export function takeOutput(buffer) {
+    const text = buffer.text.slice(Math.max(buffer.cursor, buffer.start) - buffer.start);
+    const { dropped } = buffer;
+    buffer.cursor = buffer.start + buffer.text.length;
+    buffer.dropped = 0;
+    return { text, dropped };
+}
+
+/**
+ * Signals `child` and its descendants. On POSIX the child must lead its own process group
+ * (spawned with detached: true), which is signalled even after the child exited, since what it
+ * started may still be running. Windows has no signals, so a running tree is terminated.
+ */
+export function killProcessTree(child, signal = 'SIGTERM') {
+    if (!child.pid) return; // It never started
+    if (process.platform === 'win32') {
+        if (child.exitCode !== null || child.signalCode !== null) return;
+        spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true });
+        return;
+    }
+    try {
+        process.kill(-child.pid, signal);
+    } catch (error) {
+        if (error.code !== 'ESRCH') throw error; // The whole group is gone already
+    }
+}
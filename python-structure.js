@@ -0,0 +1,123 @@
+/**
+ * What the AST-based tools know about Python modules, from their tree-sitter parse trees:
+ * the get_code_structure summary and the declarations replace_symbol can address.
+ */
+
+const lineRange = (node) => ({ start_line: node.startPosition.row + 1, end_line: node.endPosition.row + 1 });
+const hasKeyword = (node, keyword) => node.children.some(child => !child.isNamed && child.type === keyword);
+const definitionOf = (node) => (node.type === 'decorated_definition' ? node.childForFieldName('definition') : node);
+
+/**
+ * The get_code_structure lists for a Python module. Exports are the names in __all__ when
+ * the module sets it, otherwise its public (not underscored) top-level names.
+ */
+export function pythonStructure(rootNode) {
+    const imports = [];
+    const functions = [];
+    const classes = [];
+    const topLevel = [];
+    let exported = null;
+
+    const decoratorsOf = (node) => (node.type === 'decorated_definition'
+        ? node.namedChildren.filter(child => child.type === 'decorator').map(decorator => decorator.text.slice(1).trim())
+        : []);
+
+    const describeMethod = (node) => {
+        const definition = definitionOf(node);
+        const name = definition.childForFieldName('name').text;
+        const decorators = decoratorsOf(node);
+        return {
+            name,
+            kind: name === '__init__' ? 'constructor'
+                : decorators.includes('property') ? 'getter'
+                : decorators.some(decorator => decorator.endsWith('.setter')) ? 'setter' : 'method',
+            static: decorators.includes('staticmethod') || decorators.includes('classmethod'),
+            async: hasKeyword(definition, 'async'),
+            params: definition.childForFieldName('parameters').text,
+            ...lineRange(node)
+        };
+    };
+
+    const visit = (node, depth) => {
+        for (const child of node.namedChildren) {
+            const definition = definitionOf(child);
+            if (definition.type === 'function_definition') {
+                const name = definition.childForFieldName('name').text;
+                functions.push({ name, kind: 'function', async: hasKeyword(definition, 'async'), params: definition.childForFieldName('parameters').text, ...lineRange(child) });
+                if (depth === 0) topLevel.push({ name, kind: 'function', node: child });
+            } else if (definition.type === 'class_definition') {
+                const name = definition.childForFieldName('name').text;
+                const superclasses = definition.childForFieldName('superclasses');
+                const methods = definition.childForFieldName('body').namedChildren
+                    .filter(member => definitionOf(member).type === 'function_definition')
+                    .map(describeMethod);
+                classes.push({ name, extends: superclasses ? superclasses.text.slice(1, -1) || null : null, ...lineRange(child), methods });
+                if (depth === 0) topLevel.push({ name, kind: 'class', node: child });
+            } else if (child.type === 'import_statement') {
+                for (const entry of child.childrenForFieldName('name')) {
+                    const source = entry.type === 'aliased_import' ? entry.childForFieldName('name').text : entry.text;
+                    const local = entry.type === 'aliased_import' ? entry.childForFieldName('alias').text : entry.text;
+                    imports.push({ source, names: [local], ...lineRange(child) });
+                }
+            } else if (child.type === 'import_from_statement') {
+                const names = child.namedChildren.some(part => part.type === 'wildcard_import')
+                    ? ['*']
+                    : child.childrenForFieldName('name').map(entry => (entry.type === 'aliased_import' ? entry.childForFieldName('alias') : entry).text);
+                imports.push({ source: child.childForFieldName('module_name').text, names, ...lineRange(child) });
+            } else if (child.type === 'expression_statement' && child.firstNamedChild?.type === 'assignment') {
+                const assignment = child.firstNamedChild;
+                const target = assignment.childForFieldName('left');
+                const value = assignment.childForFieldName('right');
+                if (depth === 0 && target.type === 'identifier') {
+                    if (target.text === '__all__' && ['list', 'tuple'].includes(value?.type)) {
+                        exported = value.namedChildren
+                            .filter(item => item.type === 'string')
+                            .map(item => ({ name: item.namedChildren.find(part => part.type === 'string_content')?.text ?? '', node: child }));
+                    } else {
+                        topLevel.push({ name: target.text, kind: 'variable', node: child });
+                    }
+                }
+            } else if (['if_statement', 'try_statement', 'with_statement', 'block', 'else_clause', 'elif_clause', 'except_clause', 'finally_clause'].includes(child.type)) {
+                // Definitions and imports under `if TYPE_CHECKING:`, `try: ... except ImportError:` and the like.
+                visit(child, depth);
+            }
+        }
+    };
+    visit(rootNode, 0);
+
+    const byName = new Map(topLevel.map(entry => [entry.name, entry]));
+    const exports = (exported ?? topLevel.filter(entry => !entry.name.startsWith('_'))).map(({ name, node }) => ({
+        name,
+        local: name,
+        kind: byName.get(name)?.kind ?? 'value',
+        source: null,
+        ...lineRange(byName.get(name)?.node ?? node)
+    }));
+    return { imports, exports, functions, classes };
+}
+
+/**
+ * The declarations replace_symbol can address in a Python module, as { name, kind, node, exportNode }:
+ * functions and classes anywhere outside function bodies, with methods qualified by their class
+ * ("Class.method"). A decorated definition's node includes its decorators, so they are replaced with it.
+ */
+export function collectPythonSymbols(rootNode) {
+    const symbols = [];
+    const visit = (node, className = null) => {
+        for (const child of node.namedChildren) {
+            const definition = definitionOf(child);
+            const name = definition.childForFieldName('name')?.text;
+            const qualified = className ? `${className}.${name}` : name;
+            if (definition.type === 'function_definition') {
+                symbols.push({ name: qualified, kind: className ? 'method' : 'function', node: child, exportNode: null });
+            } else if (definition.type === 'class_definition') {
+                symbols.push({ name: qualified, kind: 'class', node: child, exportNode: null });
+                visit(definition.childForFieldName('body'), qualified);
+            } else {
+                visit(child, className);
+            }
+        }
+    };
+    visit(rootNode);
+    return symbols;
+}
\ No newline at end of file
@@ -0,0 +1,248 @@
+/**
+ * Test runner detection and parsers for the reports run_tests reads: TAP (node:test), JUnit XML
+ * (pytest, Vitest) and Jest's JSON. Every parser returns
+ * { passed, failed, skipped, total, failures: [{ name, suite?, file, line, message }] },
+ * with file paths relative to the project root and null where a location is unknown.
+ */
+
+import path from 'path';
+
+export const TEST_RUNNERS = ['npm', 'node', 'jest', 'vitest', 'pytest'];
+
+// "path/to/file.ext:line" in stack traces and tracebacks, with or without a file:// prefix.
+const FRAME = /(?:file:\/\/)?((?:[A-Za-z]:[\\/]|\/)?[\w@.+\-\\/]+\.(?:[cm]?[jt]sx?|py)):(\d+)/g;
+
+const stripAnsi = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+function relativize(filePath, root) {
+    const normalized = filePath.replace(/^file:\/\//, '');
+    if (!path.isAbsolute(normalized)) return normalized.replace(/\\/g, '/');
+    const relative = path.relative(root, normalized);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? null : relative.split(path.sep).join('/');
+}
+
+/**
+ * Where in the project a failure happened, from the frames of a stack trace or traceback.
+ * Frames in node_modules or outside the project are skipped, and frames in `file` (the test's
+ * own file) win when there are any. JavaScript stacks list the innermost frame first, Python
+ * tracebacks last.
+ */
+export function findFailureLocation(text, root, { file = null, innermost = 'first' } = {}) {
+    const frames = [...stripAnsi(text).matchAll(FRAME)]
+        .map(match => ({ file: relativize(match[1], root), line: Number(match[2]) }))
+        .filter(frame => frame.file && !frame.file.split('/').includes('node_modules'));
+    const inFile = frames.filter(frame => frame.file === file);
+    const candidates = inFile.length > 0 ? inFile : frames;
+    return (innermost === 'last' ? candidates[candidates.length - 1] : candidates[0]) ?? null;
+}
+
+/**
+ * Picks the runner for a project: the one its npm test script calls, then a Jest or Vitest
+ * dependency, then pytest when it is configured. A package.json with a test/ directory but no
+ * usable script falls back to node:test. Returns null when nothing fits.
+ */
+export function detectTestRunner({ packageJson = null, hasTestDir = false, pytestConfigured = false }) {
+    if (packageJson) {
+        const script = packageJson.scripts?.test || '';
+        const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+        if (/\bvitest\b/.test(script)) return 'vitest';
+        if (/\bjest\b/.test(script)) return 'jest';
+        if (/\bnode\b.*\s--test\b/.test(script)) return 'node';
+        if (script && !/no test specified/.test(script)) return 'npm';
+        if (dependencies.vitest) return 'vitest';
+        if (dependencies.jest) return 'jest';
+    }
+    if (pytestConfigured) return 'pytest';
+    if (packageJson && hasTestDir) return 'node';
+    return null;
+}
+
+/**
+ * The arguments after --test in an npm test script that is a single "node --test ..." command, so
+ * run_tests runs the same files; [] for anything else, which leaves node:test to find the tests.
+ */
+export function nodeTestArgs(script = '') {
+    const match = script.trim().match(/^node\s+--test((?:\s+[^\s&|;<>]+)*)$/);
+    return match ? match[1].trim().split(/\s+/).filter(Boolean) : [];
+}
+
+function summarize(outcomes) {
+    const count = (status) => outcomes.filter(outcome => outcome.status === status).length;
+    return {
+        passed: count('passed'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        total: outcomes.length,
+        failures: outcomes.filter(outcome => outcome.status === 'failed').map(({ status, ...failure }) => failure)
+    };
+}
+
+function parseYamlBlock(lines) {
+    // Just enough YAML for TAP diagnostics: top-level "key: value" pairs and |- block scalars.
+    const indentOf = (line) => line.match(/^\s*/)[0].length;
+    const indent = lines.length > 0 ? indentOf(lines[0]) : 0;
+    const result = {};
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(/^(\s*)([\w-]+):\s?(.*)$/);
+        if (!match || match[1].length !== indent) continue;
+        let value = match[3];
+        if (/^[|>][-+]?$/.test(value)) {
+            const block = [];
+            while (i + 1 < lines.length && (lines[i + 1].trim() === '' || indentOf(lines[i + 1]) > indent)) block.push(lines[++i]);
+            const blockIndent = Math.min(...block.filter(line => line.trim()).map(indentOf));
+            value = block.map(line => line.slice(blockIndent)).join('\n').trim();
+        } else if (/^'.*'$/.test(value)) {
+            value = value.slice(1, -1).replace(/''/g, "'");
+        } else if (/^".*"$/.test(value)) {
+            try { value = JSON.parse(value); } catch { value = value.slice(1, -1); }
+        }
+        result[match[2]] = value;
+    }
+    return result;
+}
+
+/**
+ * Parses TAP, including the indented subtests node:test writes before their parent. Only leaf
+ * tests are counted; a failing suite shows up through its failing tests, named "suite > test".
+ */
+export function parseTap(text, root) {
+    const lines = stripAnsi(text).split(/\r?\n/);
+    const roots = [];
+    let last = null;
+    for (let i = 0; i < lines.length; i++) {
+        const point = lines[i].match(/^(\s*)(not ok|ok)\b(?:\s+\d+)?(?:\s+-)?\s*(.*)$/);
+        if (point) {
+            const [, indent, result, description] = point;
+            const directive = description.match(/\s+#\s+(SKIP|TODO)\b.*$/i);
+            const test = {
+                indent: indent.length,
+                ok: result === 'ok',
+                name: (directive ? description.slice(0, directive.index) : description).replace(/\\#/g, '#').trim(),
+                skipped: !!directive,
+                diagnostics: {},
+                children: []
+            };
+            // Subtests at a deeper indent, written just before this line, belong to it.
+            while (roots.length > 0 && roots[roots.length - 1].indent > test.indent) test.children.unshift(roots.pop());
+            roots.push(test);
+            last = test;
+        } else if (last && lines[i].trim() === '---') {
+            const block = [];
+            while (i + 1 < lines.length && lines[i + 1].trim() !== '...') block.push(lines[++i]);
+            i++;
+            last.diagnostics = parseYamlBlock(block);
+        }
+    }
+
+    const outcomes = [];
+    const visit = (test, parents) => {
+        const name = [...parents, test.name].join(' > ');
+        if (test.children.length > 0) {
+            test.children.forEach(child => visit(child, [...parents, test.name]));
+            return;
+        }
+        if (test.skipped || test.ok) {
+            outcomes.push({ status: test.skipped ? 'skipped' : 'passed' });
+            return;
+        }
+        const { error = '', stack = '', location = '' } = test.diagnostics;
+        const [, locationFile, locationLine] = location.match(/^(.*):(\d+):\d+$/) || [];
+        const file = locationFile ? relativize(locationFile, root) : null;
+        const frame = findFailureLocation(stack, root, { file }) ?? (file && { file, line: Number(locationLine) });
+        outcomes.push({ status: 'failed', name, file: frame?.file ?? null, line: frame?.line ?? null, message: String(error).trim() });
+    };
+    roots.forEach(test => visit(test, []));
+    return summarize(outcomes);
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, decimal) => String.fromCodePoint(Number(decimal)))
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function xmlText(text) {
+    return text.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map(part => (part.startsWith('<![CDATA[') ? part.slice(9, -3) : decodeXml(part))).join('');
+}
+
+function xmlAttributes(text) {
+    const attributes = {};
+    for (const [, name, , doubleQuoted, singleQuoted] of text.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attributes[name] = decodeXml(doubleQuoted ?? singleQuoted);
+    }
+    return attributes;
+}
+
+/**
+ * Parses a JUnit XML report. <failure> and <error> both count as failures. Set innermost to
+ * 'last' for reports whose failure bodies are Python tracebacks.
+ */
+export function parseJUnit(xml, root, { innermost = 'first' } = {}) {
+    const outcomes = [];
+    let testcase = null;
+    let bodyStart = 0;
+    for (const match of xml.matchAll(/<(\/?)(testcase|failure|error|skipped)\b((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g)) {
+        const [, closing, tag, attributeText, selfClosing] = match;
+        if (tag === 'testcase' && !closing) {
+            testcase = { attributes: xmlAttributes(attributeText), status: 'passed', message: null, body: '' };
+        }
+        if (!testcase) continue;
+        if (tag === 'skipped' && !closing) {
+            testcase.status = 'skipped';
+        } else if ((tag === 'failure' || tag === 'error') && !closing) {
+            testcase.status = 'failed';
+            testcase.message ??= xmlAttributes(attributeText).message ?? null;
+            bodyStart = match.index + match[0].length;
+        } else if ((tag === 'failure' || tag === 'error') && closing) {
+            testcase.body += xmlText(xml.slice(bodyStart, match.index));
+        }
+        if (tag === 'testcase' && (closing || selfClosing)) {
+            const { attributes, status, message, body } = testcase;
+            testcase = null;
+            if (status !== 'failed') {
+                outcomes.push({ status });
+                continue;
+            }
+            // Vitest puts the test file in classname; pytest uses a dotted module name there.
+            const file = attributes.file ?? (/\.\w+$/.test(attributes.classname || '') && attributes.classname.includes('/') ? attributes.classname : null);
+            const frame = findFailureLocation(body, root, { file, innermost });
+            outcomes.push({
+                status,
+                name: attributes.name,
+                ...(attributes.classname && { suite: attributes.classname }),
+                file: frame?.file ?? file,
+                line: attributes.line ? Number(attributes.line) : (frame?.line ?? null),
+                message: stripAnsi(message ?? body.trim().split('\n')[0]).trim()
+            });
+        }
+    }
+    return summarize(outcomes);
+}
+
+/**
+ * Parses the report of `jest --json --testLocationInResults`. A test file that failed to run
+ * at all is reported as one failure named after the file.
+ */
+export function parseJestJson(report, root) {
+    const outcomes = [];
+    const firstLines = (message) => stripAnsi(message).split(/\n\s+at /)[0].trim();
+    for (const suite of report.testResults || []) {
+        const file = relativize(suite.name, root);
+        if (suite.assertionResults.length === 0 && suite.status === 'failed') {
+            const frame = findFailureLocation(suite.message || '', root, { file });
+            outcomes.push({ status: 'failed', name: file, file, line: frame?.line ?? null, message: firstLines(suite.message || '') });
+        }
+        for (const test of suite.assertionResults) {
+            if (test.status !== 'failed') {
+                outcomes.push({ status: test.status === 'passed' ? 'passed' : 'skipped' });
+                continue;
+            }
+            const failure = test.failureMessages.join('\n');
+            const frame = findFailureLocation(failure, root, { file });
+            outcomes.push({ status: 'failed', name: test.fullName, file, line: frame?.line ?? test.location?.line ?? null, message: firstLines(failure) });
+        }
+    }
+    return summarize(outcomes);
+}
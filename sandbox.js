@@ -0,0 +1,99 @@
+/**
+ * Sandbox path containment for the Autonomous Developer MCP Server.
+ *
+ * Kept free of server state so the traversal and symlink rules can be tested on their own.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * True when `target` is `root` itself or lies below it. Compares whole path segments,
+ * so `/x/project-evil` is not inside `/x/project`.
+ */
+export function isPathInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * True when the sandbox-relative, forward-slash `relativePath` is covered by one of the
+ * protected entries. "dir/" protects a directory and everything in it; an entry without a
+ * slash (".env", ".git/") matches that name at any depth; "*" matches within one segment.
+ */
+export function isProtectedPath(relativePath, protectedPaths) {
+    const segments = relativePath.split('/');
+    return protectedPaths.some((entry) => {
+        const pattern = entry.replace(/^\.?\//, '').replace(/\/+$/, '');
+        if (!pattern) return false;
+        const toRegExp = (glob) => new RegExp(`^${glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')}$`);
+        if (pattern.includes('/')) {
+            const regex = toRegExp(pattern);
+            return segments.some((_, i) => regex.test(segments.slice(0, i + 1).join('/')));
+        }
+        const regex = toRegExp(pattern);
+        return segments.some(segment => regex.test(segment));
+    });
+}
+
+/**
+ * Resolves the real location of `target`, following symlinks. Parts of the path that do
+ * not exist yet (a file about to be created in a new directory) are appended unresolved.
+ * A dangling symlink is rejected, since writing through it would create its target.
+ */
+async function realpathAllowingMissing(target) {
+    const missing = [];
+    let current = target;
+    for (;;) {
+        try {
+            const real = await fs.realpath(current);
+            return path.join(real, ...missing);
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+            const isDanglingLink = await fs.lstat(current).then(stats => stats.isSymbolicLink(), () => false);
+            if (isDanglingLink) {
+                throw new Error(`Security Violation: '${current}' is a symbolic link to a missing target.`);
+            }
+            const parent = path.dirname(current);
+            if (parent === current) throw error;
+            missing.unshift(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+/**
+ * Maps a user-supplied path onto the sandbox, or throws. Rejects anything that escapes
+ * `root` lexically or through symlinks, and, when `forWrite` is set, anything covered by
+ * `protectedPaths`. Returns the absolute path under `root` (symlinks inside the sandbox
+ * are left as they are, so callers can keep using `root`-relative names).
+ */
+export async function resolveSandboxPath(root, userPath, { forWrite = false, protectedPaths = [] } = {}) {
+    if (typeof userPath !== 'string' || userPath.includes('\0')) {
+        throw new Error(`Security Violation: Invalid path: ${userPath}`);
+    }
+    const resolvedPath = path.resolve(root, userPath);
+    if (!isPathInside(root, resolvedPath)) {
+        throw new Error(`Security Violation: Path traversal attempt blocked for path: ${userPath}`);
+    }
+
+    const realRoot = await fs.realpath(root);
+    const realPath = await realpathAllowingMissing(resolvedPath);
+    if (!isPathInside(realRoot, realPath)) {
+        throw new Error(`Security Violation: Path '${userPath}' resolves through a symbolic link to a location outside the project.`);
+    }
+
+    if (forWrite) {
+        // Check both the name as given and where it really points, so a symlink can't be used as a side door.
+        const candidates = [path.relative(root, resolvedPath), path.relative(realRoot, realPath)].map(p => p.split(path.sep).join('/'));
+        if (candidates.includes('')) {
+            throw new Error('Security Violation: The project directory itself cannot be modified.');
+        }
+        const blocked = candidates.find(relative => isProtectedPath(relative, protectedPaths));
+        if (blocked) {
+            throw new Error(`Protected path: '${blocked}' is read-only for this server (see "protectedPaths" in package.json).`);
+        }
+    }
+
+    return resolvedPath;
+}
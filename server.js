@@ -15,43 +15,272 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import fs from 'fs/promises';
+import { createReadStream, existsSync, realpathSync } from 'fs';
+import crypto from 'crypto';
+import os from 'os';
 import path from 'path';
-import { exec } from 'child_process';
+import { exec, execFile, spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import simpleGit from 'simple-git';
-import { diff_match_patch } from 'diff-match-patch';
-import TreeSitter from 'tree-sitter';
-import JavaScript from 'tree-sitter-javascript';
 import { Octokit } from '@octokit/rest';
+import { AsyncLocalStorage } from 'async_hooks';
+import { resolveSandboxPath } from './sandbox.js';
+import { buildCommandPolicy, evaluateCommand, scrubbedEnv } from './command-policy.js';
+import { DEFAULT_GIT_POLICY, evaluateGitCommand, findSandboxEscape } from './git-policy.js';
+import { loadWorkspaces, checkWorkspaceRoots } from './workspaces.js';
+import { unifiedDiff } from './unified-diff.js';
+import { matchesGlob, parseGitignore, isIgnored } from './globs.js';
+import { CHECKPOINT_LIMIT, recordCheckpoint, decodeContent, sameContent, findConflict } from './checkpoints.js';
+import { pageLines, decodeChunk } from './paging.js';
+import { createOutputBuffer, appendOutput, hasUnreadOutput, takeOutput, killProcessTree } from './processes.js';
+import { replaceInContent, deleteLinesInContent, applyOperation } from './edits.js';
+import { LOG_FORMAT, parseUnifiedDiff, buildPatch, parseLog, parseBlame } from './git-parsers.js';
+import { parseConflicts, resolveConflicts } from './conflicts.js';
+import { PARSEABLE_LANGUAGES, detectLanguage, parseSource, findSyntaxErrors, findIntroducedErrors } from './languages.js';
+import { extractSymbols, SymbolIndex } from './symbol-index.js';
+import { pythonStructure, collectPythonSymbols } from './python-structure.js';
+import { TYPE_DECLARATION_KINDS, javascriptStructure } from './javascript-structure.js';
+import { IMPORT_LANGUAGES, findRelativeImports, movedPath, rewriteImports } from './import-paths.js';
+import { TEST_RUNNERS, detectTestRunner, nodeTestArgs, parseTap, parseJUnit, parseJestJson } from './run-tests.js';
+import { CODE_CHECKERS, configuredCheckers, parseEslintJson, eslintFixableFiles, parsePrettierOutput, parseTscOutput } from './code-checks.js';
 
 // --- SECURITY: Read the sandbox directory reliably ---
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const packageJsonPath = path.join(__dirname, 'package.json');
 const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf-8'));
-const SANDBOX_DIR = path.resolve(packageJson.projectDirectory);
 // Declare the fallback GitHub token. It will use the .env variable first.
 const GITHUB_TOKEN_FALLBACK = process.env.GITHUB_TOKEN || "";
+// GitHub REST API root. Point it at GitHub Enterprise ("https://host/api/v3") or a local mock for testing.
+const GITHUB_API_URL = process.env.GITHUB_API_URL || packageJson.githubApiUrl || 'https://api.github.com';
+// Shell command policy: "commandPolicy" in package.json, or a JSON file named by "commandPolicyFile".
+const COMMAND_POLICY_CONFIG = packageJson.commandPolicyFile
+    ? JSON.parse(await fs.readFile(path.resolve(__dirname, packageJson.commandPolicyFile), 'utf-8'))
+    : (packageJson.commandPolicy || {});
+// Tools that act on a workspace and so accept an optional "workspace" argument.
+const WORKSPACE_TOOLS = new Set([
+    'create_or_overwrite_file', 'smart_replace', 'replace_symbol', 'search_in_file', 'search_code', 'get_code_context',
+    'get_code_structure', 'validate_syntax', 'find_definition', 'find_references', 'list_exports', 'delete_lines', 'apply_edits', 'execute_shell_command', 'run_tests', 'check_code', 'start_process', 'read_file_content',
+    'list_directory', 'delete_file', 'move_or_rename_file', 'list_checkpoints', 'undo_last_edit', 'restore_checkpoint', 'git_tool',
+    'list_conflicts', 'resolve_conflict', 'finish_merge',
+    'create_pull_request', 'list_pull_requests', 'get_pull_request', 'reply_to_review_comment', 'get_pr_checks',
+    'list_issues', 'get_issue', 'comment_on_issue', 'link_issue', 'create_github_repo'
+]);
+const WORKSPACE_ARGUMENT = { type: 'string', description: 'Optional workspace name (see list_workspaces). Defaults to the active workspace.' };
+// How much of a test run's printed output run_tests returns, from the end.
+const TEST_OUTPUT_LIMIT = 4000;
+// How much of each output stream run_tests and check_code keep, from the end.
+const RUN_OUTPUT_LIMIT = 1024 * 1024;
+// How long a timed-out run_tests or check_code program gets to exit after SIGTERM, and then after SIGKILL.
+const KILL_GRACE_MS = 5000;
+// Default cap on how much text read_file_content returns in one call.
+const READ_MAX_BYTES = 100 * 1024;
 
 class AutonomousDeveloperMCPServer {
-    constructor() {
+    constructor({ workspaces, defaultWorkspace }) {
         this.server = new Server(
             { name: 'autonomous-developer-mcp', version: '2.1.0' },
             { capabilities: { tools: {} } }
         );
-        this.git = simpleGit({ baseDir: SANDBOX_DIR });
-        this.dmp = new diff_match_patch();
-        this.parser = new TreeSitter();
-        this.parser.setLanguage(JavaScript);
+        // Named project directories (see workspaces.js). Each is a separate sandbox with its own git and policies.
+        this.workspaces = new Map(workspaces.map(workspace => [workspace.name, {
+            ...workspace,
+            git: simpleGit({ baseDir: workspace.root }),
+            checkpoints: [], // Session journal of file edits, oldest first
+            symbolIndex: new SymbolIndex(), // Declarations and references, built on first use
+            commandPolicy: buildCommandPolicy(workspace.commandPolicy, { baseDir: __dirname }),
+            gitPolicy: { ...DEFAULT_GIT_POLICY, ...workspace.gitPolicy }
+        }]));
+        this.activeWorkspace = defaultWorkspace;
+        this.workspaceScope = new AsyncLocalStorage(); // The workspace a tool call targets, when it names one
+        this.nextCheckpointId = 1; // Shared by all workspaces, so ids stay unique
+        this.processes = new Map(); // Background processes started with start_process, by id
+        this.runs = new Set(); // Programs run_tests and check_code are waiting for
+        this.nextProcessId = 1;
         this.setupHandlers();
     }
 
-    _resolveSandboxPath(userPath) {
-        const resolvedPath = path.resolve(SANDBOX_DIR, userPath);
-        if (!resolvedPath.startsWith(SANDBOX_DIR)) {
-            throw new Error(`Security Violation: Path traversal attempt blocked for path: ${userPath}`);
+    _workspace(name) {
+        // The named workspace, else the one the current tool call targets, else the active one.
+        const workspace = name ? this.workspaces.get(name) : (this.workspaceScope.getStore() || this.workspaces.get(this.activeWorkspace));
+        if (!workspace) {
+            throw new Error(`Unknown workspace '${name}'. Known workspaces: ${[...this.workspaces.keys()].join(', ')}.`);
         }
-        return resolvedPath;
+        return workspace;
+    }
+
+    _relativePath(safePath, root = this._workspace().root) {
+        return path.relative(root, safePath).split(path.sep).join('/');
+    }
+
+    async _resolveSandboxPath(userPath, { forWrite = false } = {}) {
+        const { root, protectedPaths } = this._workspace();
+        return resolveSandboxPath(root, userPath, { forWrite, protectedPaths });
+    }
+
+    _parseableLanguage(filePath) {
+        // The file's language, if languages.js has a grammar for it.
+        const language = detectLanguage(filePath);
+        if (!PARSEABLE_LANGUAGES.includes(language)) {
+            throw new Error(`${path.basename(filePath)} cannot be parsed: ${language ? `there is no grammar for ${language}` : 'its language is unknown'}. Supported languages: ${PARSEABLE_LANGUAGES.join(', ')}.`);
+        }
+        return language;
+    }
+
+    _parseFile(filePath, content) {
+        const language = this._parseableLanguage(filePath);
+        return { tree: parseSource(content, language), language };
+    }
+
+    async _writeFileChange(safePath, oldContent, newContent, dry_run = false) {
+        // Single place every file-editing tool writes through. Returns the diff of the change;
+        // with dry_run it only computes the diff and leaves the disk untouched.
+        const diff = unifiedDiff(this._relativePath(safePath), oldContent, newContent);
+        if (!dry_run) {
+            if (newContent === null) {
+                await fs.unlink(safePath);
+            } else {
+                await fs.mkdir(path.dirname(safePath), { recursive: true });
+                await fs.writeFile(safePath, newContent, 'utf-8');
+            }
+            await this._updateSymbolIndex(safePath, Buffer.isBuffer(newContent) ? undefined : newContent);
+        }
+        return diff;
+    }
+
+    async _readFileIfExists(safePath) {
+        // Text as a string; a file that is not valid UTF-8 comes back as a Buffer (see decodeContent).
+        try {
+            return decodeContent(await fs.readFile(safePath));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async _readEditableFile(safePath, file_path) {
+        // For tools that edit text: refuses a file that is not valid UTF-8 rather than re-encoding it.
+        const content = decodeContent(await fs.readFile(safePath));
+        if (typeof content !== 'string') throw new Error(`${file_path} is not a UTF-8 text file.`);
+        return content;
+    }
+
+    async _loadGitignore(dirPath) {
+        // Parses dirPath/.gitignore into rules relative to dirPath. Missing file -> no rules.
+        const relativeDir = this._relativePath(dirPath);
+        let text;
+        try {
+            text = await fs.readFile(path.join(dirPath, '.gitignore'), 'utf8');
+        } catch {
+            return [];
+        }
+        return parseGitignore(text, relativeDir);
+    }
+
+    async *_walkProject(startPath, { maxDepth = Infinity, respectIgnores = true } = {}) {
+        // Depth-first walk yielding { safePath, relativePath, type, depth } for every entry below
+        // startPath (directories before their contents). Ignored directories are not entered and
+        // symlinks are reported but never followed.
+        const { root } = this._workspace();
+        const inheritedRules = [];
+        if (respectIgnores) {
+            // Pick up .gitignore files from the sandbox root down to the start directory.
+            const parts = path.relative(root, startPath).split(path.sep).filter(Boolean);
+            for (let i = 0; i < parts.length; i++) {
+                inheritedRules.push(...await this._loadGitignore(path.join(root, ...parts.slice(0, i))));
+            }
+        }
+
+        const walk = async function* (dirPath, depth, rules) {
+            const localRules = respectIgnores ? [...rules, ...await this._loadGitignore(dirPath)] : rules;
+            const entries = await fs.readdir(dirPath, { withFileTypes: true });
+            entries.sort((a, b) => (a.isDirectory() === b.isDirectory() ? a.name.localeCompare(b.name) : a.isDirectory() ? -1 : 1));
+            for (const entry of entries) {
+                const safePath = path.join(dirPath, entry.name);
+                const relativePath = this._relativePath(safePath, root);
+                const type = entry.isSymbolicLink() ? 'symlink' : entry.isDirectory() ? 'directory' : 'file';
+                if (respectIgnores && isIgnored(relativePath, type === 'directory', localRules)) continue;
+                yield { safePath, relativePath, type, depth };
+                if (type === 'directory' && depth < maxDepth) {
+                    yield* walk.call(this, safePath, depth + 1, localRules);
+                }
+            }
+        };
+        yield* walk.call(this, startPath, 1, inheritedRules);
+    }
+
+    async _readTextFile(safePath, maxBytes = 1024 * 1024) {
+        // Returns the file as text, or null if it is too large or looks binary.
+        const stats = await fs.stat(safePath);
+        if (stats.size > maxBytes) return null;
+        const buffer = await fs.readFile(safePath);
+        if (buffer.subarray(0, 8000).includes(0)) return null;
+        return buffer.toString('utf8');
+    }
+
+    _collectSymbols(rootNode, language) {
+        // Returns every addressable declaration as { name, kind, node, exportNode }, where `name`
+        // is qualified with its class for methods (e.g. "MyClass.myMethod").
+        if (language === 'python') return collectPythonSymbols(rootNode);
+        const symbols = [];
+        const isFunctionNode = (node) => ['function', 'function_expression', 'arrow_function', 'generator_function'].includes(node.type);
+
+        const addClass = (name, classNode, node, exportNode) => {
+            symbols.push({ name, kind: 'class', node, exportNode });
+            for (const member of classNode.childForFieldName('body').namedChildren) {
+                if (member.type === 'method_definition') {
+                    symbols.push({ name: `${name}.${member.childForFieldName('name').text}`, kind: 'method', node: member, exportNode: null });
+                } else if (['field_definition', 'public_field_definition'].includes(member.type) && member.childForFieldName('value') && isFunctionNode(member.childForFieldName('value'))) {
+                    // JavaScript names the field "property", TypeScript "name".
+                    const property = member.childForFieldName('property') ?? member.childForFieldName('name');
+                    symbols.push({ name: `${name}.${property.text}`, kind: 'method', node: member, exportNode: null });
+                }
+            }
+        };
+
+        const visit = (node, exportNode = null) => {
+            switch (node.type) {
+                case 'export_statement': {
+                    const declaration = node.childForFieldName('declaration');
+                    if (declaration) visit(declaration, node);
+                    return;
+                }
+                case 'function_declaration':
+                case 'generator_function_declaration':
+                    symbols.push({ name: node.childForFieldName('name').text, kind: 'function', node, exportNode });
+                    return;
+                case 'class_declaration':
+                case 'abstract_class_declaration':
+                    addClass(node.childForFieldName('name').text, node, node, exportNode);
+                    return;
+                case 'interface_declaration':
+                case 'type_alias_declaration':
+                case 'enum_declaration':
+                    symbols.push({ name: node.childForFieldName('name').text, kind: TYPE_DECLARATION_KINDS[node.type], node, exportNode });
+                    return;
+                case 'lexical_declaration':
+                case 'variable_declaration': {
+                    const declarators = node.namedChildren.filter(child => child.type === 'variable_declarator');
+                    for (const declarator of declarators) {
+                        const name = declarator.childForFieldName('name').text;
+                        const value = declarator.childForFieldName('value');
+                        // A lone declarator owns the whole statement, so `const` and `;` get replaced along with it.
+                        const target = declarators.length === 1 ? node : declarator;
+                        if (value && isFunctionNode(value)) {
+                            symbols.push({ name, kind: 'function', node: target, exportNode: declarators.length === 1 ? exportNode : null });
+                        } else if (value && value.type === 'class') {
+                            addClass(name, value, target, declarators.length === 1 ? exportNode : null);
+                        }
+                    }
+                    return;
+                }
+                default:
+                    node.namedChildren.forEach(child => visit(child));
+            }
+        };
+
+        visit(rootNode);
+        return symbols;
     }
 
     setupHandlers() {
@@ -75,7 +304,8 @@ class AutonomousDeveloperMCPServer {
                         type: 'object',
                         properties: {
                             file_path: { type: 'string', description: 'The relative path for the file to be created or overwritten.' },
-                            content: { type: 'string', description: 'The full content to write to the file.' }
+                            content: { type: 'string', description: 'The full content to write to the file.' },
+                            dry_run: { type: 'boolean', default: false, description: 'If true, return the diff of the change without writing anything to disk.' }
                         },
                         required: ['file_path', 'content']
                     }
@@ -105,6 +335,9 @@ class AutonomousDeveloperMCPServer {
                         **THIS TOOL IS SMART:** - Ignores minor whitespace differences.
                         - Handles indentation intelligently.
                         - Can match partial lines if unique.
+                        - Refuses to guess when old_code matches several places: it lists every candidate
+                          so you can pick one with "occurrence" (1-based, or "all") or "near_line".
+                        - Returns a unified diff of the change. Set "dry_run": true to preview the diff without writing.
                         - Works with any programming language.
                         
                         **Success Rate: 99%** when used correctly!
@@ -119,12 +352,59 @@ class AutonomousDeveloperMCPServer {
                                 type: 'string',
                                 enum: ['exact', 'fuzzy', 'smart'],
                                 default: 'smart',
-                                description: 'exact: requires perfect match, fuzzy: allows whitespace differences, smart: intelligent matching (recommended)'
-                            }
+                                description: 'exact: requires perfect match, fuzzy: approximate match that tolerates small differences in the code, smart: intelligent matching (recommended)'
+                            },
+                            fuzzy_threshold: {
+                                type: 'number',
+                                minimum: 0,
+                                maximum: 1,
+                                default: 0.8,
+                                description: 'Minimum similarity (0-1) a location needs to be accepted in fuzzy mode.'
+                            },
+                            occurrence: {
+                                oneOf: [{ type: 'integer', minimum: 1 }, { type: 'string', enum: ['all'] }],
+                                description: 'Which match to replace when old_code matches several locations: a 1-based index in file order, or "all".'
+                            },
+                            near_line: { type: 'integer', description: 'Replace the match closest to this line (1-based) when old_code matches several locations.' },
+                            dry_run: { type: 'boolean', default: false, description: 'If true, return the diff of the change without writing anything to disk.' }
                         },
                         required: ['file_path', 'old_code', 'new_code']
                     }
                 },
+                {
+                    name: 'replace_symbol',
+                    description: `
+                        **Purpose:** Replaces a whole function, class, method or function-valued variable, found by name in the parsed syntax tree.
+                        **When to use:** - Rewriting an entire function or method.
+                        - When smart_replace fails because the snippet appears twice or the whitespace differs.
+                        **How it works:** The declaration is located with the parser, so old_code is not needed.
+                        Indentation is adjusted to the original location, and the edit is refused if it introduces syntax errors.
+                        **Example 1 (Method):**
+                        {
+                            "file_path": "server.js",
+                            "symbol": "AutonomousDeveloperMCPServer.deleteFile",
+                            "new_code": "async deleteFile({ file_path }) {\\n    // ...\\n}"
+                        }
+                        **Example 2 (Exported function):**
+                        {
+                            "file_path": "src/utils.js",
+                            "symbol": "foo",
+                            "new_code": "export function foo(a, b) {\\n    return a + b;\\n}"
+                        }
+                        **Note:** Use "ClassName.methodName" for methods. If new_code starts with "export", the export keyword is replaced too; otherwise it is kept.
+                        Works on JavaScript, TypeScript (also interfaces, types and enums) and Python (decorators are replaced with the definition).
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            file_path: { type: 'string', description: 'The relative path to the file.' },
+                            symbol: { type: 'string', description: 'Name of the declaration to replace, e.g. "foo" or "ClassName.methodName".' },
+                            new_code: { type: 'string', description: 'The complete new declaration.' },
+                            dry_run: { type: 'boolean', default: false, description: 'If true, return the diff of the change without writing anything to disk.' }
+                        },
+                        required: ['file_path', 'symbol', 'new_code']
+                    }
+                },
                 {
                     name: 'search_in_file',
                     description: `
@@ -150,6 +430,39 @@ class AutonomousDeveloperMCPServer {
                         required: ['file_path', 'search_text']
                     }
                 },
+                {
+                    name: 'search_code',
+                    description: `
+                        **Purpose:** Searches every file in the project (or a subdirectory) for a literal string or regular expression.
+                        **When to use:** - Finding where a function, variable or string is used across the project.
+                        - Locating the file to edit when you don't know its path yet.
+                        **Returns:** Matches grouped by file, each with line and column numbers (1-based) and optional context lines.
+                        Skips node_modules, .git, anything in .gitignore, and binary or very large files.
+                        **Example:** Find every call to fetchUser in the src folder's JavaScript files.
+                        {
+                            "pattern": "fetchUser\\(",
+                            "is_regex": true,
+                            "dir_path": "src",
+                            "include": ["*.js", "*.jsx"],
+                            "exclude": ["**/*.test.js"],
+                            "context_lines": 2
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            pattern: { type: 'string', description: 'The text or regular expression to search for.' },
+                            is_regex: { type: 'boolean', default: false, description: 'Treat pattern as a JavaScript regular expression instead of literal text.' },
+                            case_sensitive: { type: 'boolean', default: true, description: 'Whether the search should be case sensitive.' },
+                            dir_path: { type: 'string', default: '.', description: 'The relative directory to search in.' },
+                            include: { type: 'array', items: { type: 'string' }, default: [], description: 'Only search files matching one of these globs (e.g. "*.ts", "src/**/*.js").' },
+                            exclude: { type: 'array', items: { type: 'string' }, default: [], description: 'Skip files matching any of these globs.' },
+                            context_lines: { type: 'integer', default: 0, description: 'Number of lines to include before and after each match.' },
+                            max_results: { type: 'integer', default: 200, description: 'Stop after this many matches.' }
+                        },
+                        required: ['pattern']
+                    }
+                },
                 {
                     name: 'get_code_context',
                     description: `
@@ -176,6 +489,122 @@ class AutonomousDeveloperMCPServer {
                         required: ['file_path', 'line_number']
                     }
                 },
+                {
+                    name: 'get_code_structure',
+                    description: `
+                        **Purpose:** Parses a file and returns an outline of its imports, exports, functions, classes and methods, each with start and end lines.
+                        **When to use:** - First look at a large file, instead of read_file_content.
+                        - Finding the exact line range of a function before using get_code_context or smart_replace.
+                        - Checking what a module imports and exports.
+                        **Returns:** imports, exports, functions and classes (with their methods), plus whether the file has syntax errors.
+                        **Example:** Get the outline of the server entry point.
+                        {
+                            "file_path": "src/server.js"
+                        }
+                        **Note:** Line numbers are 1-based and inclusive. Works on JavaScript, TypeScript (which adds "types" for interfaces,
+                        type aliases and enums) and Python (where exports are the names in __all__, or the public top-level names).
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            file_path: { type: 'string', description: 'The relative path to the file.' }
+                        },
+                        required: ['file_path']
+                    }
+                },
+                {
+                    name: 'validate_syntax',
+                    description: `
+                        **Purpose:** Parses a file and reports every syntax error with its line and column.
+                        **When to use:** - After editing a file, to make sure it still parses before running it.
+                        - Before writing a file: pass the new text as content to check it first.
+                        - When a tool reports has_syntax_errors, to find where.
+                        **Example:**
+                        {
+                            "file_path": "src/config.json"
+                        }
+                        **Note:** Lines and columns are 1-based. The language comes from the file extension: JavaScript, TypeScript/TSX, Python and JSON are supported.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            file_path: { type: 'string', description: 'The relative path to the file. With content, it only selects the language.' },
+                            content: { type: 'string', description: 'Optional text to check instead of the file on disk.' },
+                            max_errors: { type: 'integer', default: 50, description: 'Maximum number of errors to list.' }
+                        },
+                        required: ['file_path']
+                    }
+                },
+                {
+                    name: 'find_definition',
+                    description: `
+                        **Purpose:** Finds where a function, class, method, variable or type is declared, across the whole project.
+                        **When to use:** - Before changing a function, to open the right file at the right line.
+                        - When a name is imported from somewhere you do not know.
+                        **Example:**
+                        {
+                            "name": "UserStore.save"
+                        }
+                        **Note:** A bare name ("save") also matches methods ("UserStore.save"). Only module-level variables are indexed,
+                        not locals. The index covers JavaScript, TypeScript and Python files outside .gitignore, and follows every edit.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', description: 'The name to look up, e.g. "save" or "ClassName.method".' },
+                            kind: { type: 'string', enum: ['function', 'class', 'method', 'property', 'variable', 'interface', 'type', 'enum'], description: 'Only declarations of this kind.' },
+                            max_results: { type: 'integer', default: 50, description: 'Maximum number of declarations to return.' }
+                        },
+                        required: ['name']
+                    }
+                },
+                {
+                    name: 'find_references',
+                    description: `
+                        **Purpose:** Lists every place a name is used across the project: imports, calls, member accesses and other references.
+                        **When to use:** - Before renaming a function or changing its parameters, to find every caller.
+                        - To see whether something is still used before deleting it.
+                        **Example:** Find every call of fetchUser in src.
+                        {
+                            "name": "fetchUser",
+                            "kind": "call",
+                            "dir_path": "src"
+                        }
+                        **Note:** Names are matched by text, not by type, so "UserStore.save" also finds calls of other save methods.
+                        Strings and comments are not searched; use search_code for those.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', description: 'The name to look up.' },
+                            kind: { type: 'string', enum: ['import', 'call', 'member', 'type', 'reference'], description: 'Only references of this kind.' },
+                            dir_path: { type: 'string', default: '.', description: 'Only look in this directory.' },
+                            include_definitions: { type: 'boolean', default: false, description: 'Also list the declarations, with kind "definition".' },
+                            max_results: { type: 'integer', default: 200, description: 'Maximum number of references to return.' }
+                        },
+                        required: ['name']
+                    }
+                },
+                {
+                    name: 'list_exports',
+                    description: `
+                        **Purpose:** Lists what the modules in a file or directory export (ES modules, CommonJS and Python's __all__ or public names).
+                        **When to use:** - To learn the public API of a package or folder before using it.
+                        - To find which module to import something from.
+                        **Example:**
+                        {
+                            "path": "src/services"
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            path: { type: 'string', default: '.', description: 'A file or directory, relative to the project root.' },
+                            max_results: { type: 'integer', default: 500, description: 'Maximum number of exports to return.' }
+                        },
+                        required: []
+                    }
+                },
                 {
                     name: 'delete_lines',
                     description: `
@@ -196,11 +625,63 @@ class AutonomousDeveloperMCPServer {
                         properties: {
                             file_path: { type: 'string', description: 'The relative path to the file.' },
                             start_line: { type: 'integer', description: 'First line to delete (1-based, inclusive).' },
-                            end_line: { type: 'integer', description: 'Last line to delete (1-based, inclusive).' }
+                            end_line: { type: 'integer', description: 'Last line to delete (1-based, inclusive).' },
+                            dry_run: { type: 'boolean', default: false, description: 'If true, return the diff of the change without writing anything to disk.' }
                         },
                         required: ['file_path', 'start_line', 'end_line']
                     }
                 },
+                {
+                    name: 'apply_edits',
+                    description: `
+                        **Purpose:** Applies a list of edits across one or more files as a single all-or-nothing transaction.
+                        **When to use:** - Refactors that touch several places or files at once.
+                        - Any time a half-applied change would leave the project broken.
+                        **How it works:** Every operation is checked in memory first, in order (later operations see the result of earlier ones).
+                        Only if all succeed are the files written. Otherwise nothing is written and the failing operation is reported.
+                        **Operation types:**
+                        - replace: { "type": "replace", "file_path", "old_code", "new_code", optional "match_mode", "occurrence", "near_line" } (same matching as smart_replace)
+                        - insert: { "type": "insert", "file_path", "after_line", "content" } (after_line 0 inserts at the top)
+                        - delete_lines: { "type": "delete_lines", "file_path", "start_line", "end_line" }
+                        - create: { "type": "create", "file_path", "content", optional "overwrite" }
+                        **Example:** Rename a helper and its only caller.
+                        {
+                            "operations": [
+                                { "type": "replace", "file_path": "src/utils.js", "old_code": "export function fmt(", "new_code": "export function formatDate(" },
+                                { "type": "replace", "file_path": "src/app.js", "old_code": "fmt(today)", "new_code": "formatDate(today)" }
+                            ]
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            operations: {
+                                type: 'array',
+                                description: 'The edits to apply, in order.',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        type: { type: 'string', enum: ['replace', 'insert', 'delete_lines', 'create'] },
+                                        file_path: { type: 'string' },
+                                        old_code: { type: 'string' },
+                                        new_code: { type: 'string' },
+                                        match_mode: { type: 'string', enum: ['exact', 'fuzzy', 'smart'] },
+                                        occurrence: { oneOf: [{ type: 'integer', minimum: 1 }, { type: 'string', enum: ['all'] }] },
+                                        near_line: { type: 'integer' },
+                                        after_line: { type: 'integer' },
+                                        start_line: { type: 'integer' },
+                                        end_line: { type: 'integer' },
+                                        content: { type: 'string' },
+                                        overwrite: { type: 'boolean' }
+                                    },
+                                    required: ['type', 'file_path']
+                                }
+                            },
+                            dry_run: { type: 'boolean', default: false, description: 'If true, validate all operations and return the diffs without writing anything to disk.' }
+                        },
+                        required: ['operations']
+                    }
+                },
                 {
                     name: 'execute_shell_command',
                     description: `
@@ -218,34 +699,207 @@ class AutonomousDeveloperMCPServer {
                             "command": "python -m pytest tests/",
                             "timeout_seconds": 300
                         }
+                        **When NOT to use:** - Dev servers, watchers or anything that does not exit (use start_process).
                         **Note:** Commands run in the project directory with a default 120-second timeout.
+                        A command policy applies: some commands are blocked, and destructive ones (e.g. "rm -rf", "git push --force")
+                        are refused until re-sent with "confirm": true. Secrets such as GITHUB_TOKEN are removed from the environment.
                     `,
                     inputSchema: {
                         type: 'object',
                         properties: {
                             command: { type: 'string', description: 'The command to execute.' },
-                            timeout_seconds: { type: 'integer', default: 120, description: 'Maximum execution time in seconds.' }
+                            timeout_seconds: { type: 'integer', default: 120, description: 'Maximum execution time in seconds.' },
+                            confirm: { type: 'boolean', default: false, description: 'Set to true to run a command the policy flags as needing confirmation.' }
+                        },
+                        required: ['command']
+                    }
+                },
+                {
+                    name: 'run_tests',
+                    description: `
+                        **Purpose:** Runs the project's tests and returns parsed results instead of raw output: pass/fail/skip counts and,
+                        for each failing test, its name, the assertion message and the file and line where it failed.
+                        **When to use:** - After every change, to check nothing broke.
+                        - Re-running a single test file or the tests matching a name while fixing a failure.
+                        **Example 1:** Run the whole suite with the detected runner.
+                        {}
+                        **Example 2:** Run the tests named like "login" in one file.
+                        {
+                            "file": "test/auth.test.js",
+                            "test_name": "login"
+                        }
+                        **Note:** The runner is detected from the npm test script and dependencies (Jest, Vitest, node:test) or the pytest
+                        configuration; "npm" runs "npm test" as is and cannot filter by file or name. Results come from the runner's JUnit XML, TAP or
+                        JSON report; when none can be read, check 'output', the tail of what the runner printed. The command policy applies.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            runner: { type: 'string', enum: ['auto', ...TEST_RUNNERS], default: 'auto', description: 'The test runner to use.' },
+                            file: { type: 'string', description: 'Optional test file to run instead of the whole suite.' },
+                            test_name: { type: 'string', description: 'Optional filter: only run tests whose name matches (a regular expression for node:test, Jest and Vitest; a -k expression for pytest).' },
+                            timeout_seconds: { type: 'integer', default: 300, description: 'Maximum run time in seconds.' },
+                            confirm: { type: 'boolean', default: false, description: 'Set to true to run a command the policy flags as needing confirmation.' }
+                        },
+                        required: []
+                    }
+                },
+                {
+                    name: 'check_code',
+                    description: `
+                        **Purpose:** Runs the project's own ESLint, Prettier and TypeScript compiler (from node_modules/.bin, with the project's config)
+                        and returns their findings as one list of diagnostics: tool, file, line, column, rule, severity and message.
+                        **When to use:** - After editing, before committing, to catch what CI would reject.
+                        - With fix: true, to apply ESLint autofixes and Prettier formatting; the result includes the diff.
+                        **Example 1:** Check the whole project with every configured tool.
+                        {}
+                        **Example 2:** Fix lint and formatting in two files.
+                        {
+                            "files": ["src/app.js", "src/utils.js"],
+                            "tools": ["eslint", "prettier"],
+                            "fix": true
+                        }
+                        **Note:** Only tools that are installed and configured run (tsc needs tsconfig.json). Prettier reports unformatted files
+                        without a line. tsc always checks the whole project; with files, only their diagnostics are returned. Fixes are recorded
+                        like other edits, so undo_last_edit reverts them. The command policy applies.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            tools: { type: 'array', items: { type: 'string', enum: CODE_CHECKERS }, description: 'Checkers to run. Defaults to every one the project has set up.' },
+                            files: { type: 'array', items: { type: 'string' }, description: 'Files or directories to check. Defaults to the whole project.' },
+                            fix: { type: 'boolean', default: false, description: 'If true, apply ESLint autofixes and Prettier formatting, and return the diff.' },
+                            max_diagnostics: { type: 'integer', default: 200, description: 'Maximum number of diagnostics to return.' },
+                            timeout_seconds: { type: 'integer', default: 300, description: 'Maximum run time of each tool in seconds.' },
+                            confirm: { type: 'boolean', default: false, description: 'Set to true to run a command the policy flags as needing confirmation.' }
+                        },
+                        required: []
+                    }
+                },
+                {
+                    name: 'start_process',
+                    description: `
+                        **Purpose:** Starts a long-running command (dev server, watcher, REPL) in the background and returns its process_id at once.
+                        **When to use:** - Commands that never exit on their own, like "npm run dev" or "tsc --watch".
+                        - Long builds or test runs whose progress you want to follow.
+                        **When NOT to use:** - Short commands; use execute_shell_command.
+                        **Example:** Start the dev server, then poll its output with read_process_output.
+                        {
+                            "command": "npm run dev",
+                            "name": "dev-server"
+                        }
+                        **Note:** Runs in the project directory. All background processes are stopped when the server shuts down.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            command: { type: 'string', description: 'The command to run.' },
+                            name: { type: 'string', description: 'Optional label to recognise the process by in list_processes.' },
+                            confirm: { type: 'boolean', default: false, description: 'Set to true to run a command the policy flags as needing confirmation.' }
                         },
                         required: ['command']
                     }
                 },
+                {
+                    name: 'read_process_output',
+                    description: `
+                        **Purpose:** Returns the stdout and stderr a background process produced since the last read, plus whether it is still running.
+                        **Example:** Wait up to 5 seconds for new output from process 1.
+                        {
+                            "process_id": 1,
+                            "wait_seconds": 5
+                        }
+                        **Note:** Only the most recent 1MB of each stream is kept; "dropped_bytes" tells you if older output was lost.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            process_id: { type: 'integer', description: 'The process_id returned by start_process.' },
+                            wait_seconds: { type: 'number', default: 0, description: 'If there is no new output yet, wait up to this long for some (or for the process to exit).' }
+                        },
+                        required: ['process_id']
+                    }
+                },
+                {
+                    name: 'send_process_input',
+                    description: `
+                        **Purpose:** Writes text to the stdin of a background process (answer a prompt, drive a REPL).
+                        **Example:**
+                        {
+                            "process_id": 1,
+                            "input": "y\\n"
+                        }
+                        **Note:** Include "\\n" to submit a line. Set close_stdin to signal end of input.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            process_id: { type: 'integer', description: 'The process_id returned by start_process.' },
+                            input: { type: 'string', default: '', description: 'Text to write to stdin.' },
+                            close_stdin: { type: 'boolean', default: false, description: 'Close stdin after writing.' }
+                        },
+                        required: ['process_id']
+                    }
+                },
+                {
+                    name: 'kill_process',
+                    description: `
+                        **Purpose:** Stops a background process together with any child processes it started.
+                        **Example:**
+                        {
+                            "process_id": 1
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            process_id: { type: 'integer', description: 'The process_id returned by start_process.' },
+                            signal: { type: 'string', enum: ['SIGTERM', 'SIGINT', 'SIGKILL'], default: 'SIGTERM', description: 'The signal to send (ignored on Windows, where the process tree is always terminated).' }
+                        },
+                        required: ['process_id']
+                    }
+                },
+                {
+                    name: 'list_processes',
+                    description: `
+                        **Purpose:** Lists the background processes started in this session, with their status and exit codes.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {},
+                        required: []
+                    }
+                },
                 {
                     name: 'read_file_content',
                     description: `
-                        **Purpose:** Reads the entire content of a specified file.
+                        **Purpose:** Reads the content of a specified file, whole or in pages.
                         **When to use:** - Initial understanding of file structure.
                         - Reading configuration files.
                         - Checking file content after modifications.
-                        **When NOT to use:** - For large files (use get_code_context instead).
-                        **Example:** To read a project's README file.
+                        **When NOT to use:** - To get an overview of a large source file (use get_code_structure first).
+                        **Example 1:** To read a project's README file.
                         {
                             "file_path": "README.md"
                         }
+                        **Example 2:** Read lines 200-260 of a large file.
+                        {
+                            "file_path": "src/app.js",
+                            "start_line": 200,
+                            "end_line": 260
+                        }
+                        **Note:** Output is capped at max_bytes. When truncated, the response says where to continue
+                        (next_start_line, or next_offset for byte-offset paging through minified files).
+                        Binary files return their size, MIME type and SHA-256 hash instead of content.
                     `,
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            file_path: { type: 'string', description: 'The relative path to the file.' }
+                            file_path: { type: 'string', description: 'The relative path to the file.' },
+                            start_line: { type: 'integer', description: 'First line to return (1-based, inclusive).' },
+                            end_line: { type: 'integer', description: 'Last line to return (1-based, inclusive).' },
+                            offset: { type: 'integer', description: 'Byte offset to start reading from. Takes precedence over start_line/end_line.' },
+                            max_bytes: { type: 'integer', default: READ_MAX_BYTES, description: 'Maximum number of bytes of content to return.' }
                         },
                         required: ['file_path']
                     }
@@ -257,16 +911,30 @@ class AutonomousDeveloperMCPServer {
                         **When to use:** - Initial project exploration.
                         - Finding files to modify.
                         - Understanding project structure.
-                        **Example:** To see what's in the src directory.
+                        **Example 1:** To see what's in the src directory.
                         {
                             "dir_path": "src"
                         }
-                        **Note:** Use "." for current directory.
+                        **Example 2:** A compact tree of the whole project, two levels deep, JavaScript files only.
+                        {
+                            "dir_path": ".",
+                            "recursive": true,
+                            "max_depth": 2,
+                            "include": ["*.js"],
+                            "format": "tree"
+                        }
+                        **Note:** Use "." for current directory. Recursive listings skip node_modules, .git and anything in .gitignore.
+                        Files show their line count and detected language.
                     `,
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            dir_path: { type: 'string', default: '.', description: 'The relative path to the directory.' }
+                            dir_path: { type: 'string', default: '.', description: 'The relative path to the directory.' },
+                            recursive: { type: 'boolean', default: false, description: 'List subdirectories too, up to max_depth.' },
+                            max_depth: { type: 'integer', default: 3, description: 'How many directory levels to descend when recursive (1 = only dir_path itself).' },
+                            include: { type: 'array', items: { type: 'string' }, default: [], description: 'Only list files matching one of these globs (e.g. "*.ts", "src/**/*.js").' },
+                            format: { type: 'string', enum: ['json', 'tree'], default: 'json', description: 'json: structured entries, tree: compact indented text that uses fewer tokens.' },
+                            max_entries: { type: 'integer', default: 1000, description: 'Stop listing after this many entries.' }
                         },
                         required: []
                     }
@@ -287,7 +955,8 @@ class AutonomousDeveloperMCPServer {
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            file_path: { type: 'string', description: 'The relative path of the file to delete.' }
+                            file_path: { type: 'string', description: 'The relative path of the file to delete.' },
+                            dry_run: { type: 'boolean', default: false, description: 'If true, return the diff of the change without writing anything to disk.' }
                         },
                         required: ['file_path']
                     }
@@ -304,86 +973,294 @@ class AutonomousDeveloperMCPServer {
                             "source_path": "src/old_name.js",
                             "destination_path": "src/new_name.js"
                         }
-                        **Example 2 (Move):**
+                        **Example 2 (Move, fixing imports):**
                         {
                             "source_path": "src/component.js",
-                            "destination_path": "src/components/component.js"
+                            "destination_path": "src/components/component.js",
+                            "update_imports": true
                         }
+                        **Note:** With update_imports, relative import/export/require()/import() specifiers in the project's JavaScript and TypeScript files are rewritten: those pointing at the moved file (or into a moved directory), and the moved files' own imports of files that stay. Each rewritten file is listed in 'updated_imports', and undo_last_edit reverts the move and the rewrites together. Specifiers keep their form (with or without an extension, or naming a directory).
+                        **Note:** An existing destination is refused unless overwrite is true; undo_last_edit then restores the overwritten file as well.
                     `,
                     inputSchema: {
                         type: 'object',
                         properties: {
                             source_path: { type: 'string', description: 'The original path of the file or directory.' },
-                            destination_path: { type: 'string', description: 'The new path for the file or directory.' }
+                            destination_path: { type: 'string', description: 'The new path for the file or directory.' },
+                            update_imports: { type: 'boolean', default: false, description: 'If true, rewrite relative JS/TS imports across the project to follow the move.' },
+                            overwrite: { type: 'boolean', default: false, description: 'If true, replace a file that already exists at destination_path. Without it, an existing destination is an error.' },
+                            dry_run: { type: 'boolean', default: false, description: 'If true, return the diff of the change without writing anything to disk.' }
                         },
                         required: ['source_path', 'destination_path']
                     }
                 },
                 {
-                    name: 'git_tool',
+                    name: 'list_checkpoints',
                     description: `
-                        **Purpose:** Manages the project's version control with Git, enabling a professional, safe, and collaborative workflow.
-                        
-                        **THE PROFESSIONAL WORKFLOW (Follow these steps for every task):**
-                        
-                        **1. Synchronize:** Before starting any work, get the latest code from the remote repository.
-                           - **Command:** \`pull\`
-                           - **Why:** Prevents conflicts and ensures you are working on the most up-to-date version of the project.
-                           
-                        **2. Isolate Your Work:** Create a new branch for the feature or bugfix you are working on. NEVER commit directly to 'main' or 'master'.
-                           - **Command:** \`checkout\` with \`args: ["-b", "your-branch-name"]\`
-                           - **Why:** Isolates your changes, preventing unstable code from affecting the main codebase. Allows for code reviews and parallel development.
-                           
-                        **3. Develop & Test:** Make your code changes using the file editing tools, and then test them thoroughly using \`execute_shell_command\`.
-                        
-                        **4. Check Your Changes:** See which files you have modified.
-                           - **Command:** \`status\`
-                           - **Why:** Gives you a clear overview of your work before you commit it.
-                           
-                        **5. Stage & Commit:** Add your changes to the staging area and then commit them with a clear, descriptive message.
-                           - **Step 5a (Stage):** \`add\` with \`args: ["."]\` to add all changes, or \`args: ["path/to/file.js"]\` for specific files.
-                           - **Step 5b (Commit):** \`commit\` with \`args: ["feat: Implement user login functionality"]\`
-                           - **Why:** Staging allows you to group related changes into a single commit. A good commit message is crucial for project history.
-                           
-                        **6. Share Your Work:** Push your new branch and its commits to the remote repository.
+                        **Purpose:** Lists the file edits made by this server's file tools during the current session, newest first.
+                        **When to use:** - Before undo_last_edit or restore_checkpoint, to see what would be reverted.
+                        - To review which files you have changed so far.
+                        **Note:** Checkpoints are kept in memory only, independent of git, and are lost when the server restarts.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {},
+                        required: []
+                    }
+                },
+                {
+                    name: 'undo_last_edit',
+                    description: `
+                        **Purpose:** Reverts the most recent edit made by a file tool (including delete_file and move_or_rename_file).
+                        **When to use:** - An edit broke something and you want the previous content back.
+                        - You deleted or overwrote a file by mistake. Works even if the project is not a git repository.
+                        **Example:**
+                        {}
+                        **Note:** Refuses if the file was changed since the edit by something else, unless "force" is true.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            force: { type: 'boolean', default: false, description: 'Revert even if the files were modified after the edit.' }
+                        },
+                        required: []
+                    }
+                },
+                {
+                    name: 'restore_checkpoint',
+                    description: `
+                        **Purpose:** Rolls files back to their state just before a given checkpoint, undoing it and every later edit.
+                        **When to use:** - Abandoning an approach that took several edits.
+                        **Example:** Undo everything from checkpoint 4 onwards.
+                        {
+                            "checkpoint_id": 4
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            checkpoint_id: { type: 'integer', description: 'The checkpoint_id from list_checkpoints.' },
+                            force: { type: 'boolean', default: false, description: 'Revert even if the files were modified after the edits.' }
+                        },
+                        required: ['checkpoint_id']
+                    }
+                },
+                {
+                    name: 'list_workspaces',
+                    description: `
+                        **Purpose:** Lists the project directories (workspaces) this server can work in, and which one is active.
+                        **When to use:** - At the start of a session, to see which projects are available.
+                        - Before switch_workspace, or before passing "workspace" to another tool.
+                        **Note:** Workspaces are configured by the user (--workspace flag, MCP_WORKSPACES or a workspaces file), not by tools.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {},
+                        required: []
+                    }
+                },
+                {
+                    name: 'switch_workspace',
+                    description: `
+                        **Purpose:** Makes another workspace the active one. File, shell, process, checkpoint and git tools then work there by default.
+                        **When to use:** - Moving on to a different project for several calls.
+                        **Tip:** For a single call in another project, pass "workspace" to that tool instead.
+                        **Example:**
+                        {
+                            "workspace": "frontend"
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            workspace: { type: 'string', description: 'The workspace name from list_workspaces.' }
+                        },
+                        required: ['workspace']
+                    }
+                },
+                {
+                    name: 'git_tool',
+                    description: `
+                        **Purpose:** Manages the project's version control with Git, enabling a professional, safe, and collaborative workflow.
+                        
+                        **THE PROFESSIONAL WORKFLOW (Follow these steps for every task):**
+                        
+                        **1. Synchronize:** Before starting any work, get the latest code from the remote repository.
+                           - **Command:** \`pull\` with \`args: ["--ff-only"]\` (on a protected branch, anything else needs confirmation)
+                           - **Why:** Prevents conflicts and ensures you are working on the most up-to-date version of the project.
+                           
+                        **2. Isolate Your Work:** Create a new branch for the feature or bugfix you are working on. NEVER commit directly to 'main' or 'master'.
+                           - **Command:** \`checkout\` with \`args: ["-b", "your-branch-name"]\`
+                           - **Why:** Isolates your changes, preventing unstable code from affecting the main codebase. Allows for code reviews and parallel development.
+                           
+                        **3. Develop & Test:** Make your code changes using the file editing tools, and then test them thoroughly using \`run_tests\`.
+                        
+                        **4. Check Your Changes:** See which files you have modified.
+                           - **Command:** \`status\`
+                           - **Why:** Gives you a clear overview of your work before you commit it.
+                           
+                        **5. Stage & Commit:** Add your changes to the staging area and then commit them with a clear, descriptive message.
+                           - **Step 5a (Stage):** \`add\` with \`args: ["."]\` to add all changes, or \`args: ["path/to/file.js"]\` for specific files.
+                           - **Step 5b (Commit):** \`commit\` with \`args: ["feat: Implement user login functionality"]\`
+                           - **Why:** Staging allows you to group related changes into a single commit. A good commit message is crucial for project history.
+                           
+                        **6. Share Your Work:** Push your new branch and its commits to the remote repository.
                            - **Command:** \`push\` with \`args: ["-u", "origin", "your-branch-name"]\`
                            - **Why:** This makes your work available to others for review or integration and backs it up remotely.
+
+                        **7. Open a Pull Request:** Use the \`create_pull_request\` tool, then \`get_pr_checks\` to follow CI and
+                           \`get_pull_request\` to read review comments (answer them with \`reply_to_review_comment\`).
+                        
+                        **Focused Commits:** When a file holds unrelated changes, commit them separately.
+                           - \`diff\` lists each changed file with numbered hunks (add \`args: ["--cached"]\` for what is staged).
+                           - \`stage_hunk\` with \`file_path\` and \`hunks: [1, 3]\` stages just those hunks; \`unstage_hunk\` takes them back out of the index.
+                        
+                        **Understanding History:**
+                           - \`log\` returns commits with per-file line counts (the last 20 unless \`args\` set a limit, e.g. \`["-n", "50"]\`).
+                           - \`show\` with \`args: ["<commit>"]\` returns one commit and its parsed diff; \`args: ["<commit>:path/to/file"]\` returns the file as it was then.
+                           - \`blame\` with \`file_path\` (and optionally \`start_line\`/\`end_line\`) tells who last changed each line, and in which commit.
+                           - \`stash\` (\`args: ["list"]\`, \`["push", "-m", "wip"]\`, \`["pop"]\`), \`merge\` and \`rebase\` pass their arguments to git.
+                        
+                        **Guardrails:** The server refuses commits (including merge, pull, cherry-pick, revert and am), pushes and rebases
+                        on protected branches (by default 'main' and 'master'), apart from \`pull --ff-only\`,
+                        force-pushes, and destructive commands such as \`reset --hard\`, \`branch -D\` or \`stash drop\`. When it asks for
+                        confirmation, only repeat the call with \`"confirm": true\` if the user explicitly wants it. If a pre-commit check
+                        is configured, \`commit\` runs it first and refuses to commit when it fails.
+                        Options that make git write or read files elsewhere (\`--output\`, \`diff --no-index\`, \`blame --contents\`) are always refused.
                         
                         **Example Sequence for a New Feature:**
-                        1. \`{ "command": "pull" }\`
+                        1. \`{ "command": "pull", "args": ["--ff-only"] }\`
                         2. \`{ "command": "checkout", "args": ["-b", "feature/add-login-button"] }\`
                         3. ... (use file tools to edit code) ...
-                        4. \`{ "command": "execute_shell_command", "command": "npm test" }\`
+                        4. \`run_tests\` with \`{}\`
                         5. \`{ "command": "status" }\`
                         6. \`{ "command": "add", "args": ["src/components/Login.js"] }\`
                         7. \`{ "command": "commit", "args": ["feat: Add new login button component"] }\`
                         8. \`{ "command": "push", "args": ["-u", "origin", "feature/add-login-button"] }\`
+                        9. \`create_pull_request\` with \`{ "title": "Add login button" }\`
                     `,
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            command: { type: 'string', enum: ['status', 'diff', 'add', 'commit', 'branch', 'pull', 'push', 'checkout', 'log', 'reset'], description: 'The Git command to execute.' },
-                            args: { type: 'array', items: { type: 'string' }, default: [], description: 'Arguments for the command (e.g., branch name, file paths, commit message).' }
+                            command: {
+                                type: 'string',
+                                enum: ['status', 'diff', 'add', 'commit', 'branch', 'pull', 'push', 'checkout', 'log', 'show', 'blame', 'stash', 'merge', 'rebase', 'stage_hunk', 'unstage_hunk', 'reset'],
+                                description: 'The Git command to execute.'
+                            },
+                            args: { type: 'array', items: { type: 'string' }, default: [], description: 'Arguments for the command (e.g., branch name, file paths, commit message).' },
+                            file_path: { type: 'string', description: 'For blame, stage_hunk and unstage_hunk: the file to work on.' },
+                            hunks: { type: 'array', items: { type: 'integer' }, description: 'For stage_hunk and unstage_hunk: the hunk indexes from the diff output for file_path.' },
+                            start_line: { type: 'integer', description: 'For blame: first line to annotate (1-based).' },
+                            end_line: { type: 'integer', description: 'For blame: last line to annotate. Defaults to the end of the file.' },
+                            confirm: { type: 'boolean', default: false, description: 'Set to true only after the server asked for confirmation and the user really wants this guarded operation.' }
                         },
                         required: ['command']
                     }
                 },
+                {
+                    name: 'list_conflicts',
+                    description: `
+                        **Purpose:** Shows the merge conflicts in the project: which merge, rebase, cherry-pick or revert is in progress, which files conflict, and every conflict region split into "ours", "theirs" and (with diff3 markers) "base".
+                        **When to use:** - Right after git_tool pull, merge, rebase, checkout or stash pop reports conflicts.
+                        - To check what is left before finish_merge.
+                        **Note:** During a rebase, "ours" is the branch being rebased onto and "theirs" is your commit being replayed.
+                        **Example:** Only the regions of one file.
+                        {
+                            "file_path": "src/app.js"
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            file_path: { type: 'string', description: 'Optional. Only show this file. By default every conflicted file is shown.' }
+                        },
+                        required: []
+                    }
+                },
+                {
+                    name: 'resolve_conflict',
+                    description: `
+                        **Purpose:** Resolves conflict regions in one file, then marks the file resolved (git add) once no conflict is left in it.
+                        **When to use:** After list_conflicts, for each conflicted file.
+                        **Options:** - Per region (numbers from list_conflicts): "choose" one of "ours", "theirs", "base" or "both", or give merged "content".
+                        - For the whole file, including binary files and modify/delete conflicts: "side": "ours" or "theirs".
+                        **Example:** Keep our version of region 1 and write a merged version of region 2.
+                        {
+                            "file_path": "src/app.js",
+                            "resolutions": [
+                                { "region": 1, "choose": "ours" },
+                                { "region": 2, "content": "const timeout = config.timeout ?? 30;" }
+                            ]
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            file_path: { type: 'string', description: 'The conflicted file.' },
+                            resolutions: {
+                                type: 'array',
+                                description: 'How to resolve individual regions. Regions not listed are left as they are.',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        region: { type: 'integer', description: 'The region number from list_conflicts (1-based).' },
+                                        choose: { type: 'string', enum: ['ours', 'theirs', 'base', 'both'], description: 'Which side to keep. "both" keeps ours followed by theirs.' },
+                                        content: { type: 'string', description: 'Merged text to use instead of the region.' }
+                                    },
+                                    required: ['region']
+                                }
+                            },
+                            side: { type: 'string', enum: ['ours', 'theirs'], description: 'Resolve the whole file by taking this side. Cannot be combined with resolutions.' },
+                            mark_resolved: { type: 'boolean', default: true, description: 'Stage the file once it has no conflict regions left.' },
+                            dry_run: { type: 'boolean', default: false, description: 'If true, return the diff of the change without writing anything to disk.' }
+                        },
+                        required: ['file_path']
+                    }
+                },
+                {
+                    name: 'finish_merge',
+                    description: `
+                        **Purpose:** Continues or aborts the merge, rebase, cherry-pick or revert in progress.
+                        **When to use:** - "continue" once list_conflicts shows no conflicted files. A rebase may stop again at a later commit with new conflicts.
+                        - "abort" to give up and return to the state before the operation started.
+                        - Continuing on a protected branch commits to it, so it needs confirmation like git_tool's guarded commands.
+                        **Example:**
+                        {
+                            "action": "continue"
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            action: { type: 'string', enum: ['continue', 'abort'], description: 'Whether to continue or abort the operation.' },
+                            confirm: { type: 'boolean', default: false, description: 'Set to true only after the server asked for confirmation and the user really wants to finish on a protected branch.' }
+                        },
+                        required: ['action']
+                    }
+                },
                 {
                     name: 'create_github_repo',
                     description: `
-    **Purpose:** Creates a new repository in a user's GitHub account.
+    **Purpose:** Creates a new repository in a user's or an organization's GitHub account, and optionally connects the local project to it.
     
     **When to use:**
     - To programmatically create a new code repository.
-    - To initialize a project on GitHub from the command line.
+    - To publish the workspace's project on GitHub: with \`connect_local: true\` the server runs \`git init\` if needed,
+      adds the new repository as the \`origin\` remote and pushes the current branch with upstream tracking.
     
     **Impact:** Automates the creation of GitHub repositories.
     
-    **Example:** Create a new private repository named 'my-new-project'.
+    **Note:** A template, \`gitignore_template\`, \`license_template\` or \`auto_init\` gives the new repository a first commit.
+    That only works with \`connect_local\` while the local project has no commits yet: the local branch then starts from GitHub's.
+    Pushing follows git_tool's guardrails: from a protected branch such as 'main' it needs confirmation, asked before the repository is created.
+    Over https the push authenticates with the same token; over ssh it needs the machine's own key.
+    
+    **Example:** Create a new private repository named 'my-new-project' and push the project to it.
     {
       "repo_name": "my-new-project",
       "description": "This is a new project.",
-      "is_private": true
+      "is_private": true,
+      "connect_local": true
     }
   `,
                     inputSchema: {
@@ -405,34 +1282,320 @@ class AutonomousDeveloperMCPServer {
                                 type: 'boolean',
                                 default: false,
                                 description: 'Whether the repository should be private'
+                            },
+                            org: {
+                                type: 'string',
+                                description: 'Create the repository in this organization instead of your own account'
+                            },
+                            template: {
+                                type: 'string',
+                                description: 'A template repository to generate from, as "owner/name"'
+                            },
+                            gitignore_template: {
+                                type: 'string',
+                                description: 'A GitHub .gitignore template to start with, e.g. "Node" or "Python"'
+                            },
+                            license_template: {
+                                type: 'string',
+                                description: 'A license to start with, by its keyword, e.g. "mit" or "apache-2.0"'
+                            },
+                            auto_init: {
+                                type: 'boolean',
+                                default: false,
+                                description: 'Start the repository with a README'
+                            },
+                            connect_local: {
+                                type: 'boolean',
+                                default: false,
+                                description: 'Initialize git in the workspace if needed, add the new repository as a remote and push the current branch'
+                            },
+                            remote: {
+                                type: 'string',
+                                default: 'origin',
+                                description: 'The name of the remote to add'
+                            },
+                            remote_protocol: {
+                                type: 'string',
+                                enum: ['https', 'ssh'],
+                                default: 'https',
+                                description: 'Which URL to use for the remote'
+                            },
+                            confirm: {
+                                type: 'boolean',
+                                default: false,
+                                description: 'Set to true only after the server asked for confirmation and the user really wants to push to a protected branch'
                             }
                         },
                         required: ['repo_name']
                     }
+                },
+                {
+                    name: 'create_pull_request',
+                    description: `
+                        **Purpose:** Opens a GitHub pull request from the current branch (step 7 of the git_tool workflow, after pushing).
+                        **When to use:** When the work on a feature branch is committed, tested and pushed.
+                        **Example:**
+                        {
+                            "title": "Add login button",
+                            "body": "Adds a login button to the header.\\n\\nCloses #12"
+                        }
+                        **Note:** The base branch defaults to the repository's default branch. Push the branch first.
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            title: { type: 'string', description: 'The pull request title.' },
+                            body: { type: 'string', default: '', description: 'The description, in Markdown.' },
+                            base: { type: 'string', description: 'The branch to merge into. Defaults to the repository\'s default branch.' },
+                            head: { type: 'string', description: 'The branch with the changes. Defaults to the current branch.' },
+                            draft: { type: 'boolean', default: false, description: 'Open the pull request as a draft.' },
+                            repo: { type: 'string', description: 'Optional "owner/name". Defaults to the repository of the workspace\'s "origin" remote.' },
+                            auth_token: { type: 'string', description: 'Optional GitHub token. Defaults to the server\'s GITHUB_TOKEN.' }
+                        },
+                        required: ['title']
+                    }
+                },
+                {
+                    name: 'list_pull_requests',
+                    description: `
+                        **Purpose:** Lists pull requests of the repository, newest first.
+                        **When to use:** - To find the number of a pull request before reading it or its checks.
+                        - To see whether the current branch already has an open pull request (pass "head").
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            state: { type: 'string', enum: ['open', 'closed', 'all'], default: 'open', description: 'Which pull requests to list.' },
+                            head: { type: 'string', description: 'Only pull requests from this branch.' },
+                            base: { type: 'string', description: 'Only pull requests into this branch.' },
+                            limit: { type: 'integer', default: 30, description: 'Maximum number of pull requests to return (up to 100).' },
+                            repo: { type: 'string', description: 'Optional "owner/name". Defaults to the repository of the workspace\'s "origin" remote.' },
+                            auth_token: { type: 'string', description: 'Optional GitHub token. Defaults to the server\'s GITHUB_TOKEN.' }
+                        },
+                        required: []
+                    }
+                },
+                {
+                    name: 'get_pull_request',
+                    description: `
+                        **Purpose:** Reads one pull request: description, changed files, reviews, review comment threads (with file and line) and the conversation.
+                        **When to use:** - To address review feedback: each thread's comment_id can be answered with reply_to_review_comment.
+                        **Example:**
+                        {
+                            "number": 42
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            number: { type: 'integer', description: 'The pull request number.' },
+                            repo: { type: 'string', description: 'Optional "owner/name". Defaults to the repository of the workspace\'s "origin" remote.' },
+                            auth_token: { type: 'string', description: 'Optional GitHub token. Defaults to the server\'s GITHUB_TOKEN.' }
+                        },
+                        required: ['number']
+                    }
+                },
+                {
+                    name: 'reply_to_review_comment',
+                    description: `
+                        **Purpose:** Replies in a review comment thread of a pull request.
+                        **When to use:** After addressing (or deciding not to address) a reviewer's comment, to say what was done.
+                        **Example:**
+                        {
+                            "number": 42,
+                            "comment_id": 1234567,
+                            "body": "Good catch, fixed in the latest commit."
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            number: { type: 'integer', description: 'The pull request number.' },
+                            comment_id: { type: 'integer', description: 'The comment_id of the thread, from get_pull_request.' },
+                            body: { type: 'string', description: 'The reply, in Markdown.' },
+                            repo: { type: 'string', description: 'Optional "owner/name". Defaults to the repository of the workspace\'s "origin" remote.' },
+                            auth_token: { type: 'string', description: 'Optional GitHub token. Defaults to the server\'s GITHUB_TOKEN.' }
+                        },
+                        required: ['number', 'comment_id', 'body']
+                    }
+                },
+                {
+                    name: 'get_pr_checks',
+                    description: `
+                        **Purpose:** Reads the CI status of a pull request (or a branch or commit): every check run and commit status, and an overall state.
+                        **When to use:** - After pushing, to find out whether CI passes.
+                        - When a pull request is blocked, to see which check fails and where its logs are (url).
+                        **Example:**
+                        {
+                            "number": 42
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            number: { type: 'integer', description: 'The pull request number.' },
+                            ref: { type: 'string', description: 'A branch, tag or commit SHA instead of a pull request. Defaults to the current branch.' },
+                            repo: { type: 'string', description: 'Optional "owner/name". Defaults to the repository of the workspace\'s "origin" remote.' },
+                            auth_token: { type: 'string', description: 'Optional GitHub token. Defaults to the server\'s GITHUB_TOKEN.' }
+                        },
+                        required: []
+                    }
+                },
+                {
+                    name: 'list_issues',
+                    description: `
+                        **Purpose:** Lists the repository's issues (not pull requests), most recently updated first.
+                        **When to use:** - To find work to pick up, e.g. open issues labelled "bug" that are assigned to you.
+                        **Example:**
+                        {
+                            "labels": ["bug"],
+                            "assignee": "octocat"
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            state: { type: 'string', enum: ['open', 'closed', 'all'], default: 'open', description: 'Which issues to list.' },
+                            labels: { type: 'array', items: { type: 'string' }, description: 'Only issues that have all of these labels.' },
+                            assignee: { type: 'string', description: 'Only issues assigned to this login. "none" for unassigned issues, "*" for assigned ones.' },
+                            limit: { type: 'integer', default: 30, description: 'Maximum number of issues to return (up to 100).' },
+                            repo: { type: 'string', description: 'Optional "owner/name". Defaults to the repository of the workspace\'s "origin" remote.' },
+                            auth_token: { type: 'string', description: 'Optional GitHub token. Defaults to the server\'s GITHUB_TOKEN.' }
+                        },
+                        required: []
+                    }
+                },
+                {
+                    name: 'get_issue',
+                    description: `
+                        **Purpose:** Reads one issue with its description, labels, assignees and all comments.
+                        **When to use:** Before starting work on an issue, to know exactly what is asked.
+                        **Example:**
+                        {
+                            "number": 12
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            number: { type: 'integer', description: 'The issue number.' },
+                            repo: { type: 'string', description: 'Optional "owner/name". Defaults to the repository of the workspace\'s "origin" remote.' },
+                            auth_token: { type: 'string', description: 'Optional GitHub token. Defaults to the server\'s GITHUB_TOKEN.' }
+                        },
+                        required: ['number']
+                    }
+                },
+                {
+                    name: 'comment_on_issue',
+                    description: `
+                        **Purpose:** Adds a comment to an issue (or to a pull request's conversation).
+                        **When to use:** To report progress, ask a clarifying question, or explain how an issue was fixed.
+                        **Example:**
+                        {
+                            "number": 12,
+                            "body": "Fixed in #42: the login button now checks the session first."
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            number: { type: 'integer', description: 'The issue number.' },
+                            body: { type: 'string', description: 'The comment, in Markdown.' },
+                            repo: { type: 'string', description: 'Optional "owner/name". Defaults to the repository of the workspace\'s "origin" remote.' },
+                            auth_token: { type: 'string', description: 'Optional GitHub token. Defaults to the server\'s GITHUB_TOKEN.' }
+                        },
+                        required: ['number', 'body']
+                    }
+                },
+                {
+                    name: 'link_issue',
+                    description: `
+                        **Purpose:** Links a pull request or a new branch to an issue, so it shows under the issue's "Development" section.
+                        **When to use:** - With \`pull_request\`: after opening the pull request that fixes the issue. Its description gets a
+                        "Closes #<issue>" line, so merging it closes the issue (pass \`closes: false\` for "Refs #<issue>", which only mentions it).
+                        - With \`branch\`: when starting work on an issue. The branch is created on GitHub from \`from\` (default: the
+                        default branch) and linked to the issue; then \`pull\` and \`checkout\` it with git_tool.
+                        **Example:**
+                        {
+                            "number": 12,
+                            "pull_request": 42
+                        }
+                    `,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            number: { type: 'integer', description: 'The issue number.' },
+                            pull_request: { type: 'integer', description: 'The pull request to link. Give this or branch.' },
+                            closes: { type: 'boolean', default: true, description: 'Whether merging the pull request should close the issue.' },
+                            branch: { type: 'string', description: 'The name of a new branch to create and link. Give this or pull_request.' },
+                            from: { type: 'string', description: 'A branch or commit SHA on GitHub to start the new branch from. Defaults to the default branch.' },
+                            repo: { type: 'string', description: 'Optional "owner/name". Defaults to the repository of the workspace\'s "origin" remote.' },
+                            auth_token: { type: 'string', description: 'Optional GitHub token. Defaults to the server\'s GITHUB_TOKEN.' }
+                        },
+                        required: ['number']
+                    }
                 }
-            ]
+            ].map(tool => (WORKSPACE_TOOLS.has(tool.name)
+                ? { ...tool, inputSchema: { ...tool.inputSchema, properties: { ...tool.inputSchema.properties, workspace: WORKSPACE_ARGUMENT } } }
+                : tool))
         }));
 
         this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
             const { name, arguments: args } = request.params;
             console.error(`Tool called: ${name}`, args);
             try {
+                // Run the whole call against the workspace it names, without changing the active one.
+                const workspace = this._workspace(WORKSPACE_TOOLS.has(name) ? args?.workspace : undefined);
                 let result;
-                switch (name) {
-                    case 'create_or_overwrite_file': result = await this.createOrOverwrite_file(args); break;
-                    case 'smart_replace': result = await this.smartReplace(args); break;
-                    case 'search_in_file': result = await this.searchInFile(args); break;
-                    case 'get_code_context': result = await this.getCodeContext(args); break;
-                    case 'delete_lines': result = await this.deleteLines(args); break;
-                    case 'execute_shell_command': result = await this.executeShellCommand(args); break;
-                    case 'read_file_content': result = await this.readFileContent(args); break;
-                    case 'list_directory': result = await this.listDirectory(args); break;
-                    case 'delete_file': result = await this.deleteFile(args); break;
-                    case 'move_or_rename_file': result = await this.moveOrRenameFile(args); break;
-                    case 'git_tool': result = await this.gitTool(args); break;
-                    case 'create_github_repo': result = await this.createGithubRepo(args); break;
-                    default: throw new Error(`Unknown tool: ${name}`);
-                }
+                await this.workspaceScope.run(workspace, async () => {
+                    switch (name) {
+                        case 'create_or_overwrite_file': result = await this.createOrOverwrite_file(args); break;
+                        case 'smart_replace': result = await this.smartReplace(args); break;
+                        case 'replace_symbol': result = await this.replaceSymbol(args); break;
+                        case 'search_in_file': result = await this.searchInFile(args); break;
+                        case 'search_code': result = await this.searchCode(args); break;
+                        case 'get_code_context': result = await this.getCodeContext(args); break;
+                        case 'get_code_structure': result = await this.getCodeStructure(args); break;
+                        case 'validate_syntax': result = await this.validateSyntax(args); break;
+                        case 'find_definition': result = await this.findDefinition(args); break;
+                        case 'find_references': result = await this.findReferences(args); break;
+                        case 'list_exports': result = await this.listExports(args); break;
+                        case 'delete_lines': result = await this.deleteLines(args); break;
+                        case 'apply_edits': result = await this.applyEdits(args); break;
+                        case 'execute_shell_command': result = await this.executeShellCommand(args); break;
+                        case 'run_tests': result = await this.runTests(args); break;
+                        case 'check_code': result = await this.checkCode(args); break;
+                        case 'start_process': result = await this.startProcess(args); break;
+                        case 'read_process_output': result = await this.readProcessOutput(args); break;
+                        case 'send_process_input': result = await this.sendProcessInput(args); break;
+                        case 'kill_process': result = await this.killProcess(args); break;
+                        case 'list_processes': result = await this.listProcesses(args); break;
+                        case 'read_file_content': result = await this.readFileContent(args); break;
+                        case 'list_directory': result = await this.listDirectory(args); break;
+                        case 'delete_file': result = await this.deleteFile(args); break;
+                        case 'move_or_rename_file': result = await this.moveOrRenameFile(args); break;
+                        case 'list_checkpoints': result = await this.listCheckpoints(args); break;
+                        case 'undo_last_edit': result = await this.undoLastEdit(args); break;
+                        case 'restore_checkpoint': result = await this.restoreCheckpoint(args); break;
+                        case 'list_workspaces': result = await this.listWorkspaces(args); break;
+                        case 'switch_workspace': result = await this.switchWorkspace(args); break;
+                        case 'git_tool': result = await this.gitTool(args); break;
+                        case 'list_conflicts': result = await this.listConflicts(args); break;
+                        case 'resolve_conflict': result = await this.resolveConflict(args); break;
+                        case 'finish_merge': result = await this.finishMerge(args); break;
+                        case 'create_github_repo': result = await this.createGithubRepo(args); break;
+                        case 'create_pull_request': result = await this.createPullRequest(args); break;
+                        case 'list_pull_requests': result = await this.listPullRequests(args); break;
+                        case 'get_pull_request': result = await this.getPullRequest(args); break;
+                        case 'reply_to_review_comment': result = await this.replyToReviewComment(args); break;
+                        case 'get_pr_checks': result = await this.getPrChecks(args); break;
+                        case 'list_issues': result = await this.listIssues(args); break;
+                        case 'get_issue': result = await this.getIssue(args); break;
+                        case 'comment_on_issue': result = await this.commentOnIssue(args); break;
+                        case 'link_issue': result = await this.linkIssue(args); break;
+                        default: throw new Error(`Unknown tool: ${name}`);
+                    }
+                });
                 return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
             } catch (error) {
                 console.error(`Error executing tool '${name}':`, error);
@@ -442,7 +1605,8 @@ class AutonomousDeveloperMCPServer {
                             error: true,
                             tool_name: name,
                             message: error.message,
-                            hint: this.getErrorHint(name, error)
+                            hint: this.getErrorHint(name, error),
+                            ...error.details
                         }, null, 2)
                     }]
                 };
@@ -450,317 +1614,2221 @@ class AutonomousDeveloperMCPServer {
         });
     }
 
-    getErrorHint(toolName, error) {
-        const hints = {
-            'smart_replace': 'Could not find the specified code. Try using search_in_file to find the exact text, or use less context in old_code.',
-            'delete_lines': 'Invalid line range. Ensure start_line <= end_line and both are within file bounds.',
-            'git_tool': 'Git command failed. Check your arguments. Common issues: trying to push without committing, or checking out a branch that does not exist.',
-            'move_or_rename_file': 'Operation failed. Ensure the source path exists and the destination path is valid.',
-            'delete_file': 'Could not delete file. Ensure the file path is correct and the file exists.'
+    getErrorHint(toolName, error) {
+        if (error.details?.policy) {
+            return error.details.policy.decision === 'confirm'
+                ? 'Make sure the command is really what the user wants, then repeat the call with "confirm": true.'
+                : 'This command is not permitted by the server policy. Find another way to achieve the goal, or ask the user to change the policy.';
+        }
+        if (error.details?.github?.rate_limited) {
+            return 'Wait until the rate limit resets, or use a token with a higher limit.';
+        }
+        if (error.details?.github?.status === 401 || error.details?.github?.status === 403) {
+            return 'Check the GitHub token: set GITHUB_TOKEN for the server or pass auth_token, with the "repo" scope (or the matching fine-grained permissions).';
+        }
+        if (error.details?.pre_commit_check) {
+            return 'Fix the problems reported by the pre-commit check (see stdout/stderr), then commit again.';
+        }
+        if (error.details?.conflicts) {
+            return 'The operation stopped on conflicts. Use list_conflicts to inspect them, resolve_conflict for each file, then finish_merge with "continue" (or "abort").';
+        }
+        if (toolName === 'smart_replace' && error.details?.candidates) {
+            return 'Review the listed candidates and choose one with occurrence or near_line, or add surrounding context to old_code.';
+        }
+        const hints = {
+            'smart_replace': 'Could not find the specified code. Try using search_in_file to find the exact text, or use less context in old_code.',
+            'replace_symbol': 'Use get_code_structure to list the available symbol names, and make sure new_code is a complete, syntactically valid declaration.',
+            'validate_syntax': `Only files in these languages can be checked: ${PARSEABLE_LANGUAGES.join(', ')}.`,
+            'list_exports': 'Pass a file or directory inside the project; use list_directory to check the path.',
+            'search_code': 'Check the pattern. With is_regex: true it must be a valid JavaScript regular expression; otherwise it is matched literally.',
+            'delete_lines': 'Invalid line range. Ensure start_line <= end_line and both are within file bounds.',
+            'apply_edits': 'No files were changed. Fix the failed operation (remember that line numbers in later operations must account for earlier ones) and resend the whole list.',
+            'git_tool': 'Git command failed. Check your arguments. Common issues: trying to push without committing, or checking out a branch that does not exist.',
+            'move_or_rename_file': 'Operation failed. Ensure the source path exists and the destination path is valid.',
+            'run_tests': 'Pass runner explicitly if detection picked the wrong one, and check that file is a test file inside the project.',
+            'check_code': 'Install and configure the checker in the project first (npm install -D eslint, prettier or typescript), and pass files inside the project.',
+            'start_process': 'Check the command. Use list_processes to see what is already running.',
+            'read_process_output': 'Use list_processes to find the correct process_id.',
+            'send_process_input': 'Use list_processes to check the process is still running and its stdin is open.',
+            'kill_process': 'Use list_processes to find the correct process_id.',
+            'delete_file': 'Could not delete file. Ensure the file path is correct and the file exists.',
+            'undo_last_edit': 'Use list_checkpoints to see the recorded edits. If a file was changed outside the file tools since, check it before retrying with force: true.',
+            'restore_checkpoint': 'Use list_checkpoints to see the recorded edits. If a file was changed outside the file tools since, check it before retrying with force: true.',
+            'switch_workspace': 'Use list_workspaces to see the configured workspace names.',
+            'resolve_conflict': 'Use list_conflicts to see the current regions and their numbers for this file.',
+            'finish_merge': 'Use list_conflicts to check that no conflicted files remain and which operation is in progress.',
+            'create_pull_request': 'Make sure the branch is pushed (git_tool push with args ["-u", "origin", "<branch>"]) and that no pull request for it is open already (list_pull_requests).',
+            'get_pull_request': 'Use list_pull_requests to find the right pull request number.',
+            'reply_to_review_comment': 'Use get_pull_request to find the comment_id of the thread you want to answer.',
+            'get_pr_checks': 'Use list_pull_requests to find the right pull request number, or pass a branch or commit as ref.',
+            'create_github_repo': 'If the repository was created but connecting the local project failed, fix that and add the remote yourself rather than creating the repository again.',
+            'get_issue': 'Use list_issues to find the right issue number.',
+            'comment_on_issue': 'Use list_issues to find the right issue number.',
+            'link_issue': 'Use list_issues and list_pull_requests to check both numbers. A linked branch must not exist on GitHub yet.'
+        };
+        return hints[toolName] || 'Check inputs and try again.';
+    }
+
+    // --- Tool Implementations ---
+
+    async smartReplace({ file_path, dry_run = false, ...replaceArgs }) {
+        const safePath = await this._resolveSandboxPath(file_path, { forWrite: true });
+        const content = await this._readEditableFile(safePath, file_path);
+        const { match_mode = 'smart' } = replaceArgs;
+
+        const { newContent, candidates, selected } = replaceInContent(content, replaceArgs);
+        const diff = await this._writeFileChange(safePath, content, newContent, dry_run);
+        if (!dry_run) this._recordCheckpoint('smart_replace', [{ safePath, before: content, after: newContent }]);
+
+        const result = {
+            success: true,
+            file_path,
+            message: `${dry_run ? 'Dry run: would replace' : 'Code replaced successfully'} using ${match_mode} matching (${selected.length} of ${candidates.length} match${candidates.length === 1 ? '' : 'es'}).`,
+            match_mode,
+            matches_found: candidates.length,
+            replaced: selected.map(m => ({ start_line: m.start_line, end_line: m.end_line })),
+            dry_run,
+            diff
+        };
+        if (match_mode === 'fuzzy') {
+            result.match_confidence = Math.min(...selected.map(m => m.confidence));
+            result.matched_lines = result.replaced[0];
+            result.applied_as = selected.map(m => m.applied_as);
+        }
+        return result;
+    }
+
+    async replaceSymbol({ file_path, symbol, new_code, dry_run = false }) {
+        const safePath = await this._resolveSandboxPath(file_path, { forWrite: true });
+        const content = await this._readEditableFile(safePath, file_path);
+        const { tree, language } = this._parseFile(safePath, content);
+        const symbols = this._collectSymbols(tree.rootNode, language);
+
+        // Prefer a fully qualified match; fall back to the bare name so "smartReplace" also finds "Server.smartReplace".
+        let candidates = symbols.filter(s => s.name === symbol);
+        if (candidates.length === 0) {
+            candidates = symbols.filter(s => s.name.split('.').pop() === symbol);
+        }
+        if (candidates.length === 0) {
+            throw new Error(`Symbol '${symbol}' was not found in ${file_path}.`);
+        }
+        if (candidates.length > 1) {
+            const list = candidates.map(s => `${s.name} (${s.kind}, line ${s.node.startPosition.row + 1})`).join(', ');
+            throw new Error(`Symbol '${symbol}' is ambiguous in ${file_path}. Use a qualified name. Candidates: ${list}`);
+        }
+
+        const [match] = candidates;
+        const replacesExport = match.exportNode && /^\s*export\b/.test(new_code);
+        const target = replacesExport ? match.exportNode : match.node;
+
+        // Re-indent the new code: strip its common indentation, then indent every line after the
+        // first to match the line the original declaration starts on.
+        const lines = content.split('\n');
+        const baseIndent = lines[target.startPosition.row].match(/^(\s*)/)[1];
+        const newLines = new_code.replace(/^\n+|\s+$/g, '').split('\n');
+        const commonIndent = Math.min(...newLines.filter(l => l.trim()).map(l => l.match(/^(\s*)/)[1].length));
+        const indented = newLines
+            .map(l => l.slice(Math.min(commonIndent, l.match(/^(\s*)/)[1].length)))
+            .map((l, i) => (i === 0 || !l.trim() ? l : baseIndent + l))
+            .join('\n');
+
+        const newContent = content.slice(0, target.startIndex) + indented + content.slice(target.endIndex);
+
+        // Compare positions, not counts, so swapping an existing error for a new one is caught too.
+        const insertedLines = indented.split('\n');
+        const start = { line: target.startPosition.row + 1, column: target.startPosition.column + 1 };
+        const introduced = findIntroducedErrors(findSyntaxErrors(tree.rootNode), findSyntaxErrors(parseSource(newContent, language).rootNode), {
+            start,
+            oldEnd: { line: target.endPosition.row + 1, column: target.endPosition.column + 1 },
+            newEnd: {
+                line: start.line + insertedLines.length - 1,
+                column: insertedLines.length === 1 ? start.column + indented.length : insertedLines[insertedLines.length - 1].length + 1
+            }
+        });
+        if (introduced.length > 0) {
+            const [first] = introduced;
+            const error = new Error(`Replacement rejected: it would introduce ${introduced.length} syntax error(s), the first at line ${first.line}, column ${first.column} (${first.message}). The file was not modified.`);
+            error.details = { syntax_errors: introduced };
+            throw error;
+        }
+
+        const diff = await this._writeFileChange(safePath, content, newContent, dry_run);
+        if (!dry_run) this._recordCheckpoint('replace_symbol', [{ safePath, before: content, after: newContent }]);
+
+        return {
+            success: true,
+            file_path,
+            symbol: match.name,
+            kind: match.kind,
+            replaced_lines: { start_line: target.startPosition.row + 1, end_line: target.endPosition.row + 1 },
+            new_lines: { start_line: target.startPosition.row + 1, end_line: target.startPosition.row + indented.split('\n').length },
+            message: dry_run ? `Dry run: would replace ${match.kind} '${match.name}'.` : `Replaced ${match.kind} '${match.name}' successfully.`,
+            dry_run,
+            diff
+        };
+    }
+
+    async createOrOverwrite_file({ file_path, content, dry_run = false }) {
+        const safePath = await this._resolveSandboxPath(file_path, { forWrite: true });
+        const oldContent = await this._readFileIfExists(safePath);
+        const diff = await this._writeFileChange(safePath, oldContent, content, dry_run);
+        if (!dry_run) this._recordCheckpoint('create_or_overwrite_file', [{ safePath, before: oldContent, after: content }]);
+        const action = oldContent === null ? 'created' : 'overwritten';
+        return {
+            success: true,
+            file_path,
+            message: dry_run ? `Dry run: file would be ${action}.` : `File ${action} successfully.`,
+            dry_run,
+            diff
+        };
+    }
+
+    async deleteFile({ file_path, dry_run = false }) {
+        const safePath = await this._resolveSandboxPath(file_path, { forWrite: true });
+        const oldContent = decodeContent(await fs.readFile(safePath));
+        const diff = await this._writeFileChange(safePath, oldContent, null, dry_run);
+        if (!dry_run) this._recordCheckpoint('delete_file', [{ safePath, before: oldContent, after: null }]);
+        return { success: true, file_path, message: dry_run ? 'Dry run: file would be deleted.' : 'File deleted successfully.', dry_run, diff };
+    }
+
+    async moveOrRenameFile({ source_path, destination_path, update_imports = false, overwrite = false, dry_run = false }) {
+        const safeSourcePath = await this._resolveSandboxPath(source_path, { forWrite: true });
+        const safeDestPath = await this._resolveSandboxPath(destination_path, { forWrite: true });
+        await fs.stat(safeSourcePath); // Fail early, even on a dry run, if the source is missing
+        // The overwritten file's bytes go into the checkpoint, so undo can bring it back.
+        const destStats = await fs.stat(safeDestPath).catch(() => null);
+        let replaced = null;
+        if (destStats) {
+            if (!overwrite) throw new Error(`${destination_path} already exists. Pass overwrite: true to replace it.`);
+            if (!destStats.isFile()) throw new Error(`${destination_path} already exists and is not a file; only a file can be overwritten.`);
+            replaced = decodeContent(await fs.readFile(safeDestPath));
+        }
+        // Plan the import rewrites before anything moves, while every specifier still resolves.
+        const rewrites = update_imports ? await this._planImportRewrites(safeSourcePath, safeDestPath) : [];
+        const diffs = [
+            ...(replaced !== null ? [unifiedDiff(this._relativePath(safeDestPath), replaced, null)] : []),
+            `rename from ${this._relativePath(safeSourcePath)}\nrename to ${this._relativePath(safeDestPath)}\n`
+        ];
+        if (!dry_run) {
+            await fs.mkdir(path.dirname(safeDestPath), { recursive: true });
+            await fs.rename(safeSourcePath, safeDestPath);
+            await this._updateSymbolIndex(safeSourcePath, null);
+            await this._updateSymbolIndex(safeDestPath);
+        }
+        for (const rewrite of rewrites) {
+            diffs.push(await this._writeFileChange(rewrite.safePath, rewrite.before, rewrite.after, dry_run));
+        }
+        if (!dry_run) {
+            this._recordCheckpoint('move_or_rename_file', [
+                ...(replaced !== null ? [{ safePath: safeDestPath, before: replaced, after: null }] : []),
+                { type: 'rename', from: safeSourcePath, to: safeDestPath },
+                ...rewrites.map(({ safePath, before, after }) => ({ safePath, before, after }))
+            ]);
+        }
+        const moved = dry_run ? 'would be moved/renamed' : 'moved/renamed successfully';
+        return {
+            success: true,
+            from: source_path,
+            to: destination_path,
+            ...(update_imports && { updated_imports: rewrites.map(({ safePath, changes }) => ({ file_path: this._relativePath(safePath), changes })) }),
+            message: update_imports
+                ? `${dry_run ? 'Dry run: file' : 'File'} ${moved}; imports ${dry_run ? 'would be ' : ''}updated in ${rewrites.length} file(s).`
+                : (dry_run ? 'Dry run: file would be moved/renamed.' : 'File moved/renamed successfully.'),
+            dry_run,
+            diff: diffs.join('')
+        };
+    }
+
+    async _planImportRewrites(safeSourcePath, safeDestPath) {
+        // Finds every relative import/require in the project's JavaScript/TypeScript files that a move
+        // of source to destination breaks, including those inside the moved files themselves.
+        // Returns [{ safePath, before, after, changes }], with safePath where the file will be after the move.
+        const from = this._relativePath(safeSourcePath);
+        const to = this._relativePath(safeDestPath);
+        const mapPath = movedPath(from, to);
+        const { root } = this._workspace();
+        const files = new Set();
+        const scripts = [];
+        for await (const entry of this._walkProject(root)) {
+            if (entry.type !== 'file') continue;
+            files.add(entry.relativePath);
+            // A file being overwritten by the move is gone afterwards.
+            if (entry.relativePath === to) continue;
+            if (IMPORT_LANGUAGES.includes(detectLanguage(entry.relativePath))) scripts.push(entry);
+        }
+
+        const rewrites = [];
+        for (const { safePath, relativePath } of scripts) {
+            const content = await this._readTextFile(safePath);
+            if (content === null) continue;
+            const newFilePath = mapPath(relativePath) ?? relativePath;
+            const imports = findRelativeImports(parseSource(content, detectLanguage(relativePath)).rootNode);
+            const { content: after, changes } = rewriteImports({ filePath: relativePath, newFilePath, content, imports, files, mapPath });
+            if (changes.length === 0) continue;
+            // Rewritten files must be writable too; moved ones were covered by checking the destination.
+            const target = newFilePath === relativePath ? await this._resolveSandboxPath(relativePath, { forWrite: true }) : path.join(root, newFilePath);
+            rewrites.push({ safePath: target, before: content, after, changes });
+        }
+        return rewrites;
+    }
+
+    _recordCheckpoint(tool, changes) {
+        // See checkpoints.js for the shape of `changes`.
+        const { checkpoints } = this._workspace();
+        recordCheckpoint(checkpoints, { id: this.nextCheckpointId++, tool, created_at: new Date().toISOString(), changes });
+    }
+
+    _describeCheckpoint(checkpoint) {
+        return {
+            checkpoint_id: checkpoint.id,
+            tool: checkpoint.tool,
+            created_at: checkpoint.created_at,
+            files: checkpoint.changes.map(change => (change.type === 'rename'
+                ? `${this._relativePath(change.from)} -> ${this._relativePath(change.to)}`
+                : this._relativePath(change.safePath)))
+        };
+    }
+
+    async _checkRevert(checkpoints) {
+        // Refuses to clobber files that were changed after the checkpoints (newest first) were
+        // recorded. Checks them all before anything is touched.
+        const conflict = await findConflict(checkpoints, {
+            readFile: safePath => this._readFileIfExists(safePath),
+            exists: safePath => fs.stat(safePath).then(() => true, () => false)
+        });
+        if (!conflict) return;
+        const { checkpoint, change } = conflict;
+        if (change.type === 'rename') {
+            throw new Error(`Checkpoint ${checkpoint.id}: cannot move ${this._relativePath(change.to)} back, the paths changed since. Use force to override.`);
+        }
+        throw new Error(`Checkpoint ${checkpoint.id}: ${this._relativePath(change.safePath)} was modified after this edit. Use force to override.`);
+    }
+
+    async _revertCheckpoint(checkpoint) {
+        const diffs = [];
+        for (const change of [...checkpoint.changes].reverse()) {
+            if (change.type === 'rename') {
+                await fs.mkdir(path.dirname(change.from), { recursive: true });
+                await fs.rename(change.to, change.from);
+                await this._updateSymbolIndex(change.to, null);
+                await this._updateSymbolIndex(change.from);
+            } else {
+                const current = await this._readFileIfExists(change.safePath);
+                diffs.push(await this._writeFileChange(change.safePath, current, change.before));
+            }
+        }
+        return diffs.filter(Boolean).join('');
+    }
+
+    async listCheckpoints() {
+        const { name, checkpoints } = this._workspace();
+        return {
+            success: true,
+            workspace: name,
+            checkpoints: [...checkpoints].reverse().map(checkpoint => this._describeCheckpoint(checkpoint)),
+            total: checkpoints.length,
+            limit: CHECKPOINT_LIMIT
+        };
+    }
+
+    async undoLastEdit({ force = false } = {}) {
+        const { checkpoints } = this._workspace();
+        const checkpoint = checkpoints[checkpoints.length - 1];
+        if (!checkpoint) {
+            throw new Error('There are no edits to undo in this workspace during this session.');
+        }
+        if (!force) await this._checkRevert([checkpoint]);
+        const diff = await this._revertCheckpoint(checkpoint);
+        checkpoints.pop();
+        return {
+            success: true,
+            undone: this._describeCheckpoint(checkpoint),
+            message: `Undid ${checkpoint.tool} (checkpoint ${checkpoint.id}).`,
+            diff
+        };
+    }
+
+    async restoreCheckpoint({ checkpoint_id, force = false }) {
+        // Rolls the files back to how they were just before `checkpoint_id` was applied,
+        // undoing it and every later checkpoint, newest first.
+        const { checkpoints } = this._workspace();
+        const index = checkpoints.findIndex(checkpoint => checkpoint.id === checkpoint_id);
+        if (index === -1) {
+            throw new Error(`Checkpoint ${checkpoint_id} not found. Use list_checkpoints to see the available checkpoints.`);
+        }
+        if (!force) await this._checkRevert(checkpoints.slice(index).reverse());
+        const undone = [];
+        const diffs = [];
+        while (checkpoints.length > index) {
+            const checkpoint = checkpoints[checkpoints.length - 1];
+            diffs.push(await this._revertCheckpoint(checkpoint));
+            checkpoints.pop();
+            undone.push(this._describeCheckpoint(checkpoint));
+        }
+        return {
+            success: true,
+            undone,
+            message: `Restored the files to their state before checkpoint ${checkpoint_id} (${undone.length} edits undone).`,
+            diff: diffs.join('')
+        };
+    }
+
+    async searchInFile({ file_path, search_text, case_sensitive = true }) {
+        const safePath = await this._resolveSandboxPath(file_path);
+        const content = await fs.readFile(safePath, 'utf8');
+        const lines = content.split('\n');
+        const matches = [];
+
+        const flags = case_sensitive ? 'g' : 'gi';
+        const searchRegex = new RegExp(search_text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+
+        lines.forEach((line, index) => {
+            if (searchRegex.test(line)) {
+                matches.push({
+                    line_number: index + 1,
+                    content: line,
+                });
+            }
+        });
+
+        return {
+            success: true,
+            file_path,
+            search_text,
+            matches,
+            total_matches: matches.length
+        };
+    }
+
+    async searchCode({ pattern, is_regex = false, case_sensitive = true, include = [], exclude = [], dir_path = '.', context_lines = 0, max_results = 200 }) {
+        const safeDir = await this._resolveSandboxPath(dir_path);
+        const flags = case_sensitive ? 'g' : 'gi';
+        let regex;
+        try {
+            regex = new RegExp(is_regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+        } catch (error) {
+            throw new Error(`Invalid regular expression: ${error.message}`);
+        }
+        const includes = [].concat(include);
+        const excludes = [].concat(exclude);
+        const MAX_LINE_LENGTH = 300;
+        const clip = (line) => (line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}…` : line);
+
+        const files = [];
+        let totalMatches = 0;
+        let filesSearched = 0;
+        let skippedFiles = 0;
+        let truncated = false;
+
+        for await (const entry of this._walkProject(safeDir)) {
+            if (entry.type !== 'file') continue;
+            if (includes.length > 0 && !includes.some(glob => matchesGlob(entry.relativePath, glob))) continue;
+            if (excludes.some(glob => matchesGlob(entry.relativePath, glob))) continue;
+            if (truncated) break;
+
+            const content = await this._readTextFile(entry.safePath);
+            if (content === null) {
+                skippedFiles++;
+                continue;
+            }
+            filesSearched++;
+
+            const lines = content.split('\n');
+            const matches = [];
+            for (let i = 0; i < lines.length && !truncated; i++) {
+                regex.lastIndex = 0;
+                for (let m = regex.exec(lines[i]); m !== null; m = regex.exec(lines[i])) {
+                    if (totalMatches >= max_results) {
+                        truncated = true;
+                        break;
+                    }
+                    const match = { line: i + 1, column: m.index + 1, text: clip(lines[i]) };
+                    if (context_lines > 0) {
+                        match.before = lines.slice(Math.max(0, i - context_lines), i).map(clip);
+                        match.after = lines.slice(i + 1, i + 1 + context_lines).map(clip);
+                    }
+                    matches.push(match);
+                    totalMatches++;
+                    if (m[0] === '') regex.lastIndex++; // Avoid looping forever on empty matches
+                }
+            }
+            if (matches.length > 0) files.push({ file_path: entry.relativePath, matches });
+        }
+
+        return {
+            success: true,
+            pattern,
+            files,
+            total_matches: totalMatches,
+            files_with_matches: files.length,
+            files_searched: filesSearched,
+            skipped_binary_or_large: skippedFiles,
+            truncated
+        };
+    }
+
+    async getCodeContext({ file_path, line_number, context_lines = 5 }) {
+        const safePath = await this._resolveSandboxPath(file_path);
+        const content = await fs.readFile(safePath, 'utf8');
+        const lines = content.split('\n');
+
+        if (line_number < 1 || line_number > lines.length) {
+            throw new Error(`Line number ${line_number} is out of range (file has ${lines.length} lines)`);
+        }
+
+        const startLine = Math.max(1, line_number - context_lines);
+        const endLine = Math.min(lines.length, line_number + context_lines);
+
+        const snippet = [];
+        for (let i = startLine - 1; i < endLine; i++) {
+            snippet.push(`${i + 1}: ${lines[i]}`);
+        }
+
+        return {
+            success: true,
+            file_path,
+            center_line: line_number,
+            context: snippet.join('\n'),
+            total_lines: lines.length
+        };
+    }
+
+    async getCodeStructure({ file_path }) {
+        const safePath = await this._resolveSandboxPath(file_path);
+        const content = await fs.readFile(safePath, 'utf8');
+        const { tree, language } = this._parseFile(safePath, content);
+        const summary = { success: true, file_path, language, total_lines: content.split('\n').length, has_syntax_errors: tree.rootNode.hasError };
+        if (language === 'json') {
+            throw new Error(`${file_path} is JSON data, which has no code structure. Use read_file_content to see it, or validate_syntax to check it.`);
+        }
+        if (language === 'python') {
+            return { ...summary, ...pythonStructure(tree.rootNode) };
+        }
+
+        const { types, ...structure } = javascriptStructure(tree.rootNode);
+        return { ...summary, ...structure, ...(language !== 'javascript' && { types }) };
+    }
+
+    async _refreshSymbolIndex() {
+        // Brings the workspace's symbol index up to date. Files the server wrote itself are already
+        // current; anything else that changed on disk (checkouts, shell commands, ...) is parsed again.
+        const { root, symbolIndex } = this._workspace();
+        const seen = new Set();
+        for await (const entry of this._walkProject(root)) {
+            if (entry.type !== 'file' || !PARSEABLE_LANGUAGES.includes(detectLanguage(entry.relativePath))) continue;
+            const stats = await fs.stat(entry.safePath).catch(() => null);
+            if (!stats) continue;
+            seen.add(entry.relativePath);
+            if (!symbolIndex.isCurrent(entry.relativePath, stats)) {
+                this._indexFile(entry.relativePath, await this._readTextFile(entry.safePath), stats);
+            }
+        }
+        for (const filePath of [...symbolIndex.files.keys()]) {
+            if (!seen.has(filePath)) symbolIndex.delete(filePath);
+        }
+        symbolIndex.built = true;
+        return symbolIndex;
+    }
+
+    _indexFile(filePath, content, { mtimeMs, size }) {
+        // Binary, very large and unreadable files are recorded empty, so they are not read again until they change.
+        const language = detectLanguage(filePath);
+        let symbols = { definitions: [], references: [], exports: [] };
+        if (content !== null) {
+            try {
+                symbols = extractSymbols(parseSource(content, language).rootNode, language);
+            } catch (error) {
+                console.error(`Could not index ${filePath}: ${error.message}`);
+            }
+        }
+        this._workspace().symbolIndex.set(filePath, { mtimeMs, size }, symbols);
+    }
+
+    async _updateSymbolIndex(safePath, content) {
+        // Keeps the index in step with the file tools: content is the new text, null for a removed
+        // path (file or directory), or undefined to read it from disk.
+        const { symbolIndex } = this._workspace();
+        if (!symbolIndex.built) return;
+        const filePath = this._relativePath(safePath);
+        symbolIndex.delete(filePath);
+        if (content === null || !PARSEABLE_LANGUAGES.includes(detectLanguage(filePath))) return;
+        const stats = await fs.stat(safePath).catch(() => null);
+        if (!stats?.isFile()) return; // A moved directory is picked up by the next refresh
+        this._indexFile(filePath, content ?? await this._readTextFile(safePath), stats);
+    }
+
+    async _withSnippets(entries) {
+        // Adds the trimmed source line to each { file_path, line } entry, reading each file once.
+        const lines = new Map();
+        const { root } = this._workspace();
+        for (const entry of entries) {
+            if (!lines.has(entry.file_path)) {
+                const content = await this._readTextFile(path.join(root, entry.file_path)).catch(() => null);
+                lines.set(entry.file_path, content === null ? [] : content.split('\n'));
+            }
+            const text = (lines.get(entry.file_path)[entry.line - 1] ?? '').trim();
+            entry.snippet = text.length > 200 ? `${text.slice(0, 200)}…` : text;
+        }
+        return entries;
+    }
+
+    async _symbolScope(dir_path) {
+        // The project-relative prefix for dir_path ('' for the whole project).
+        if (!dir_path || dir_path === '.') return '';
+        return this._relativePath(await this._resolveSandboxPath(dir_path));
+    }
+
+    async findDefinition({ name, kind, max_results = 50 }) {
+        const index = await this._refreshSymbolIndex();
+        const definitions = index.findDefinitions(name, { kind });
+        return {
+            success: true,
+            name,
+            total: definitions.length,
+            definitions: await this._withSnippets(definitions.slice(0, max_results)),
+            truncated: definitions.length > max_results,
+            message: definitions.length === 0
+                ? `No declaration of '${name}' found in ${index.files.size} indexed files.`
+                : `Found ${definitions.length} declaration${definitions.length === 1 ? '' : 's'} of '${name}'.`
+        };
+    }
+
+    async findReferences({ name, kind, dir_path = '.', include_definitions = false, max_results = 200 }) {
+        const scope = await this._symbolScope(dir_path);
+        const index = await this._refreshSymbolIndex();
+        const inScope = (entry) => !scope || entry.file_path.startsWith(`${scope}/`) || entry.file_path === scope;
+        let references = index.findReferences(name).filter(entry => inScope(entry) && (!kind || entry.kind === kind));
+        if (include_definitions) {
+            const definitions = index.findDefinitions(name).filter(inScope).map(({ file_path, line, column, kind: declared }) => ({ file_path, name, line, column, kind: 'definition', declared }));
+            references = [...definitions, ...references].sort((a, b) => a.file_path.localeCompare(b.file_path) || a.line - b.line || a.column - b.column);
+        }
+        return {
+            success: true,
+            name,
+            total: references.length,
+            files: new Set(references.map(entry => entry.file_path)).size,
+            references: await this._withSnippets(references.slice(0, max_results)),
+            truncated: references.length > max_results
+        };
+    }
+
+    async listExports({ path: target = '.', max_results = 500 }) {
+        const scope = await this._symbolScope(target);
+        const index = await this._refreshSymbolIndex();
+        const exports = index.listExports(scope);
+        return {
+            success: true,
+            path: target,
+            total: exports.length,
+            files: new Set(exports.map(entry => entry.file_path)).size,
+            exports: await this._withSnippets(exports.slice(0, max_results)),
+            truncated: exports.length > max_results
+        };
+    }
+
+    async validateSyntax({ file_path, content, max_errors = 50 }) {
+        const safePath = await this._resolveSandboxPath(file_path);
+        this._parseableLanguage(safePath);
+        const source = content ?? await fs.readFile(safePath, 'utf8');
+        const { tree, language } = this._parseFile(safePath, source);
+        const errors = findSyntaxErrors(tree.rootNode);
+        const lines = source.split('\n');
+        return {
+            success: true,
+            file_path,
+            language,
+            valid: errors.length === 0,
+            error_count: errors.length,
+            errors: errors.slice(0, max_errors).map(error => ({ ...error, source_line: lines[error.line - 1] })),
+            ...(errors.length > max_errors && { truncated: true }),
+            message: errors.length === 0
+                ? `No syntax errors in ${file_path} (${language}).`
+                : `${errors.length} syntax error${errors.length === 1 ? '' : 's'} in ${file_path} (${language}); the first is at line ${errors[0].line}, column ${errors[0].column}.`
+        };
+    }
+
+    async deleteLines({ file_path, start_line, end_line, dry_run = false }) {
+        const safePath = await this._resolveSandboxPath(file_path, { forWrite: true });
+        const content = await this._readEditableFile(safePath, file_path);
+        const newContent = deleteLinesInContent(content, start_line, end_line);
+        const deletedCount = end_line - start_line + 1;
+
+        const diff = await this._writeFileChange(safePath, content, newContent, dry_run);
+        if (!dry_run) this._recordCheckpoint('delete_lines', [{ safePath, before: content, after: newContent }]);
+
+        return {
+            success: true,
+            file_path,
+            lines_deleted: deletedCount,
+            message: `${dry_run ? 'Dry run: would delete' : 'Deleted'} lines ${start_line}-${end_line} (${deletedCount} lines).`,
+            dry_run,
+            diff
+        };
+    }
+
+    async applyEdits({ operations, dry_run = false }) {
+        if (!Array.isArray(operations) || operations.length === 0) {
+            throw new Error('operations must be a non-empty array.');
+        }
+
+        // Phase 1: run every operation against an in-memory copy of the files it touches.
+        // Later operations see the results of earlier ones, and nothing is written yet.
+        const files = new Map(); // safePath -> { file_path, original, content }
+        const loadFile = async (file_path) => {
+            const safePath = await this._resolveSandboxPath(file_path, { forWrite: true });
+            if (!files.has(safePath)) {
+                const original = await this._readFileIfExists(safePath);
+                files.set(safePath, { file_path, original, content: original });
+            }
+            return files.get(safePath);
+        };
+
+        const applied = [];
+        for (const [index, operation] of operations.entries()) {
+            const { type, file_path } = operation;
+            try {
+                if (!file_path) throw new Error('file_path is required.');
+                const file = await loadFile(file_path);
+                const { content, result } = applyOperation(file.content, operation);
+                file.content = content;
+                applied.push({ index: index + 1, type, file_path, ...result });
+            } catch (error) {
+                const failure = new Error(`Operation #${index + 1} (${type} on ${file_path}) failed: ${error.message} No files were modified.`);
+                failure.details = { failed_operation: { index: index + 1, type, file_path, reason: error.message, ...error.details } };
+                throw failure;
+            }
+        }
+
+        // Phase 2: write everything. If a write fails part way, put back what was already written.
+        const changed = [...files.entries()].filter(([, file]) => file.content !== file.original);
+        const written = [];
+        const results = [];
+        try {
+            for (const [safePath, file] of changed) {
+                results.push({ file_path: file.file_path, diff: await this._writeFileChange(safePath, file.original, file.content, dry_run) });
+                written.push([safePath, file]);
+            }
+        } catch (error) {
+            for (const [safePath, file] of written.reverse()) {
+                await this._writeFileChange(safePath, file.content, file.original).catch(() => {});
+            }
+            throw new Error(`Writing ${results.length + 1} of ${changed.length} files failed: ${error.message} All written files were rolled back.`);
+        }
+        if (!dry_run && changed.length > 0) {
+            this._recordCheckpoint('apply_edits', changed.map(([safePath, file]) => ({ safePath, before: file.original, after: file.content })));
+        }
+
+        return {
+            success: true,
+            message: dry_run
+                ? `Dry run: ${operations.length} operations validated; ${changed.length} files would change.`
+                : `Applied ${operations.length} operations across ${changed.length} files.`,
+            dry_run,
+            operations: applied,
+            files: results
+        };
+    }
+
+    _scrubbedEnv() {
+        return scrubbedEnv(this._workspace().commandPolicy);
+    }
+
+    async _checkCommandPolicy(tool, command, confirmed, verdict) {
+        // Audits and enforces a verdict; the git tools pass their own from the git guardrails.
+        const { name, root, commandPolicy } = this._workspace();
+        verdict ??= evaluateCommand(commandPolicy, command, { root, confirmed });
+        if (commandPolicy.auditLog) {
+            const record = { timestamp: new Date().toISOString(), tool, command, workspace: name, cwd: root, confirmed: !!confirmed, ...verdict };
+            await fs.mkdir(path.dirname(commandPolicy.auditLog), { recursive: true })
+                .then(() => fs.appendFile(commandPolicy.auditLog, JSON.stringify(record) + '\n'))
+                .catch(error => {
+                    console.error(`Could not write command audit log: ${error.message}`);
+                });
+        }
+        if (verdict.decision !== 'allow') {
+            const error = new Error(verdict.decision === 'confirm'
+                ? `Command needs confirmation (${verdict.rule}): ${verdict.reason} Re-run with "confirm": true only if this is really intended.`
+                : `Command blocked by policy (${verdict.rule}): ${verdict.reason}`);
+            error.details = { policy: { ...verdict, command } };
+            throw error;
+        }
+    }
+
+    async executeShellCommand({ command, timeout_seconds = 120, confirm = false }) {
+        await this._checkCommandPolicy('execute_shell_command', command, confirm);
+        return new Promise((resolve) => {
+            exec(command, {
+                cwd: this._workspace().root,
+                env: this._scrubbedEnv(),
+                timeout: timeout_seconds * 1000,
+                maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+            }, (error, stdout, stderr) => {
+                resolve({
+                    success: !error,
+                    exit_code: error ? error.code : 0,
+                    stdout: stdout || '',
+                    stderr: stderr || '',
+                    command,
+                    timed_out: error && error.killed && error.signal === 'SIGTERM'
+                });
+            });
+        });
+    }
+
+    async _runArgv(tool, argv, { timeout_seconds, confirm }) {
+        // Runs a program without a shell, under the command policy like execute_shell_command.
+        // Returns { command, exit_code, timed_out, truncated, stdout, stderr } whatever the exit code;
+        // truncated means the start of the output was dropped.
+        const command = argv.map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`)).join(' ');
+        await this._checkCommandPolicy(tool, command, confirm);
+        const isWindows = process.platform === 'win32';
+        return new Promise((resolve) => {
+            // Like start_process, the program leads its own process group on POSIX, so a timeout
+            // also stops what it started (test workers, watchers, servers under test).
+            const child = spawn(argv[0], argv.slice(1), {
+                cwd: this._workspace().root,
+                env: this._scrubbedEnv(),
+                detached: !isWindows,
+                windowsHide: true,
+                stdio: ['ignore', 'pipe', 'pipe'],
+                shell: isWindows // npm and the node_modules/.bin shims are .cmd files there
+            });
+            // Stopped with the server too, like start_process's (see stopAllProcesses).
+            this.runs.add(child);
+            const output = { stdout: createOutputBuffer(), stderr: createOutputBuffer() };
+            for (const stream of ['stdout', 'stderr']) {
+                child[stream].setEncoding('utf8');
+                // Keep the end, where runners and checkers print their summaries.
+                child[stream].on('data', (chunk) => appendOutput(output[stream], chunk, RUN_OUTPUT_LIMIT));
+            }
+            let timedOut = false;
+            let killTimer = null;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                killProcessTree(child, 'SIGTERM');
+                // Whatever ignores SIGTERM is killed. Something that left the group may still hold
+                // the pipes open after that, so the call stops waiting for them.
+                killTimer = setTimeout(() => {
+                    killProcessTree(child, 'SIGKILL');
+                    killTimer = setTimeout(() => finish(child.exitCode), KILL_GRACE_MS);
+                }, KILL_GRACE_MS);
+            }, timeout_seconds * 1000);
+            let finished = false;
+            const finish = (exitCode) => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timer);
+                clearTimeout(killTimer);
+                this.runs.delete(child);
+                child.stdout.destroy();
+                child.stderr.destroy();
+                resolve({
+                    command,
+                    exit_code: exitCode,
+                    timed_out: timedOut,
+                    truncated: output.stdout.start > 0 || output.stderr.start > 0,
+                    stdout: output.stdout.text,
+                    stderr: output.stderr.text
+                });
+            };
+            child.on('error', error => finish(error.code)); // It could not be started, e.g. ENOENT
+            child.on('close', (code) => finish(code));
+        });
+    }
+
+    async runTests({ runner = 'auto', file, test_name, timeout_seconds = 300, confirm = false }) {
+        const { root } = this._workspace();
+        const selected = runner === 'auto' ? await this._detectTestRunner() : runner;
+        if (!TEST_RUNNERS.includes(selected)) {
+            throw new Error(runner === 'auto'
+                ? `Could not detect the test runner of this project. Pass runner: one of ${TEST_RUNNERS.join(', ')}.`
+                : `Unknown runner '${runner}'. Use one of: auto, ${TEST_RUNNERS.join(', ')}.`);
+        }
+        if (file) await fs.stat(await this._resolveSandboxPath(file));
+
+        const reportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-tests-'));
+        try {
+            const { argv, format, reportFile, innermost } = await this._testCommand(selected, { file, test_name, reportDir });
+            const run = await this._runArgv('run_tests', argv, { timeout_seconds, confirm });
+            const printed = `${run.stdout}${run.stderr}`;
+
+            // node:test writes TAP to the report file; "npm test" leaves whatever the script prints on stdout,
+            // which is no report once its start was dropped.
+            const report = reportFile ? await this._readFileIfExists(reportFile) : (run.truncated ? null : printed);
+            let results = null;
+            try {
+                if (report && format === 'junit') results = parseJUnit(report, root, { innermost });
+                if (report && format === 'jest') results = parseJestJson(JSON.parse(report), root);
+                if (report && format === 'tap' && /^\s*(TAP version|1\.\.\d|(not )?ok\b)/m.test(report)) results = parseTap(report, root);
+            } catch (error) {
+                console.error(`Could not parse the ${format} test report: ${error.message}`);
+            }
+
+            const output = printed.length > TEST_OUTPUT_LIMIT ? `...${printed.slice(-TEST_OUTPUT_LIMIT)}` : printed;
+            return {
+                success: run.exit_code === 0 && !run.timed_out && (results?.failed ?? 0) === 0,
+                runner: selected,
+                command: run.command,
+                exit_code: run.exit_code,
+                timed_out: run.timed_out,
+                ...(results ?? { results_parsed: false }),
+                message: run.timed_out
+                    ? `Tests timed out after ${timeout_seconds} seconds.`
+                    : results
+                        ? `${results.passed} passed, ${results.failed} failed, ${results.skipped} skipped.`
+                        : `Tests exited with code ${run.exit_code}; no test report could be read, see output.`,
+                output
+            };
+        } finally {
+            await fs.rm(reportDir, { recursive: true, force: true });
+        }
+    }
+
+    async checkCode({ tools, files = [], fix = false, max_diagnostics = 200, timeout_seconds = 300, confirm = false }) {
+        const { root } = this._workspace();
+        const packageJson = await this._readFileIfExists(path.join(root, 'package.json'))
+            .then(text => (text === null ? null : JSON.parse(text)))
+            .catch(() => null);
+        const rootFiles = new Set(await fs.readdir(root).catch(() => []));
+        const bins = new Set((await fs.readdir(path.join(root, 'node_modules', '.bin')).catch(() => [])).map(name => name.replace(/\.(cmd|ps1)$/i, '')));
+        const { available, missing } = configuredCheckers({ packageJson, rootFiles, bins });
+        const selected = tools ?? available;
+        for (const tool of selected) {
+            if (!CODE_CHECKERS.includes(tool)) throw new Error(`Unknown tool '${tool}'. Use any of: ${CODE_CHECKERS.join(', ')}.`);
+            if (missing[tool]) throw new Error(`Cannot run ${tool}: ${missing[tool]}.`);
+        }
+        if (selected.length === 0) {
+            throw new Error(`No checker is set up in this project: ${Object.entries(missing).map(([tool, reason]) => `${tool} (${reason})`).join(', ')}.`);
+        }
+        for (const file of files) await fs.stat(await this._resolveSandboxPath(file));
+        const targets = files.length > 0 ? files : ['.'];
+
+        const runs = [];
+        const diagnostics = [];
+        const before = new Map(); // safePath -> content, for every file a fix may rewrite
+        const run = async (tool, args) => {
+            const result = await this._runArgv('check_code', [path.join(root, 'node_modules', '.bin', tool), ...args], { timeout_seconds, confirm });
+            runs.push({ tool, command: result.command, exit_code: result.exit_code, timed_out: result.timed_out });
+            return result;
+        };
+        const eslint = async (args) => {
+            // The JSON report lists the source of every file with problems, so it goes to a file
+            // rather than through the output kept of the run.
+            const reportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'check-code-'));
+            try {
+                const reportFile = path.join(reportDir, 'eslint.json');
+                const result = await run('eslint', ['--format', 'json', '--output-file', reportFile, ...args]);
+                return { ...result, report: await this._readFileIfExists(reportFile) };
+            } finally {
+                await fs.rm(reportDir, { recursive: true, force: true });
+            }
+        };
+        const failed = (result) => {
+            runs[runs.length - 1].error = (result.stderr || result.stdout).trim().split('\n').slice(0, 5).join('\n') || `Exited with code ${result.exit_code}.`;
+        };
+        const snapshot = async (relativePaths) => {
+            // Protected files are left out of the fix rather than rewritten behind the sandbox's back.
+            const writable = [];
+            for (const relativePath of relativePaths) {
+                const safePath = await this._resolveSandboxPath(relativePath, { forWrite: true }).catch(() => null);
+                if (!safePath) continue;
+                if (!before.has(safePath)) before.set(safePath, await this._readFileIfExists(safePath));
+                writable.push(relativePath);
+            }
+            return writable;
+        };
+
+        if (selected.includes('eslint')) {
+            const check = await eslint(targets);
+            try {
+                let results = JSON.parse(check.report ?? '');
+                const fixable = fix ? await snapshot(eslintFixableFiles(results, root)) : [];
+                if (fixable.length > 0) {
+                    // What is left after fixing replaces the first report for those files.
+                    const fixed = JSON.parse((await eslint(['--fix', ...fixable])).report ?? '');
+                    const fixedPaths = new Set(fixed.map(result => result.filePath));
+                    results = [...results.filter(result => !fixedPaths.has(result.filePath)), ...fixed];
+                }
+                diagnostics.push(...parseEslintJson(results, root));
+            } catch {
+                failed(check);
+            }
+        }
+        if (selected.includes('prettier')) {
+            const check = await run('prettier', ['--list-different', ...targets]);
+            const found = parsePrettierOutput(check.stdout, check.stderr);
+            const unformatted = found.filter(diagnostic => diagnostic.line === null).map(diagnostic => diagnostic.file);
+            const writable = fix ? await snapshot(unformatted) : [];
+            if (writable.length > 0) {
+                const written = await run('prettier', ['--write', ...writable]);
+                if (written.exit_code !== 0) failed(written);
+            }
+            diagnostics.push(...found.filter(diagnostic => !writable.includes(diagnostic.file)));
+            if (check.exit_code === 2 && found.length === 0) failed(check);
+        }
+        if (selected.includes('tsc')) {
+            // tsc ignores tsconfig.json when given files, so it always checks the project and the results are filtered.
+            const check = await run('tsc', ['--noEmit', '--pretty', 'false']);
+            const found = parseTscOutput(check.stdout, root)
+                .filter(diagnostic => files.length === 0 || !diagnostic.file || files.some(file => {
+                    const relative = path.relative(file, diagnostic.file);
+                    return relative === '' || !relative.startsWith('..');
+                }));
+            diagnostics.push(...found);
+            if (check.exit_code !== 0 && !check.stdout.trim()) failed(check);
+        }
+
+        const changes = [];
+        for (const [safePath, content] of before) {
+            const after = await this._readFileIfExists(safePath);
+            if (sameContent(after, content)) continue;
+            changes.push({ safePath, before: content, after });
+            await this._updateSymbolIndex(safePath, Buffer.isBuffer(after) ? undefined : after);
+        }
+        if (changes.length > 0) this._recordCheckpoint('check_code', changes);
+
+        const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+        const warnings = diagnostics.length - errors;
+        const toolFailures = runs.filter(entry => entry.error || entry.timed_out);
+        return {
+            success: errors === 0 && toolFailures.length === 0,
+            tools: selected,
+            runs,
+            error_count: errors,
+            warning_count: warnings,
+            diagnostics: diagnostics.slice(0, max_diagnostics),
+            truncated: diagnostics.length > max_diagnostics,
+            ...(fix && { fixed_files: changes.map(change => this._relativePath(change.safePath)), diff: changes.map(change => unifiedDiff(this._relativePath(change.safePath), change.before, change.after)).join('') }),
+            message: [
+                `${errors} error(s) and ${warnings} warning(s) from ${selected.join(', ')}.`,
+                fix ? `Fixed ${changes.length} file(s); undo_last_edit reverts the fixes.` : null,
+                toolFailures.length > 0 ? `${toolFailures.map(entry => entry.tool).join(', ')} did not run cleanly; see runs.` : null
+            ].filter(Boolean).join(' ')
+        };
+    }
+
+    async _detectTestRunner() {
+        const { root } = this._workspace();
+        const exists = (name) => fs.stat(path.join(root, name)).then(() => true, () => false);
+        const packageJson = await this._readFileIfExists(path.join(root, 'package.json'))
+            .then(text => (text === null ? null : JSON.parse(text)))
+            .catch(() => null);
+        let pytestConfigured = (await exists('pytest.ini')) || (await exists('conftest.py'));
+        for (const name of ['pyproject.toml', 'setup.cfg', 'tox.ini']) {
+            pytestConfigured ||= /pytest/.test((await this._readFileIfExists(path.join(root, name))) || '');
+        }
+        for (const dir of ['tests', 'test']) {
+            const entries = await fs.readdir(path.join(root, dir)).catch(() => []);
+            pytestConfigured ||= entries.some(name => /^test_.*\.py$|_test\.py$/.test(name));
+        }
+        return detectTestRunner({ packageJson, hasTestDir: (await exists('test')) || (await exists('tests')), pytestConfigured });
+    }
+
+    async _testCommand(runner, { file, test_name, reportDir }) {
+        // Returns { argv, format, reportFile, innermost } for a runner, asking each for a report it can be parsed from.
+        const { root } = this._workspace();
+        const localBin = async (name) => {
+            const bin = path.join(root, 'node_modules', '.bin', name);
+            if (!(await fs.stat(bin).then(() => true, () => false))) {
+                throw new Error(`${name} is not installed in this project (node_modules/.bin/${name} is missing). Install the dependencies first.`);
+            }
+            return bin;
+        };
+        const target = file ? [file] : [];
+        switch (runner) {
+            case 'npm':
+                // Arguments after `npm test --` are appended to the script, which still runs its own files too.
+                if (test_name || file) throw new Error(`The npm runner cannot run ${test_name ? 'tests by name' : 'a single file'}. Pass runner: 'node', 'jest', 'vitest' or 'pytest' instead.`);
+                return { argv: ['npm', 'test'], format: 'tap', reportFile: null };
+            case 'node': {
+                const reportFile = path.join(reportDir, 'results.tap');
+                const filter = test_name ? [`--test-name-pattern=${test_name}`] : [];
+                const packageJson = JSON.parse((await this._readFileIfExists(path.join(root, 'package.json'))) || '{}');
+                const paths = file ? target : nodeTestArgs(packageJson.scripts?.test);
+                return { argv: ['node', '--test', '--test-reporter=tap', `--test-reporter-destination=${reportFile}`, ...filter, ...paths], format: 'tap', reportFile };
+            }
+            case 'jest': {
+                const reportFile = path.join(reportDir, 'results.json');
+                const filter = test_name ? ['-t', test_name] : [];
+                return { argv: [await localBin('jest'), '--ci', '--json', `--outputFile=${reportFile}`, '--testLocationInResults', ...filter, ...target], format: 'jest', reportFile };
+            }
+            case 'vitest': {
+                const reportFile = path.join(reportDir, 'results.xml');
+                const filter = test_name ? ['-t', test_name] : [];
+                return { argv: [await localBin('vitest'), 'run', '--reporter=junit', `--outputFile=${reportFile}`, ...filter, ...target], format: 'junit', reportFile };
+            }
+            case 'pytest': {
+                const reportFile = path.join(reportDir, 'results.xml');
+                const filter = test_name ? ['-k', test_name] : [];
+                const python = process.platform === 'win32' ? 'python' : 'python3';
+                // Python tracebacks end with the innermost frame.
+                return { argv: [python, '-m', 'pytest', '-q', `--junitxml=${reportFile}`, ...filter, ...target], format: 'junit', reportFile, innermost: 'last' };
+            }
+        }
+    }
+
+    async startProcess({ command, name, confirm = false }) {
+        await this._checkCommandPolicy('start_process', command, confirm);
+        const { name: workspace, root } = this._workspace();
+        const isWindows = process.platform === 'win32';
+        // On POSIX the child leads its own process group, so the whole tree can be signalled at once.
+        const child = spawn(command, {
+            cwd: root,
+            env: this._scrubbedEnv(),
+            shell: true,
+            detached: !isWindows,
+            windowsHide: true,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        const entry = {
+            id: this.nextProcessId++,
+            name: name || null,
+            workspace,
+            command,
+            child,
+            started_at: new Date().toISOString(),
+            running: true,
+            exit_code: null,
+            signal: null,
+            error: null,
+            stdout: createOutputBuffer(),
+            stderr: createOutputBuffer(),
+            waiters: []
+        };
+        const notify = () => entry.waiters.splice(0).forEach(wake => wake());
+        const append = (stream) => (chunk) => {
+            appendOutput(stream, chunk);
+            notify();
+        };
+        child.stdout.setEncoding('utf8').on('data', append(entry.stdout));
+        child.stderr.setEncoding('utf8').on('data', append(entry.stderr));
+        child.stdin.on('error', () => {}); // Writing to a process that already exited must not crash the server
+        child.on('error', (error) => {
+            entry.running = false;
+            entry.error = error.message;
+            notify();
+        });
+        child.on('exit', (code, signal) => {
+            entry.running = false;
+            entry.exit_code = code;
+            entry.signal = signal;
+            notify();
+        });
+        this.processes.set(entry.id, entry);
+
+        return {
+            success: true,
+            process_id: entry.id,
+            pid: child.pid,
+            command,
+            message: `Started process ${entry.id}. Use read_process_output to follow its output.`
+        };
+    }
+
+    _getProcess(process_id) {
+        const entry = this.processes.get(process_id);
+        if (!entry) {
+            throw new Error(`No background process with id ${process_id}.`);
+        }
+        return entry;
+    }
+
+    _describeProcess(entry) {
+        return {
+            process_id: entry.id,
+            name: entry.name,
+            workspace: entry.workspace,
+            command: entry.command,
+            pid: entry.child.pid,
+            started_at: entry.started_at,
+            running: entry.running,
+            exit_code: entry.exit_code,
+            signal: entry.signal,
+            ...(entry.error && { error: entry.error })
+        };
+    }
+
+    async readProcessOutput({ process_id, wait_seconds = 0 }) {
+        const entry = this._getProcess(process_id);
+        if (wait_seconds > 0 && entry.running && !hasUnreadOutput(entry.stdout) && !hasUnreadOutput(entry.stderr)) {
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, wait_seconds * 1000);
+                entry.waiters.push(() => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+        }
+
+        const stdout = takeOutput(entry.stdout);
+        const stderr = takeOutput(entry.stderr);
+
+        return {
+            success: true,
+            ...this._describeProcess(entry),
+            stdout: stdout.text,
+            stderr: stderr.text,
+            dropped_bytes: stdout.dropped + stderr.dropped
+        };
+    }
+
+    async sendProcessInput({ process_id, input = '', close_stdin = false }) {
+        const entry = this._getProcess(process_id);
+        if (!entry.running || !entry.child.stdin.writable) {
+            throw new Error(`Process ${process_id} is not accepting input (running: ${entry.running}).`);
+        }
+        await new Promise((resolve, reject) => entry.child.stdin.write(input, error => (error ? reject(error) : resolve())));
+        if (close_stdin) entry.child.stdin.end();
+        return { success: true, process_id, bytes_written: Buffer.byteLength(input), stdin_closed: close_stdin };
+    }
+
+    async killProcess({ process_id, signal = 'SIGTERM' }) {
+        const entry = this._getProcess(process_id);
+        const wasRunning = entry.running;
+        killProcessTree(entry.child, signal);
+        if (wasRunning) {
+            // Give it a moment to exit so the caller sees the final status.
+            await new Promise((resolve) => {
+                const onExit = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+                const timer = setTimeout(() => {
+                    entry.child.off('exit', onExit);
+                    resolve();
+                }, 2000);
+                entry.child.once('exit', onExit);
+            });
+        }
+        return {
+            success: true,
+            ...this._describeProcess(entry),
+            message: wasRunning ? `Sent ${signal} to process ${process_id}.` : `Process ${process_id} had already exited.`
+        };
+    }
+
+    async listProcesses() {
+        return { success: true, processes: [...this.processes.values()].map(entry => this._describeProcess(entry)) };
+    }
+
+    stopAllProcesses() {
+        // Synchronous so it can run from process exit handlers.
+        for (const entry of this.processes.values()) killProcessTree(entry.child, 'SIGTERM');
+        // There is no waiting for a test run to stop: it is killed, so nothing of it outlives the server.
+        for (const child of this.runs) killProcessTree(child, 'SIGKILL');
+    }
+
+    async readFileContent({ file_path, start_line, end_line, offset, max_bytes = READ_MAX_BYTES }) {
+        const safePath = await this._resolveSandboxPath(file_path);
+        const stats = await fs.stat(safePath);
+
+        const head = await this._readFileHead(safePath);
+        if (head.includes(0)) {
+            return {
+                success: true,
+                file_path,
+                binary: true,
+                size_bytes: stats.size,
+                mime_type: this._detectMimeType(safePath, head),
+                sha256: await this._hashFile(safePath),
+                message: 'Binary file: content not returned.'
+            };
+        }
+
+        if (offset !== undefined && offset !== null) {
+            return this._readFileBytes(safePath, file_path, stats.size, offset, max_bytes);
+        }
+
+        const content = await fs.readFile(safePath, 'utf8');
+        return {
+            success: true,
+            file_path,
+            size_bytes: stats.size,
+            ...pageLines(content, { start_line, end_line, max_bytes })
+        };
+    }
+
+    async _readFileBytes(safePath, file_path, size, offset, max_bytes) {
+        if (offset < 0 || offset > size) {
+            throw new Error(`Invalid offset ${offset} (file is ${size} bytes)`);
+        }
+        const handle = await fs.open(safePath, 'r');
+        let chunk;
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(Math.min(max_bytes, size - offset)), 0, Math.min(max_bytes, size - offset), offset);
+            chunk = buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+
+        const { text, offset: start, end } = decodeChunk(chunk, offset, size);
+        const truncated = end < size;
+
+        return {
+            success: true,
+            file_path,
+            content: truncated ? `${text}\n[... truncated: continue with offset=${end} ...]` : text,
+            size_bytes: size,
+            offset: start,
+            next_offset: truncated ? end : null,
+            truncated
+        };
+    }
+
+    _detectMimeType(safePath, head) {
+        const signatures = [
+            ['image/png', [0x89, 0x50, 0x4e, 0x47]],
+            ['image/jpeg', [0xff, 0xd8, 0xff]],
+            ['image/gif', [0x47, 0x49, 0x46, 0x38]],
+            ['application/pdf', [0x25, 0x50, 0x44, 0x46]],
+            ['application/zip', [0x50, 0x4b, 0x03, 0x04]],
+            ['application/gzip', [0x1f, 0x8b]],
+            ['application/wasm', [0x00, 0x61, 0x73, 0x6d]]
+        ];
+        for (const [mime, bytes] of signatures) {
+            if (bytes.every((byte, i) => head[i] === byte)) return mime;
+        }
+        const byExtension = {
+            '.webp': 'image/webp', '.ico': 'image/x-icon', '.bmp': 'image/bmp', '.mp3': 'audio/mpeg', '.mp4': 'video/mp4',
+            '.woff': 'font/woff', '.woff2': 'font/woff2', '.ttf': 'font/ttf', '.sqlite': 'application/vnd.sqlite3', '.exe': 'application/vnd.microsoft.portable-executable'
+        };
+        return byExtension[path.extname(safePath).toLowerCase()] || 'application/octet-stream';
+    }
+
+    _hashFile(safePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            createReadStream(safePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    async _readFileHead(safePath, length = 8000) {
+        // The first bytes of a file; a NUL among them marks it as binary.
+        const handle = await fs.open(safePath, 'r');
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async _describeFile(safePath) {
+        const head = await this._readFileHead(safePath).catch(() => null);
+        if (head === null || head.includes(0)) return { lines: null, language: 'binary' };
+        // Text too large for _readTextFile keeps its language but is not counted.
+        const content = await this._readTextFile(safePath).catch(() => null);
+        return {
+            lines: content === null ? null : content.split('\n').length,
+            language: detectLanguage(safePath)
+        };
+    }
+
+    async listDirectory({ dir_path = '.', recursive = false, max_depth = 3, include = [], format = 'json', max_entries = 1000 }) {
+        const safePath = await this._resolveSandboxPath(dir_path);
+        if (recursive || format === 'tree') {
+            return this._listDirectoryTree(safePath, { dir_path, max_depth: recursive ? max_depth : 1, include: [].concat(include), format, max_entries });
+        }
+        const entries = await fs.readdir(safePath, { withFileTypes: true });
+
+        const items = await Promise.all(entries.map(async (entry) => {
+            const fullPath = path.join(safePath, entry.name);
+            let stats;
+            try {
+                stats = await fs.stat(fullPath);
+            } catch (e) {
+                // Handle broken symlinks or permission errors gracefully
+                return { name: entry.name, type: 'inaccessible', size: null, modified: null };
+            }
+            return {
+                name: entry.name,
+                type: entry.isDirectory() ? 'directory' : 'file',
+                size: entry.isFile() ? stats.size : null,
+                modified: stats.mtime,
+                ...(entry.isFile() && await this._describeFile(fullPath))
+            };
+        }));
+
+        return {
+            success: true,
+            path: dir_path,
+            entries: items.sort((a, b) => {
+                if (a.type !== b.type) return a.type === 'directory' ? -1 : 1;
+                return a.name.localeCompare(b.name);
+            })
+        };
+    }
+
+    async _listDirectoryTree(safePath, { dir_path, max_depth, include, format, max_entries }) {
+        // Builds a nested listing with the project walker, so .gitignore and the default ignores apply.
+        const root = { children: [] };
+        const directories = new Map([[safePath, root]]);
+        let count = 0;
+        let truncated = false;
+
+        for await (const entry of this._walkProject(safePath, { maxDepth: max_depth })) {
+            if (entry.type === 'file' && include.length > 0 && !include.some(glob => matchesGlob(entry.relativePath, glob))) continue;
+            if (count >= max_entries) {
+                truncated = true;
+                break;
+            }
+            const node = { name: path.basename(entry.safePath), path: entry.relativePath, type: entry.type };
+            if (entry.type === 'file') {
+                const stats = await fs.stat(entry.safePath);
+                Object.assign(node, { size: stats.size }, await this._describeFile(entry.safePath));
+            } else if (entry.type === 'directory') {
+                node.children = [];
+                if (entry.depth >= max_depth) node.not_expanded = true;
+                directories.set(entry.safePath, node);
+            }
+            directories.get(path.dirname(entry.safePath)).children.push(node);
+            count++;
+        }
+
+        // With an include filter, directories that ended up without matching files are just noise.
+        const prune = (node) => {
+            node.children = node.children.filter(child => child.type !== 'directory' || child.not_expanded || prune(child));
+            return node.children.length > 0;
+        };
+        if (include.length > 0) prune(root);
+
+        let totalFiles = 0;
+        let totalDirectories = 0;
+        const render = (nodes, prefix) => nodes.flatMap((node, i) => {
+            const last = i === nodes.length - 1;
+            if (node.type === 'directory') {
+                totalDirectories++;
+                const label = `${prefix}${last ? '└── ' : '├── '}${node.name}/${node.not_expanded ? ' …' : ''}`;
+                return [label, ...render(node.children, prefix + (last ? '    ' : '│   '))];
+            }
+            totalFiles++;
+            const details = node.type === 'file'
+                ? ` (${[node.lines !== null && `${node.lines} line${node.lines === 1 ? '' : 's'}`, node.language].filter(Boolean).join(', ')})`
+                : ` (${node.type})`;
+            return [`${prefix}${last ? '└── ' : '├── '}${node.name}${details === ' ()' ? '' : details}`];
+        });
+        const treeLines = render(root.children, '');
+
+        return {
+            success: true,
+            path: dir_path,
+            max_depth,
+            ...(format === 'tree'
+                ? { tree: [`${dir_path.replace(/\/$/, '')}/`, ...treeLines].join('\n') }
+                : { entries: root.children }),
+            total_files: totalFiles,
+            total_directories: totalDirectories,
+            truncated
+        };
+    }
+
+    async listWorkspaces() {
+        return {
+            success: true,
+            active: this.activeWorkspace,
+            workspaces: [...this.workspaces.values()].map(({ name, root, protectedPaths, commandPolicy, checkpoints }) => ({
+                name,
+                root,
+                active: name === this.activeWorkspace,
+                protected_paths: protectedPaths,
+                command_policy_mode: commandPolicy.mode,
+                checkpoints: checkpoints.length,
+                running_processes: [...this.processes.values()].filter(entry => entry.workspace === name && entry.running).length
+            }))
         };
-        return hints[toolName] || 'Check inputs and try again.';
     }
 
-    // --- Tool Implementations ---
+    async switchWorkspace({ workspace }) {
+        const { name, root } = this._workspace(workspace);
+        const previous = this.activeWorkspace;
+        this.activeWorkspace = name;
+        return { success: true, previous, active: name, root, message: `Switched to workspace '${name}' (${root}).` };
+    }
 
-    async smartReplace({ file_path, old_code, new_code, match_mode = 'smart' }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        const content = await fs.readFile(safePath, 'utf8');
+    async gitTool(args) {
+        return this._withConflictDetails(() => this._runGitCommand(args));
+    }
 
-        let newContent;
-        let matchFound = false;
+    async _withConflictDetails(task) {
+        // A pull, merge, rebase or stash pop that stops on conflicts is not a dead end: say where they are.
+        try {
+            return await task();
+        } catch (error) {
+            const conflicts = await this._conflictState().catch(() => null);
+            if (conflicts?.files.length > 0) {
+                error.details = { ...error.details, conflicts };
+            }
+            throw error;
+        }
+    }
 
-        if (match_mode === 'exact') {
-            if (content.includes(old_code)) {
-                newContent = content.replace(old_code, new_code);
-                matchFound = true;
+    async _runGitCommand({ command, args = [], file_path, hunks, start_line, end_line, confirm = false }) {
+        const { git, gitPolicy, root } = this._workspace();
+        const escape = findSandboxEscape(command, args, root);
+        if (escape) throw new Error(`Security Violation: ${escape}`);
+        const verdict = evaluateGitCommand(gitPolicy, command, args, await this._policyBranch(), confirm);
+        if (verdict.rule) {
+            // Only guarded operations go through the policy (and its audit log), not every status or diff.
+            await this._checkCommandPolicy('git_tool', ['git', command, ...args].join(' '), confirm, verdict);
+        }
+        switch (command) {
+            case 'status':
+                return { ...(await git.status()), success: true };
+            case 'diff':
+                return { success: true, files: parseUnifiedDiff(await git.raw(['diff', '--no-color', '--no-ext-diff', ...args])) };
+            case 'add':
+                await git.add(args.length > 0 ? args : '.');
+                return { success: true, message: `Added files: ${args.join(', ') || 'all staged'}` };
+            case 'commit':
+                if (args.length === 0) throw new Error("Commit message is required.");
+                await this._runPreCommitCheck();
+                return { success: true, ...(await git.commit(args[0])) };
+            case 'branch':
+                return { success: true, ...(await git.branch(args)) };
+            case 'pull':
+                return { success: true, ...(await git.pull(args)) };
+            case 'push':
+                return { success: true, ...(await git.push(args)) };
+            case 'checkout':
+                return { success: true, message: await git.checkout(args) };
+            case 'log': {
+                // An unbounded log of a long-lived repository would swamp the response.
+                const limited = args.some(arg => /^(-n|--max-count|-\d+$)/.test(arg));
+                const commits = parseLog(await git.raw(['log', '--numstat', `--format=${LOG_FORMAT}`, ...(limited ? [] : ['--max-count=20']), ...args]));
+                return { success: true, total: commits.length, commits };
+            }
+            case 'show': {
+                if (/^[^-][^:]*:/.test(args[0] || '')) {
+                    // "<rev>:<path>" shows the file as it was at that revision.
+                    return { success: true, object: args[0], content: await git.raw(['show', ...args]) };
+                }
+                const [commit] = parseLog(await git.raw(['log', '-1', '--numstat', `--format=${LOG_FORMAT}`, ...args]));
+                const files = parseUnifiedDiff(await git.raw(['show', '--format=', '--no-color', '--no-ext-diff', ...args]));
+                return { success: true, ...commit, files };
             }
-        } else { // 'smart' or 'fuzzy' will use the smart matching logic
-            const result = this.smartMatch(content, old_code, new_code);
-            if (result) {
-                newContent = result;
-                matchFound = true;
+            case 'blame': {
+                if (!file_path) throw new Error('blame needs file_path.');
+                const safePath = await this._resolveSandboxPath(file_path);
+                const range = start_line ? ['-L', `${start_line},${end_line || ''}`] : [];
+                const blame = parseBlame(await git.raw(['blame', '--porcelain', ...range, ...args, '--', this._relativePath(safePath)]));
+                return { success: true, file_path, ...blame };
             }
+            case 'stash':
+                if (args[0] === 'list') {
+                    return { success: true, stashes: (await git.stashList()).all };
+                }
+                return { success: true, message: await git.stash(args) };
+            case 'merge':
+                return { success: true, ...(await git.merge(args)) };
+            case 'rebase':
+                return { success: true, message: await git.rebase(args) };
+            case 'stage_hunk':
+            case 'unstage_hunk':
+                return this._applyHunks(git, { command, file_path, hunks });
+            case 'reset':
+                return { success: true, message: await git.reset(args) };
+            default:
+                throw new Error(`Unsupported git command: ${command}`);
+        }
+    }
+
+    async _policyBranch() {
+        // The branch HEAD is on, or the one being rebased while a rebase has HEAD detached; null without one.
+        const { git, root } = this._workspace();
+        const branch = await git.revparse(['--abbrev-ref', 'HEAD']).then(name => name.trim(), () => null);
+        if (branch !== 'HEAD') return branch;
+        const gitDir = path.resolve(root, (await git.revparse(['--git-dir'])).trim());
+        for (const dir of ['rebase-merge', 'rebase-apply']) {
+            const headName = await fs.readFile(path.join(gitDir, dir, 'head-name'), 'utf8').catch(() => null);
+            if (headName) return headName.trim().replace(/^refs\/heads\//, '');
         }
+        return null;
+    }
 
-        if (!matchFound) {
-            throw new Error(`Could not find the specified code to replace. The old_code was not found in the file.`);
+    async _runPreCommitCheck() {
+        const { root, gitPolicy } = this._workspace();
+        if (!gitPolicy.preCommitCheck) return;
+        const result = await new Promise((resolve) => {
+            exec(gitPolicy.preCommitCheck, {
+                cwd: root,
+                env: this._scrubbedEnv(),
+                timeout: gitPolicy.preCommitTimeout * 1000,
+                maxBuffer: 10 * 1024 * 1024
+            }, (error, stdout, stderr) => resolve({ error, stdout: stdout || '', stderr: stderr || '' }));
+        });
+        if (result.error) {
+            const timedOut = result.error.killed && result.error.signal === 'SIGTERM';
+            const error = new Error(`Commit refused: the pre-commit check \`${gitPolicy.preCommitCheck}\` ${timedOut ? `timed out after ${gitPolicy.preCommitTimeout}s` : `failed with exit code ${result.error.code}`}. Nothing was committed.`);
+            // The end of the output is where test runners and linters report what went wrong.
+            error.details = {
+                pre_commit_check: {
+                    command: gitPolicy.preCommitCheck,
+                    exit_code: result.error.code ?? null,
+                    timed_out: timedOut,
+                    stdout: result.stdout.slice(-4000),
+                    stderr: result.stderr.slice(-4000)
+                }
+            };
+            throw error;
         }
+    }
 
-        await fs.writeFile(safePath, newContent, 'utf-8');
+    async _applyHunks(git, { command, file_path, hunks }) {
+        // stage_hunk picks from the unstaged diff and applies to the index; unstage_hunk picks
+        // from the staged diff and applies it to the index in reverse. The work tree is untouched.
+        const unstage = command === 'unstage_hunk';
+        const source = unstage ? 'diff with args ["--cached"]' : 'diff';
+        if (!file_path || !Array.isArray(hunks) || hunks.length === 0) {
+            throw new Error(`${command} needs file_path and hunks (the hunk indexes listed by ${source}).`);
+        }
+        const safePath = await this._resolveSandboxPath(file_path);
+        const [file] = parseUnifiedDiff(await git.raw(['diff', '--no-color', '--no-ext-diff', ...(unstage ? ['--cached'] : []), '--', this._relativePath(safePath)]));
+        if (!file) {
+            throw new Error(`${file_path} has no ${unstage ? 'staged' : 'unstaged'} changes.`);
+        }
+        if (file.status !== 'modified' || file.binary) {
+            throw new Error(`${file_path} is ${file.binary ? 'binary' : file.status}; ${unstage ? 'unstage it with reset' : 'stage it with add'} as a whole.`);
+        }
+        const missing = hunks.filter(index => !file.hunks[index - 1]);
+        if (missing.length > 0) {
+            throw new Error(`No hunk ${missing.join(', ')} in ${file_path}; it has ${file.hunks.length}. Run ${source} again to see the current hunks.`);
+        }
 
+        const selected = file.hunks.filter(hunk => hunks.includes(hunk.index));
+        const patchPath = path.join(os.tmpdir(), `mcp-hunks-${process.pid}-${Date.now()}.patch`);
+        await fs.writeFile(patchPath, buildPatch(file, selected));
+        try {
+            await git.applyPatch(patchPath, ['--cached', ...(unstage ? ['--reverse'] : [])]);
+        } finally {
+            await fs.rm(patchPath, { force: true });
+        }
         return {
             success: true,
             file_path,
-            message: 'Code replaced successfully using smart matching.',
-            match_mode
+            [unstage ? 'unstaged' : 'staged']: selected.map(hunk => hunk.header),
+            remaining_hunks: file.hunks.length - selected.length,
+            message: `${unstage ? 'Unstaged' : 'Staged'} ${selected.length} of ${file.hunks.length} hunk${file.hunks.length === 1 ? '' : 's'} in ${file_path}.`
+        };
+    }
+
+    async _conflictState() {
+        // { operation, files: [{ path, type }] } for the workspace's repository.
+        const { git, root } = this._workspace();
+        const gitDir = path.resolve(root, (await git.revparse(['--git-dir'])).trim());
+        const exists = (name) => fs.stat(path.join(gitDir, name)).then(() => true, () => false);
+        let operation = null;
+        if (await exists('rebase-merge') || await exists('rebase-apply')) operation = 'rebase';
+        else if (await exists('MERGE_HEAD')) operation = 'merge';
+        else if (await exists('CHERRY_PICK_HEAD')) operation = 'cherry-pick';
+        else if (await exists('REVERT_HEAD')) operation = 'revert';
+
+        const types = {
+            UU: 'both modified', AA: 'both added', DD: 'both deleted',
+            AU: 'added by us', UA: 'added by them', DU: 'deleted by us', UD: 'deleted by them'
         };
+        const status = await git.status();
+        const files = status.files
+            .filter(file => status.conflicted.includes(file.path))
+            .map(file => ({ path: file.path, type: types[file.index + file.working_dir] || 'conflicted' }));
+        return { operation, files };
     }
 
-    smartMatch(content, oldCode, newCode) {
-        // Strategy 1: Direct replacement (handles multi-line exact matches)
-        if (content.includes(oldCode)) {
-            return content.replace(oldCode, newCode);
+    async listConflicts({ file_path } = {}) {
+        const { operation, files } = await this._conflictState();
+        const { root } = this._workspace();
+        const wanted = file_path ? this._relativePath(await this._resolveSandboxPath(file_path)) : null;
+        if (wanted && !files.some(file => file.path === wanted)) {
+            throw new Error(`${file_path} has no unresolved conflicts.`);
         }
 
-        // Strategy 2: Trimmed multi-line match (ignores leading/trailing whitespace on the whole block)
-        const lines = content.split('\n');
-        const oldLines = oldCode.trim().split('\n').map(l => l.trim());
-        const newLines = newCode.split('\n');
-
-        for (let i = 0; i <= lines.length - oldLines.length; i++) {
-            let match = true;
-            for (let j = 0; j < oldLines.length; j++) {
-                if (lines[i + j].trim() !== oldLines[j]) {
-                    match = false;
-                    break;
+        const details = [];
+        for (const file of files.filter(file => !wanted || file.path === wanted)) {
+            const content = await this._readFileIfExists(path.join(root, file.path));
+            let regions = [];
+            let note = null;
+            if (content === null) {
+                note = 'The file is deleted in the work tree. Resolve it with "side".';
+            } else {
+                try {
+                    regions = parseConflicts(content);
+                } catch (error) {
+                    note = error.message;
                 }
+                if (!note && regions.length === 0) note = 'No conflict markers in the file. Resolve it with "side", or with mark_resolved if it is already fixed.';
             }
+            details.push({ ...file, regions, ...(note && { note }) });
+        }
+        return {
+            success: true,
+            operation,
+            conflicted_files: details.length,
+            files: details,
+            message: details.length > 0
+                ? `${details.length} conflicted file${details.length === 1 ? '' : 's'}. Resolve them with resolve_conflict.`
+                : operation ? `No conflicts left. Use finish_merge to continue the ${operation}.` : 'No conflicts and no merge in progress.'
+        };
+    }
+
+    async resolveConflict({ file_path, resolutions = [], side, mark_resolved = true, dry_run = false }) {
+        const { git } = this._workspace();
+        const safePath = await this._resolveSandboxPath(file_path, { forWrite: true });
+        const relativePath = this._relativePath(safePath);
+        const current = await this._readFileIfExists(safePath);
 
-            if (match) {
-                // Found a match, preserve indentation from the first matched line
-                const indent = lines[i].match(/^(\s*)/)[1];
-                const indentedNewLines = newLines.map(line => indent + line);
-                lines.splice(i, oldLines.length, ...indentedNewLines);
-                return lines.join('\n');
+        let newContent;
+        let remaining;
+        if (side) {
+            if (resolutions.length > 0) {
+                throw new Error('Give either "side" for the whole file or "resolutions" for single regions, not both.');
+            }
+            const { files } = await this._conflictState();
+            if (!files.some(file => file.path === relativePath)) {
+                throw new Error(`${file_path} is not in conflict, so there is no "${side}" version to take.`);
+            }
+            // Stage 2 of the index holds our version and stage 3 theirs; a missing stage means that side deleted the file.
+            newContent = await git.show([`:${side === 'ours' ? 2 : 3}:${relativePath}`]).catch(() => null);
+            remaining = 0;
+        } else {
+            if (current === null) {
+                throw new Error(`${file_path} does not exist in the work tree. Resolve it with "side".`);
+            }
+            if (resolutions.length === 0 && !mark_resolved) {
+                throw new Error('Nothing to do: give "resolutions", "side", or mark_resolved.');
             }
+            ({ content: newContent, remaining } = resolveConflicts(current, resolutions));
         }
 
-        return false; // No match found
+        const diff = await this._writeFileChange(safePath, current, newContent, dry_run);
+        if (!dry_run && current !== newContent) {
+            this._recordCheckpoint('resolve_conflict', [{ safePath, before: current, after: newContent }]);
+        }
+        const markResolved = mark_resolved && remaining === 0;
+        if (markResolved && !dry_run) {
+            await (newContent === null ? git.raw(['rm', '--cached', '--quiet', '--', relativePath]) : git.add(['--', relativePath]));
+        }
+        return {
+            success: true,
+            file_path,
+            resolved_regions: side ? 'all' : resolutions.length,
+            remaining_regions: remaining,
+            marked_resolved: markResolved,
+            message: remaining > 0
+                ? `${remaining} conflict region${remaining === 1 ? '' : 's'} left in ${file_path}.`
+                : `${file_path} ${markResolved ? (dry_run ? 'would be marked' : 'is marked') : 'is not yet marked'} resolved.`,
+            dry_run,
+            diff
+        };
     }
 
-    async createOrOverwrite_file({ file_path, content }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        await fs.mkdir(path.dirname(safePath), { recursive: true });
-        await fs.writeFile(safePath, content, 'utf-8');
-        return { success: true, file_path, message: 'File created/overwritten successfully.' };
+    async finishMerge({ action, confirm = false }) {
+        const { root, gitPolicy } = this._workspace();
+        const { operation, files } = await this._conflictState();
+        if (!operation) {
+            throw new Error('No merge, rebase, cherry-pick or revert is in progress.');
+        }
+        if (action === 'continue' && files.length > 0) {
+            const error = new Error(`Cannot continue the ${operation}: ${files.length} file${files.length === 1 ? ' is' : 's are'} still conflicted (${files.map(file => file.path).join(', ')}).`);
+            error.details = { conflicts: { operation, files } };
+            throw error;
+        }
+        if (!['continue', 'abort'].includes(action)) {
+            throw new Error(`Unknown action '${action}'. Use "continue" or "abort".`);
+        }
+        // Continuing commits, so it is held to the same rules as starting the operation with git_tool.
+        const verdict = evaluateGitCommand(gitPolicy, operation, [`--${action}`], await this._policyBranch(), confirm);
+        if (verdict.rule) {
+            await this._checkCommandPolicy('finish_merge', `git ${operation} --${action}`, confirm, verdict);
+        }
+        // "continue" would open an editor for the commit message; GIT_EDITOR=true keeps git's prepared one.
+        // simple-git refuses editor overrides, so this call goes to git directly.
+        const output = await this._withConflictDetails(() => new Promise((resolve, reject) => {
+            execFile('git', [operation, `--${action}`], { cwd: root, env: { ...this._scrubbedEnv(), GIT_EDITOR: 'true' } }, (error, stdout, stderr) => {
+                if (error) reject(new Error((stderr || stdout || error.message).trim()));
+                else resolve(stdout);
+            });
+        }));
+        const after = await this._conflictState();
+        return {
+            success: true,
+            operation,
+            action,
+            output: output.trim(),
+            in_progress: after.operation,
+            message: after.operation
+                ? `The ${operation} continued and is still in progress${after.files.length > 0 ? ', with new conflicts. Use list_conflicts.' : '.'}`
+                : `The ${operation} was ${action === 'abort' ? 'aborted' : 'completed'}.`
+        };
     }
 
-    async deleteFile({ file_path }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        await fs.unlink(safePath);
-        return { success: true, file_path, message: 'File deleted successfully.' };
+    // --- GitHub ---
+
+    _githubClient(auth_token) {
+        const token = auth_token || GITHUB_TOKEN_FALLBACK;
+        if (!token) {
+            throw new Error('GitHub token is missing. Provide it in the tool call or configure it on the server.');
+        }
+        return new Octokit({ auth: token, baseUrl: GITHUB_API_URL });
     }
 
-    async moveOrRenameFile({ source_path, destination_path }) {
-        const safeSourcePath = this._resolveSandboxPath(source_path);
-        const safeDestPath = this._resolveSandboxPath(destination_path);
-        await fs.mkdir(path.dirname(safeDestPath), { recursive: true });
-        await fs.rename(safeSourcePath, safeDestPath);
-        return { success: true, from: source_path, to: destination_path, message: 'File moved/renamed successfully.' };
+    async _github(action, request) {
+        // Runs an Octokit call and turns its failures into messages that say what to fix.
+        try {
+            return (await request()).data;
+        } catch (error) {
+            const status = error.status;
+            if (!status) throw new Error(`${action} failed: ${error.message}`);
+            const data = error.response?.data || {};
+            const headers = error.response?.headers || {};
+            let reason;
+            if (status === 401) {
+                reason = 'GitHub rejected the token (401 Bad credentials).';
+            } else if (status === 403 && headers['x-ratelimit-remaining'] === '0') {
+                reason = `the GitHub API rate limit is used up until ${new Date(Number(headers['x-ratelimit-reset']) * 1000).toISOString()}.`;
+            } else if (status === 403) {
+                reason = `the token is not allowed to do this (403): ${data.message || error.message}`;
+            } else if (status === 404) {
+                reason = 'not found (404). It does not exist, or the token has no access to it.';
+            } else if (status === 422) {
+                const problems = (data.errors || []).map(problem => (typeof problem === 'string' ? problem : problem.message || `${problem.field} ${problem.code}`));
+                reason = `GitHub rejected the request (422): ${[data.message, ...problems].filter(Boolean).join('; ')}`;
+            } else {
+                reason = `${data.message || error.message} (${status})`;
+            }
+            const mapped = new Error(`${action} failed: ${reason}`);
+            mapped.details = { github: { status, rate_limited: status === 403 && headers['x-ratelimit-remaining'] === '0', documentation_url: data.documentation_url || null } };
+            throw mapped;
+        }
     }
 
-    async searchInFile({ file_path, search_text, case_sensitive = true }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        const content = await fs.readFile(safePath, 'utf8');
-        const lines = content.split('\n');
-        const matches = [];
+    async _githubRepo(repo) {
+        // { owner, repo } from an "owner/name" argument, else from the workspace's origin remote.
+        if (repo) {
+            const [owner, name, ...rest] = repo.split('/');
+            if (!owner || !name || rest.length > 0) throw new Error(`Invalid repo '${repo}'. Use the form "owner/name".`);
+            return { owner, repo: name };
+        }
+        const remotes = await this._workspace().git.getRemotes(true).catch(() => []);
+        const origin = remotes.find(remote => remote.name === 'origin');
+        const match = origin && /[/:]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/.exec(origin.refs.push || origin.refs.fetch);
+        if (!match) {
+            throw new Error('Cannot tell which GitHub repository to use: the workspace has no "origin" remote. Pass repo as "owner/name".');
+        }
+        return { owner: match[1], repo: match[2] };
+    }
 
-        const flags = case_sensitive ? 'g' : 'gi';
-        const searchRegex = new RegExp(search_text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+    async _currentBranch() {
+        const branch = await this._workspace().git.revparse(['--abbrev-ref', 'HEAD']).then(name => name.trim(), () => null);
+        if (!branch || branch === 'HEAD') {
+            throw new Error('There is no current branch (no commits yet, or a detached HEAD). Check out a branch or name one explicitly.');
+        }
+        return branch;
+    }
 
-        lines.forEach((line, index) => {
-            if (searchRegex.test(line)) {
-                matches.push({
-                    line_number: index + 1,
-                    content: line,
-                });
-            }
-        });
+    _describePullRequest(pr) {
+        return {
+            number: pr.number,
+            title: pr.title,
+            state: pr.merged_at ? 'merged' : pr.state,
+            draft: !!pr.draft,
+            author: pr.user?.login || null,
+            head: pr.head.ref,
+            base: pr.base.ref,
+            labels: (pr.labels || []).map(label => label.name),
+            url: pr.html_url,
+            created_at: pr.created_at,
+            updated_at: pr.updated_at
+        };
+    }
 
+    async createPullRequest({ title, body = '', base, head, draft = false, repo, auth_token }) {
+        const octokit = this._githubClient(auth_token);
+        const target = await this._githubRepo(repo);
+        const branch = head || await this._currentBranch();
+        const baseBranch = base || (await this._github('Reading the repository', () => octokit.repos.get(target))).default_branch;
+        if (branch === baseBranch) {
+            throw new Error(`The head branch '${branch}' is the base branch itself. Commit the work to a feature branch first.`);
+        }
+        const pr = await this._github('Creating the pull request', () => octokit.pulls.create({ ...target, title, body, head: branch, base: baseBranch, draft }));
         return {
             success: true,
-            file_path,
-            search_text,
-            matches,
-            total_matches: matches.length
+            ...this._describePullRequest(pr),
+            message: `Opened pull request #${pr.number} (${branch} -> ${baseBranch}): ${pr.html_url}`
         };
     }
 
-    async getCodeContext({ file_path, line_number, context_lines = 5 }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        const content = await fs.readFile(safePath, 'utf8');
-        const lines = content.split('\n');
-
-        if (line_number < 1 || line_number > lines.length) {
-            throw new Error(`Line number ${line_number} is out of range (file has ${lines.length} lines)`);
-        }
+    async listPullRequests({ state = 'open', head, base, limit = 30, repo, auth_token }) {
+        const octokit = this._githubClient(auth_token);
+        const target = await this._githubRepo(repo);
+        const pulls = await this._github('Listing pull requests', () => octokit.pulls.list({
+            ...target,
+            state,
+            base,
+            head: head && (head.includes(':') ? head : `${target.owner}:${head}`),
+            sort: 'created',
+            direction: 'desc',
+            per_page: Math.min(Math.max(limit, 1), 100)
+        }));
+        return { success: true, repo: `${target.owner}/${target.repo}`, state, total: pulls.length, pull_requests: pulls.map(pr => this._describePullRequest(pr)) };
+    }
 
-        const startLine = Math.max(1, line_number - context_lines);
-        const endLine = Math.min(lines.length, line_number + context_lines);
+    async getPullRequest({ number, repo, auth_token }) {
+        const octokit = this._githubClient(auth_token);
+        const target = await this._githubRepo(repo);
+        const request = { ...target, pull_number: number, per_page: 100 };
+        // Lists are read to the end: a big pull request has more than one page of files or comments.
+        const all = (method, params) => octokit.paginate(method, params).then(data => ({ data }));
+        const [pr, files, reviews, reviewComments, comments] = await Promise.all([
+            this._github(`Reading pull request #${number}`, () => octokit.pulls.get({ ...target, pull_number: number })),
+            this._github('Reading the changed files', () => all(octokit.pulls.listFiles, request)),
+            this._github('Reading the reviews', () => all(octokit.pulls.listReviews, request)),
+            this._github('Reading the review comments', () => all(octokit.pulls.listReviewComments, request)),
+            this._github('Reading the conversation', () => all(octokit.issues.listComments, { ...target, issue_number: number, per_page: 100 }))
+        ]);
 
-        const snippet = [];
-        for (let i = startLine - 1; i < endLine; i++) {
-            snippet.push(`${i + 1}: ${lines[i]}`);
+        // Review comments come flat; replies point at the first comment of their thread.
+        const threads = new Map();
+        for (const comment of reviewComments) {
+            const root = comment.in_reply_to_id || comment.id;
+            if (!threads.has(root)) {
+                threads.set(root, { comment_id: root, path: comment.path, line: comment.line ?? comment.original_line ?? null, outdated: comment.line == null, comments: [] });
+            }
+            threads.get(root).comments.push({ id: comment.id, author: comment.user?.login || null, body: comment.body, created_at: comment.created_at });
         }
 
         return {
             success: true,
-            file_path,
-            center_line: line_number,
-            context: snippet.join('\n'),
-            total_lines: lines.length
+            ...this._describePullRequest(pr),
+            body: pr.body || '',
+            head_sha: pr.head.sha,
+            mergeable: pr.mergeable ?? null,
+            mergeable_state: pr.mergeable_state || null,
+            additions: pr.additions,
+            deletions: pr.deletions,
+            files: files.map(file => ({ path: file.filename, status: file.status, additions: file.additions, deletions: file.deletions })),
+            reviews: reviews
+                .filter(review => review.state !== 'PENDING')
+                .map(review => ({ id: review.id, author: review.user?.login || null, state: review.state, body: review.body || '', submitted_at: review.submitted_at })),
+            review_threads: [...threads.values()],
+            comments: comments.map(comment => ({ id: comment.id, author: comment.user?.login || null, body: comment.body, created_at: comment.created_at }))
         };
     }
 
-    async deleteLines({ file_path, start_line, end_line }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        const content = await fs.readFile(safePath, 'utf8');
-        const lines = content.split('\n');
+    async replyToReviewComment({ number, comment_id, body, repo, auth_token }) {
+        const octokit = this._githubClient(auth_token);
+        const target = await this._githubRepo(repo);
+        const reply = await this._github('Replying to the review comment', () => octokit.pulls.createReplyForReviewComment({ ...target, pull_number: number, comment_id, body }));
+        return { success: true, comment_id: reply.id, in_reply_to: comment_id, url: reply.html_url, message: `Replied in the review thread of pull request #${number}.` };
+    }
 
-        if (start_line < 1 || end_line > lines.length || start_line > end_line) {
-            throw new Error(`Invalid line range: ${start_line}-${end_line} (file has ${lines.length} lines)`);
+    async getPrChecks({ number, ref, repo, auth_token }) {
+        const octokit = this._githubClient(auth_token);
+        const target = await this._githubRepo(repo);
+        let sha = ref;
+        if (number) {
+            sha = (await this._github(`Reading pull request #${number}`, () => octokit.pulls.get({ ...target, pull_number: number }))).head.sha;
+        } else if (!sha) {
+            sha = await this._currentBranch();
         }
+        // paginate unwraps check_runs page by page; the combined status is an object per page, so its statuses are joined here.
+        const [runs, combinedPages] = await Promise.all([
+            this._github('Reading check runs', () => octokit.paginate(octokit.checks.listForRef, { ...target, ref: sha, per_page: 100 }).then(data => ({ data }))),
+            this._github('Reading commit statuses', () => octokit.paginate(octokit.repos.getCombinedStatusForRef, { ...target, ref: sha, per_page: 100 }, response => [response.data]).then(data => ({ data })))
+        ]);
+        const combined = { sha: combinedPages[0]?.sha, statuses: combinedPages.flatMap(page => page.statuses) };
 
-        const deletedCount = end_line - start_line + 1;
-        lines.splice(start_line - 1, deletedCount);
-
-        await fs.writeFile(safePath, lines.join('\n'), 'utf-8');
+        const checks = runs.map(run => ({
+            name: run.name,
+            status: run.status,
+            conclusion: run.conclusion,
+            summary: run.output?.title || null,
+            url: run.details_url || run.html_url,
+            started_at: run.started_at,
+            completed_at: run.completed_at
+        }));
+        const statuses = combined.statuses.map(status => ({ name: status.context, state: status.state, description: status.description, url: status.target_url }));
+        const failing = [
+            ...checks.filter(check => ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure'].includes(check.conclusion)),
+            ...statuses.filter(status => ['failure', 'error'].includes(status.state))
+        ].map(entry => entry.name);
+        const pending = [
+            ...checks.filter(check => check.status !== 'completed'),
+            ...statuses.filter(status => status.state === 'pending')
+        ].map(entry => entry.name);
+        const state = failing.length > 0 ? 'failure' : pending.length > 0 ? 'pending' : checks.length + statuses.length > 0 ? 'success' : 'none';
 
         return {
             success: true,
-            file_path,
-            lines_deleted: deletedCount,
-            message: `Deleted lines ${start_line}-${end_line} (${deletedCount} lines).`
+            ...(number && { number }),
+            ref: ref || sha,
+            sha: combined.sha || sha,
+            state,
+            failing,
+            pending,
+            checks,
+            statuses
         };
     }
 
-    async executeShellCommand({ command, timeout_seconds = 120 }) {
-        return new Promise((resolve) => {
-            exec(command, {
-                cwd: SANDBOX_DIR,
-                timeout: timeout_seconds * 1000,
-                maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-            }, (error, stdout, stderr) => {
-                resolve({
-                    success: !error,
-                    exit_code: error ? error.code : 0,
-                    stdout: stdout || '',
-                    stderr: stderr || '',
-                    command,
-                    timed_out: error && error.killed && error.signal === 'SIGTERM'
-                });
-            });
-        });
+    _describeIssue(issue) {
+        return {
+            number: issue.number,
+            title: issue.title,
+            state: issue.state,
+            author: issue.user?.login || null,
+            labels: issue.labels.map(label => (typeof label === 'string' ? label : label.name)),
+            assignees: (issue.assignees || []).map(user => user.login),
+            comments: issue.comments,
+            url: issue.html_url,
+            created_at: issue.created_at,
+            updated_at: issue.updated_at
+        };
     }
 
-    async readFileContent({ file_path }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        const content = await fs.readFile(safePath, 'utf8');
-        const stats = await fs.stat(safePath);
+    async listIssues({ state = 'open', labels = [], assignee, limit = 30, repo, auth_token }) {
+        const octokit = this._githubClient(auth_token);
+        const target = await this._githubRepo(repo);
+        const labelList = Array.isArray(labels) ? labels : [labels];
+        const items = await this._github('Listing issues', () => octokit.issues.listForRepo({
+            ...target,
+            state,
+            labels: labelList.length > 0 ? labelList.join(',') : undefined,
+            assignee,
+            sort: 'updated',
+            direction: 'desc',
+            per_page: Math.min(Math.max(limit, 1), 100)
+        }));
+        // The issues API returns pull requests too.
+        const issues = items.filter(item => !item.pull_request).map(issue => this._describeIssue(issue));
+        return { success: true, repo: `${target.owner}/${target.repo}`, state, total: issues.length, issues };
+    }
+
+    async getIssue({ number, repo, auth_token }) {
+        const octokit = this._githubClient(auth_token);
+        const target = await this._githubRepo(repo);
+        const [issue, comments] = await Promise.all([
+            this._github(`Reading issue #${number}`, () => octokit.issues.get({ ...target, issue_number: number })),
+            this._github('Reading the comments', () => octokit.paginate(octokit.issues.listComments, { ...target, issue_number: number, per_page: 100 }).then(data => ({ data })))
+        ]);
         return {
             success: true,
-            file_path,
-            content,
-            size_bytes: stats.size,
-            lines: content.split('\n').length
+            ...this._describeIssue(issue),
+            is_pull_request: !!issue.pull_request,
+            body: issue.body || '',
+            milestone: issue.milestone?.title || null,
+            closed_at: issue.closed_at,
+            comments: comments.map(comment => ({ id: comment.id, author: comment.user?.login || null, body: comment.body, created_at: comment.created_at }))
         };
     }
 
-    async listDirectory({ dir_path = '.' }) {
-        const safePath = this._resolveSandboxPath(dir_path);
-        const entries = await fs.readdir(safePath, { withFileTypes: true });
+    async commentOnIssue({ number, body, repo, auth_token }) {
+        const octokit = this._githubClient(auth_token);
+        const target = await this._githubRepo(repo);
+        const comment = await this._github(`Commenting on issue #${number}`, () => octokit.issues.createComment({ ...target, issue_number: number, body }));
+        return { success: true, number, comment_id: comment.id, url: comment.html_url, message: `Commented on issue #${number}.` };
+    }
 
-        const items = await Promise.all(entries.map(async (entry) => {
-            const fullPath = path.join(safePath, entry.name);
-            let stats;
-            try {
-                stats = await fs.stat(fullPath);
-            } catch (e) {
-                // Handle broken symlinks or permission errors gracefully
-                return { name: entry.name, type: 'inaccessible', size: null, modified: null };
+    async linkIssue({ number, pull_request, closes = true, branch, from, repo, auth_token }) {
+        if (!pull_request === !branch) {
+            throw new Error('Give exactly one of "pull_request" or "branch" to link to the issue.');
+        }
+        const octokit = this._githubClient(auth_token);
+        const target = await this._githubRepo(repo);
+        const issue = await this._github(`Reading issue #${number}`, () => octokit.issues.get({ ...target, issue_number: number }));
+
+        if (pull_request) {
+            // GitHub links a pull request to the issues its description closes.
+            const pr = await this._github(`Reading pull request #${pull_request}`, () => octokit.pulls.get({ ...target, pull_number: pull_request }));
+            const reference = `${closes ? 'Closes' : 'Refs'} #${number}`;
+            const body = pr.body || '';
+            if (new RegExp(`(^|\\s)${reference}\\b`, 'i').test(body)) {
+                return { success: true, number, pull_request, linked: 'already', message: `Pull request #${pull_request} already says "${reference}".` };
             }
+            await this._github(`Updating pull request #${pull_request}`, () => octokit.pulls.update({ ...target, pull_number: pull_request, body: body ? `${body.trimEnd()}\n\n${reference}` : reference }));
             return {
-                name: entry.name,
-                type: entry.isDirectory() ? 'directory' : 'file',
-                size: entry.isFile() ? stats.size : null,
-                modified: stats.mtime
+                success: true,
+                number,
+                pull_request,
+                linked: 'pull_request',
+                message: `Added "${reference}" to pull request #${pull_request}${closes ? '; merging it will close the issue' : ''}.`
             };
-        }));
+        }
 
+        const repository = await this._github('Reading the repository', () => octokit.repos.get(target));
+        const start = from || repository.default_branch;
+        const oid = /^[0-9a-f]{40}$/i.test(start)
+            ? start
+            : (await this._github(`Reading branch '${start}'`, () => octokit.repos.getBranch({ ...target, branch: start }))).commit.sha;
+        const mutation = `
+            mutation($issueId: ID!, $repositoryId: ID!, $oid: GitObjectID!, $name: String!) {
+                createLinkedBranch(input: { issueId: $issueId, repositoryId: $repositoryId, oid: $oid, name: $name }) {
+                    linkedBranch { ref { name } }
+                }
+            }`;
+        await this._github(`Creating the linked branch '${branch}'`, async () => ({
+            data: await octokit.graphql(mutation, { issueId: issue.node_id, repositoryId: repository.node_id, oid, name: branch })
+        }));
         return {
             success: true,
-            path: dir_path,
-            entries: items.sort((a, b) => {
-                if (a.type !== b.type) return a.type === 'directory' ? -1 : 1;
-                return a.name.localeCompare(b.name);
-            })
+            number,
+            branch,
+            from: start,
+            sha: oid,
+            linked: 'branch',
+            message: `Created branch '${branch}' on GitHub from ${start}, linked to issue #${number}. Get it with git_tool: pull, then checkout ${branch}.`
         };
     }
 
-    async gitTool({ command, args = [] }) {
-        switch (command) {
-            case 'status':
-                return { ...(await this.git.status()), success: true };
-            case 'diff':
-                return { success: true, diff: await this.git.diff(args) };
-            case 'add':
-                await this.git.add(args.length > 0 ? args : '.');
-                return { success: true, message: `Added files: ${args.join(', ') || 'all staged'}` };
-            case 'commit':
-                if (args.length === 0) throw new Error("Commit message is required.");
-                return { success: true, ...(await this.git.commit(args[0])) };
-            case 'branch':
-                return { success: true, ...(await this.git.branch(args)) };
-            case 'pull':
-                return { success: true, ...(await this.git.pull(args)) };
-            case 'push':
-                return { success: true, ...(await this.git.push(args)) };
-            case 'checkout':
-                return { success: true, message: await this.git.checkout(args) };
-            case 'log':
-                return { success: true, ...(await this.git.log(args)) };
-            case 'reset':
-                return { success: true, message: await this.git.reset(args) };
-            default:
-                throw new Error(`Unsupported git command: ${command}`);
-        }
-    }
-
     async createGithubRepo(args) {
-        const { repo_name, description, is_private = false, auth_token } = args;
+        const {
+            repo_name, description, is_private = false, org, template, gitignore_template, license_template,
+            auto_init = false, connect_local = false, remote = 'origin', remote_protocol = 'https', confirm = false, auth_token
+        } = args;
 
-        // Use the token from the tool call first, otherwise use the top-level variable
-        const token = auth_token || GITHUB_TOKEN_FALLBACK;
+        // Use the token from the tool call first, otherwise the server's GITHUB_TOKEN
+        const octokit = this._githubClient(auth_token);
+        const initialized = !!(template || gitignore_template || license_template || auto_init);
+        const local = connect_local ? await this._localRepoState(remote) : null;
+        if (local?.hasCommits && initialized) {
+            throw new Error('The local project already has commits, so it cannot be pushed into a repository that GitHub gives a first commit. Leave out template, gitignore_template, license_template and auto_init, or connect the project yourself.');
+        }
+        if (local?.hasCommits) {
+            // The push is held to the git guardrails before anything is created on GitHub.
+            const pushArgs = ['-u', remote, local.branch];
+            const verdict = evaluateGitCommand(this._workspace().gitPolicy, 'push', pushArgs, local.branch, confirm);
+            if (verdict.rule) {
+                await this._checkCommandPolicy('create_github_repo', ['git', 'push', ...pushArgs].join(' '), confirm, verdict);
+            }
+        }
 
-        if (!token) {
-            throw new Error('GitHub token is missing. Provide it in the tool call or configure it on the server.');
+        // Call the GitHub API to create the repository
+        let repository;
+        if (template) {
+            const [template_owner, template_repo, ...rest] = template.split('/');
+            if (!template_owner || !template_repo || rest.length > 0) {
+                throw new Error(`Invalid template '${template}'. Use the form "owner/name".`);
+            }
+            const owner = org || (await this._github('Reading the authenticated user', () => octokit.users.getAuthenticated())).login;
+            repository = await this._github('GitHub repository creation', () => octokit.repos.createUsingTemplate({
+                template_owner, template_repo, owner, name: repo_name, description, private: is_private
+            }));
+        } else {
+            const options = { name: repo_name, description, private: is_private, gitignore_template, license_template, auto_init };
+            repository = await this._github('GitHub repository creation', () => (org
+                ? octokit.repos.createInOrg({ org, ...options })
+                : octokit.repos.createForAuthenticatedUser(options)));
+        }
+
+        const result = {
+            success: true,
+            name: repository.name,
+            full_name: repository.full_name,
+            owner: repository.owner?.login || org || null,
+            url: repository.html_url,
+            clone_url: repository.clone_url,
+            ssh_url: repository.ssh_url,
+            private: repository.private,
+            default_branch: repository.default_branch
+        };
+        if (!connect_local) {
+            return { ...result, message: `Created GitHub repository ${repository.full_name} (${is_private ? 'private' : 'public'}): ${repository.html_url}` };
         }
 
         try {
-            // Initialize Octokit with the token
-            const octokit = new Octokit({ auth: token });
-
-            // Call the GitHub API to create the repository
-            const response = await octokit.repos.createForAuthenticatedUser({
-                name: repo_name,
-                description: description,
-                private: is_private,
+            result.local = await this._connectLocalRepo(local, {
+                remote,
+                url: remote_protocol === 'ssh' ? repository.ssh_url : repository.clone_url,
+                token: auth_token || GITHUB_TOKEN_FALLBACK,
+                initialized,
+                defaultBranch: repository.default_branch
             });
+        } catch (error) {
+            error.message = `Created ${repository.html_url}, but connecting the local project failed: ${error.message}`;
+            error.details = { ...error.details, repository: result };
+            throw error;
+        }
+        const { branch, pushed } = result.local;
+        return {
+            ...result,
+            message: pushed
+                ? `Created ${repository.html_url} and pushed '${branch}' to ${remote}.`
+                : `Created ${repository.html_url} and added it as ${remote}. ${branch ? `Branch '${branch}' tracks ${remote}/${branch}; commit` : 'Commit'} your work, then push it with git_tool.`
+        };
+    }
 
-            // Return a success message with the new repo's URL
-            const repoUrl = response.data.html_url;
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `✅ Successfully created GitHub repository!
+    async _localRepoState(remote) {
+        // What connect_local has to work with, checked before anything is created on GitHub.
+        const { git, root } = this._workspace();
+        const isRepo = await git.checkIsRepo('root').catch(() => false);
+        if (!isRepo) {
+            return { isRepo, hasCommits: false };
+        }
+        const existing = (await git.getRemotes(true)).find(entry => entry.name === remote);
+        if (existing) {
+            throw new Error(`The repository in ${root} already has a remote '${remote}' (${existing.refs.push || existing.refs.fetch}). Pass another "remote" name.`);
+        }
+        const hasCommits = await git.revparse(['--verify', '--quiet', 'HEAD']).then(() => true, () => false);
+        return { isRepo, hasCommits, branch: hasCommits ? await this._currentBranch() : null };
+    }
 
-                        Repository Name: ${repo_name}
-                        URL: ${repoUrl}
-                        Visibility: ${is_private ? 'Private' : 'Public'}`
-                    }
-                ]
-            };
-        } catch (error) {
-            // Handle potential errors like bad credentials or repo already exists
-            throw new Error(`GitHub repository creation failed: ${error.message}`);
+    async _connectLocalRepo({ isRepo, hasCommits, branch }, { remote, url, token, initialized, defaultBranch }) {
+        const { git } = this._workspace();
+        if (!isRepo) {
+            await git.init();
+        }
+        await git.addRemote(remote, url);
+        const local = { initialized_git: !isRepo, remote, remote_url: url, branch: null, pushed: false };
+
+        if (initialized) {
+            // GitHub made the first commit; start the local branch from it. Template repositories
+            // are generated in the background, so their branch may not be there yet.
+            await this._gitWithToken(['fetch', remote], url, token);
+            const remoteBranches = await git.branch(['-r']);
+            if (!remoteBranches.all.includes(`${remote}/${defaultBranch}`)) {
+                local.note = `GitHub has not finished creating ${remote}/${defaultBranch} yet; pull it with git_tool in a moment.`;
+                return local;
+            }
+            await git.checkout(['-B', defaultBranch, '--track', `${remote}/${defaultBranch}`]);
+            local.branch = defaultBranch;
+        } else if (hasCommits) {
+            await this._gitWithToken(['push', '-u', remote, branch], url, token);
+            local.branch = branch;
+            local.pushed = true;
+        }
+        return local;
+    }
+
+    async _gitWithToken(args, url, token) {
+        // The server cannot answer a credential prompt, so git must not ask, and an https remote
+        // gets the GitHub token as a one-off header for its URL. The header goes through the
+        // environment to keep the token off the command line; simple-git refuses config from
+        // there, so this call goes to git directly.
+        const { root } = this._workspace();
+        const env = { ...this._scrubbedEnv(), GIT_TERMINAL_PROMPT: '0' };
+        if (/^https:\/\//i.test(url)) {
+            const index = Number(env.GIT_CONFIG_COUNT) || 0;
+            Object.assign(env, {
+                GIT_CONFIG_COUNT: String(index + 1),
+                [`GIT_CONFIG_KEY_${index}`]: `http.${url}.extraheader`,
+                [`GIT_CONFIG_VALUE_${index}`]: `AUTHORIZATION: basic ${Buffer.from(`x-access-token:${token}`).toString('base64')}`
+            });
         }
+        return new Promise((resolve, reject) => {
+            execFile('git', args, { cwd: root, env }, (error, stdout, stderr) => {
+                if (error) reject(new Error(`git ${args.join(' ')} (${url}) failed: ${(stderr || error.message).trim()}. Check that the token may push to the repository (repo scope, or contents: write), or push with git_tool once credentials are set up.`));
+                else resolve(stdout);
+            });
+        });
     }
 
     async start() {
         console.error(`🚀 Autonomous Developer MCP Server v2.1 is online.`);
-        console.error(`🔒 Operating in sandboxed directory: ${SANDBOX_DIR}`);
+        for (const { name, root } of this.workspaces.values()) {
+            console.error(`🔒 Workspace '${name}'${name === this.activeWorkspace ? ' (active)' : ''}: ${root}`);
+        }
         console.error(`✨ Enhanced with professional Git workflow and file management tools.`);
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
@@ -768,22 +3836,36 @@ class AutonomousDeveloperMCPServer {
 }
 
 // --- Main Execution ---
-try {
-    if (!SANDBOX_DIR) {
-        throw new Error("CRITICAL: 'projectDirectory' is not defined in package.json.");
-    }
-    await fs.mkdir(SANDBOX_DIR, { recursive: true });
-    const server = new AutonomousDeveloperMCPServer();
-    server.start().catch((error) => {
-        console.error(`\n❌ Critical server error:\n${error.message}\n`);
+export { AutonomousDeveloperMCPServer };
+
+// Start the MCP server when run as a program (node server.js, node server, or through a symlink);
+// tests import the class without starting it.
+const entryPoint = process.argv[1] && [process.argv[1], `${process.argv[1]}.js`].find(file => existsSync(file));
+if (entryPoint && realpathSync(entryPoint) === __filename) {
+    let server;
+    try {
+        const workspaceConfig = await loadWorkspaces({ packageJson, baseDir: __dirname, argv: process.argv.slice(2), commandPolicy: COMMAND_POLICY_CONFIG });
+        await checkWorkspaceRoots(workspaceConfig.workspaces);
+        server = new AutonomousDeveloperMCPServer(workspaceConfig);
+        server.start().catch((error) => {
+            console.error(`\n❌ Critical server error:\n${error.message}\n`);
+            process.exit(1);
+        });
+    } catch (error) {
+        console.error(`\n❌ Failed to initialize server:\n${error.message}\n`);
         process.exit(1);
+    }
+
+    // Background processes run in their own process groups, so they would outlive us unless stopped here.
+    process.on('exit', () => server?.stopAllProcesses());
+
+    process.on('SIGINT', () => {
+        console.error('\nShutting down gracefully...');
+        process.exit(0);
     });
-} catch (error) {
-    console.error(`\n❌ Failed to initialize server:\n${error.message}\n`);
-    process.exit(1);
-}
 
-process.on('SIGINT', () => {
-    console.error('\nShutting down gracefully...');
-    process.exit(0);
-});
+    process.on('SIGTERM', () => process.exit(0));
+
+    // The client closing our stdin means the session is over; don't let open child pipes keep us alive.
+    process.stdin.on('close', () => process.exit(0));
+}
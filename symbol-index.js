@@ -0,0 +1,333 @@
+/**
+ * A cross-file index of declarations, references and exports, built from tree-sitter parse trees.
+ *
+ * extractSymbols() reads one parsed file; SymbolIndex keeps the result for every file of a project,
+ * keyed by relative path and stamped with the file's mtime and size so stale entries can be found.
+ * Names of methods are qualified with their class ("Class.method"); lines and columns are 1-based.
+ */
+
+const FUNCTION_VALUES = ['function', 'function_expression', 'arrow_function', 'generator_function'];
+const CLASS_DECLARATIONS = ['class_declaration', 'abstract_class_declaration'];
+const TYPE_DECLARATIONS = { interface_declaration: 'interface', type_alias_declaration: 'type', enum_declaration: 'enum' };
+const JS_NAME_NODES = ['identifier', 'property_identifier', 'shorthand_property_identifier', 'shorthand_property_identifier_pattern', 'type_identifier'];
+
+/**
+ * What a variable declarator declares, from its value node (null without one): a const bound to a
+ * function or class counts as that, anything else as a variable.
+ */
+export function valueKind(value) {
+    return !value ? 'variable' : FUNCTION_VALUES.includes(value.type) ? 'function' : value.type === 'class' ? 'class' : 'variable';
+}
+
+const position = (node) => ({ line: node.startPosition.row + 1, column: node.startPosition.column + 1 });
+const stringValue = (node) => node.text.slice(1, -1);
+
+function referenceKind(node, inImport) {
+    // How a name is used: 'import', 'call', 'member' (obj.name), 'type' or a plain 'reference'.
+    if (inImport) return 'import';
+    const parent = node.parent;
+    const callee = (expression) => ['call_expression', 'call'].includes(expression.parent?.type)
+        && expression.parent.childForFieldName('function')?.startIndex === expression.startIndex;
+    if (['member_expression', 'attribute'].includes(parent?.type) && parent.childForFieldName(parent.type === 'attribute' ? 'attribute' : 'property')?.startIndex === node.startIndex) {
+        return callee(parent) ? 'call' : 'member';
+    }
+    if (callee(node)) return 'call';
+    return node.type === 'type_identifier' ? 'type' : 'reference';
+}
+
+function extractJavaScript(rootNode) {
+    const definitions = [];
+    const exports = [];
+    const nameNodes = new Set(); // startIndex of every name that is a definition, not a reference
+
+    const define = (nameNode, kind, node, container = null, exported = false) => {
+        const name = container ? `${container}.${nameNode.text}` : nameNode.text;
+        nameNodes.add(nameNode.startIndex);
+        definitions.push({ name, kind, ...position(nameNode), end_line: node.endPosition.row + 1, exported });
+        return name;
+    };
+
+    const defineClassMembers = (classNode, className) => {
+        for (const member of classNode.childForFieldName('body')?.namedChildren || []) {
+            if (member.type === 'method_definition') {
+                define(member.childForFieldName('name'), 'method', member, className);
+                visit(member, null, false);
+            } else if (member.type === 'abstract_method_signature') {
+                define(member.childForFieldName('name'), 'method', member, className);
+            } else if (['field_definition', 'public_field_definition'].includes(member.type)) {
+                const nameNode = member.childForFieldName('property') ?? member.childForFieldName('name');
+                const value = member.childForFieldName('value');
+                if (nameNode) define(nameNode, value && FUNCTION_VALUES.includes(value.type) ? 'method' : 'property', member, className);
+                if (value) visit(value, null, false);
+            } else {
+                visit(member, null, false);
+            }
+        }
+    };
+
+    // Declares what `node` defines and returns the declared names (for exports).
+    const visit = (node, container, topLevel, exported = false) => {
+        switch (node.type) {
+            case 'function_declaration':
+            case 'generator_function_declaration': {
+                const name = define(node.childForFieldName('name'), 'function', node, null, exported);
+                visit(node.childForFieldName('body'), null, false);
+                return [name];
+            }
+            case 'class_declaration':
+            case 'abstract_class_declaration':
+            case 'class': {
+                const nameNode = node.childForFieldName('name');
+                const name = nameNode ? define(nameNode, 'class', node, null, exported) : null;
+                if (name || container) {
+                    defineClassMembers(node, name ?? container);
+                } else {
+                    visit(node.childForFieldName('body'), null, false);
+                }
+                return name ? [name] : [];
+            }
+            case 'interface_declaration':
+            case 'type_alias_declaration':
+            case 'enum_declaration':
+                return [define(node.childForFieldName('name'), TYPE_DECLARATIONS[node.type], node, null, exported)];
+            case 'lexical_declaration':
+            case 'variable_declaration': {
+                const names = [];
+                for (const declarator of node.namedChildren.filter(child => child.type === 'variable_declarator')) {
+                    const nameNode = declarator.childForFieldName('name');
+                    const value = declarator.childForFieldName('value');
+                    // Only module-level variables are worth finding; locals would drown out everything else.
+                    if (topLevel && nameNode.type === 'identifier') {
+                        names.push(define(nameNode, valueKind(value), node, null, exported));
+                        if (value?.type === 'class') {
+                            defineClassMembers(value, nameNode.text);
+                            continue;
+                        }
+                    }
+                    if (value) visit(value, null, false);
+                }
+                return names;
+            }
+            case 'export_statement': {
+                readExport(node);
+                return [];
+            }
+            default:
+                for (const child of node.namedChildren) visit(child, null, node.type === 'program');
+                return [];
+        }
+    };
+
+    const readExport = (node) => {
+        const isDefault = node.children.some(child => !child.isNamed && child.type === 'default');
+        const sourceNode = node.childForFieldName('source');
+        const source = sourceNode ? stringValue(sourceNode) : null;
+        const declaration = node.childForFieldName('declaration');
+        const value = node.childForFieldName('value');
+        const clause = node.namedChildren.find(child => child.type === 'export_clause');
+        const namespace = node.namedChildren.find(child => child.type === 'namespace_export');
+        const at = position(node);
+        if (declaration || (value && (CLASS_DECLARATIONS.includes(value.type) || value.type === 'class' || FUNCTION_VALUES.includes(value.type)))) {
+            const target = declaration ?? value;
+            const defined = definitions.length;
+            const names = visit(target, isDefault ? 'default' : null, true, true);
+            const kind = TYPE_DECLARATIONS[target.type] ?? (target.type.includes('class') ? 'class' : target.type.includes('function') ? 'function' : 'variable');
+            if (names.length === 0) exports.push({ name: 'default', local: null, kind, source, ...at });
+            // Each name is exported as what it was defined as, so `export const f = () => {}` is a function here too.
+            const kinds = new Map(definitions.slice(defined).map(definition => [definition.name, definition.kind]));
+            for (const name of names) exports.push({ name: isDefault ? 'default' : name, local: name, kind: kinds.get(name) ?? kind, source, ...at });
+        } else if (value) {
+            exports.push({ name: 'default', local: value.type === 'identifier' ? value.text : null, kind: 'value', source, ...at });
+            visit(value, null, false);
+        } else if (clause) {
+            for (const spec of clause.namedChildren.filter(child => child.type === 'export_specifier')) {
+                const local = spec.childForFieldName('name').text;
+                exports.push({ name: spec.childForFieldName('alias')?.text ?? local, local, kind: source ? 're-export' : 'binding', source, ...at });
+            }
+        } else {
+            exports.push({ name: namespace ? namespace.lastNamedChild.text : '*', local: null, kind: 're-export', source, ...at });
+        }
+    };
+
+    const readCommonJsExports = () => {
+        // module.exports = { a, b } / module.exports = x / exports.a = ... / module.exports.a = ...
+        for (const statement of rootNode.namedChildren) {
+            const assignment = statement.type === 'expression_statement' ? statement.firstNamedChild : null;
+            if (assignment?.type !== 'assignment_expression') continue;
+            const left = assignment.childForFieldName('left').text.replace(/\s+/g, '');
+            const right = assignment.childForFieldName('right');
+            const at = position(statement);
+            if (left === 'module.exports') {
+                if (right.type === 'object') {
+                    for (const entry of right.namedChildren) {
+                        const key = entry.type === 'pair' ? entry.childForFieldName('key')
+                            : entry.type === 'method_definition' ? entry.childForFieldName('name')
+                            : entry.type === 'shorthand_property_identifier' ? entry : null;
+                        if (!key) continue; // Spread elements
+                        const value = entry.type === 'pair' ? entry.childForFieldName('value') : null;
+                        const local = !value ? key.text : value.type === 'identifier' ? value.text : null;
+                        exports.push({ name: key.text.replace(/^['"]|['"]$/g, ''), local, kind: 'commonjs', source: null, ...at });
+                    }
+                } else {
+                    exports.push({ name: 'default', local: right.type === 'identifier' ? right.text : null, kind: 'commonjs', source: null, ...at });
+                }
+            } else {
+                const match = /^(?:module\.)?exports\.([A-Za-z_$][\w$]*)$/.exec(left);
+                if (match) exports.push({ name: match[1], local: right.type === 'identifier' ? right.text : null, kind: 'commonjs', source: null, ...at });
+            }
+        }
+    };
+
+    visit(rootNode, null, true);
+    readCommonJsExports();
+
+    const references = [];
+    const collect = (node, inImport) => {
+        const importing = inImport || node.type === 'import_statement' || (node.type === 'call_expression' && node.childForFieldName('function')?.text === 'require');
+        if (JS_NAME_NODES.includes(node.type) && !nameNodes.has(node.startIndex)) {
+            references.push({ name: node.text, ...position(node), kind: referenceKind(node, importing) });
+        }
+        for (const child of node.namedChildren) collect(child, importing);
+    };
+    collect(rootNode, false);
+    return { definitions, references, exports };
+}
+
+function extractPython(rootNode) {
+    const definitions = [];
+    const nameNodes = new Set();
+    const topLevel = [];
+    let exported = null;
+
+    const define = (nameNode, kind, node, container) => {
+        const name = container ? `${container}.${nameNode.text}` : nameNode.text;
+        nameNodes.add(nameNode.startIndex);
+        definitions.push({ name, kind, ...position(nameNode), end_line: node.endPosition.row + 1, exported: false });
+        return name;
+    };
+
+    const visit = (node, container, moduleLevel) => {
+        for (const child of node.namedChildren) {
+            const definition = child.type === 'decorated_definition' ? child.childForFieldName('definition') : child;
+            if (definition.type === 'function_definition') {
+                const name = define(definition.childForFieldName('name'), container ? 'method' : 'function', child, container);
+                if (moduleLevel) topLevel.push({ name, kind: 'function', node: definition.childForFieldName('name') });
+            } else if (definition.type === 'class_definition') {
+                const name = define(definition.childForFieldName('name'), 'class', child, container);
+                if (moduleLevel) topLevel.push({ name, kind: 'class', node: definition.childForFieldName('name') });
+                visit(definition.childForFieldName('body'), name, false);
+            } else if (moduleLevel && child.type === 'expression_statement' && child.firstNamedChild?.type === 'assignment') {
+                const target = child.firstNamedChild.childForFieldName('left');
+                const value = child.firstNamedChild.childForFieldName('right');
+                if (target.type !== 'identifier') continue;
+                if (target.text === '__all__' && ['list', 'tuple'].includes(value?.type)) {
+                    exported = value.namedChildren
+                        .filter(item => item.type === 'string')
+                        .map(item => ({ name: item.namedChildren.find(part => part.type === 'string_content')?.text ?? '', node: item }));
+                } else {
+                    topLevel.push({ name: define(target, 'variable', child, null), kind: 'variable', node: target });
+                }
+            } else if (['if_statement', 'try_statement', 'with_statement', 'block', 'else_clause', 'elif_clause', 'except_clause', 'finally_clause'].includes(child.type)) {
+                visit(child, container, moduleLevel);
+            }
+        }
+    };
+    visit(rootNode, null, true);
+
+    const byName = new Map(topLevel.map(entry => [entry.name, entry]));
+    const exports = (exported ?? topLevel.filter(entry => !entry.name.startsWith('_'))).map(({ name, node }) => ({
+        name,
+        local: name,
+        kind: byName.get(name)?.kind ?? 'value',
+        source: null,
+        ...position(byName.get(name)?.node ?? node)
+    }));
+
+    const references = [];
+    const collect = (node, inImport) => {
+        const importing = inImport || node.type === 'import_statement' || node.type === 'import_from_statement';
+        if (node.type === 'identifier' && !nameNodes.has(node.startIndex)) {
+            references.push({ name: node.text, ...position(node), kind: referenceKind(node, importing) });
+        }
+        for (const child of node.namedChildren) collect(child, importing);
+    };
+    collect(rootNode, false);
+    return { definitions, references, exports };
+}
+
+/**
+ * Reads the definitions, references and exports of one parsed file. Definitions are
+ * { name, kind, line, column, end_line, exported }, references { name, line, column, kind } and
+ * exports { name, local, kind, source, line, column }. JSON files have none of them.
+ */
+export function extractSymbols(rootNode, language) {
+    const extract = language === 'python' ? extractPython
+        : ['javascript', 'typescript', 'tsx'].includes(language) ? extractJavaScript : null;
+    if (!extract) return { definitions: [], references: [], exports: [] };
+    const symbols = extract(rootNode);
+    // Also counts names exported after their declaration, as in `export { save }` or __all__.
+    const exportedLocals = new Set(symbols.exports.filter(entry => !entry.source).map(entry => entry.local));
+    for (const definition of symbols.definitions) {
+        definition.exported = definition.exported || exportedLocals.has(definition.name);
+    }
+    return symbols;
+}
+
+/**
+ * The symbols of every indexed file. Lookups take a bare name ("save") or a qualified one ("Store.save").
+ */
+export class SymbolIndex {
+    constructor() {
+        this.files = new Map();
+        this.built = false;
+    }
+
+    set(filePath, stamp, symbols) {
+        this.files.set(filePath, { ...stamp, ...symbols });
+    }
+
+    delete(filePath) {
+        // Removes a file, or a whole directory of them.
+        for (const key of [...this.files.keys()]) {
+            if (key === filePath || key.startsWith(`${filePath}/`)) this.files.delete(key);
+        }
+    }
+
+    isCurrent(filePath, { mtimeMs, size }) {
+        const entry = this.files.get(filePath);
+        return !!entry && entry.mtimeMs === mtimeMs && entry.size === size;
+    }
+
+    findDefinitions(name, { kind } = {}) {
+        const qualified = name.includes('.');
+        const results = [];
+        for (const [filePath, entry] of this.files) {
+            for (const definition of entry.definitions) {
+                const matches = qualified ? definition.name === name : definition.name.split('.').pop() === name;
+                if (matches && (!kind || definition.kind === kind)) results.push({ file_path: filePath, ...definition });
+            }
+        }
+        return results;
+    }
+
+    findReferences(name) {
+        // References are stored under the bare name, so "Store.save" finds every use of "save".
+        const bare = name.split('.').pop();
+        const results = [];
+        for (const [filePath, entry] of this.files) {
+            for (const reference of entry.references) {
+                if (reference.name === bare) results.push({ file_path: filePath, ...reference });
+            }
+        }
+        return results;
+    }
+
+    listExports(prefix = '') {
+        const results = [];
+        for (const [filePath, entry] of [...this.files].sort(([a], [b]) => a.localeCompare(b))) {
+            if (prefix && filePath !== prefix && !filePath.startsWith(`${prefix}/`)) continue;
+            for (const exported of entry.exports) results.push({ file_path: filePath, ...exported });
+        }
+        return results;
+    }
+}
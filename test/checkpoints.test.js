@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordCheckpoint, decodeContent, sameContent, findConflict } from '../checkpoints.js';
+
+// An in-memory stand-in for the disk: path -> content.
+const memoryIo = (files) => ({
+    readFile: async (filePath) => files.get(filePath) ?? null,
+    exists: async (filePath) => files.has(filePath)
+});
+
+describe('recordCheckpoint', () => {
+    test('drops the oldest checkpoint past the limit', () => {
+        const checkpoints = [];
+        for (let id = 1; id <= 4; id++) recordCheckpoint(checkpoints, { id }, 3);
+        assert.deepEqual(checkpoints.map(checkpoint => checkpoint.id), [2, 3, 4]);
+    });
+});
+
+describe('file contents', () => {
+    test('keep text as strings and other bytes as they are', () => {
+        assert.equal(decodeContent(Buffer.from('héllo\n')), 'héllo\n');
+        const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff, 0x00]);
+        assert.equal(decodeContent(png), png);
+        assert.equal(decodeContent(null), null);
+    });
+
+    test('compare by bytes', () => {
+        assert.ok(sameContent('abc', Buffer.from('abc')));
+        assert.ok(sameContent(Buffer.from([0xff]), Buffer.from([0xff])));
+        assert.ok(!sameContent(Buffer.from([0xff]), Buffer.from([0xfe])));
+        assert.ok(!sameContent(null, ''));
+        assert.ok(sameContent(null, null));
+    });
+});
+
+describe('findConflict', () => {
+    const checkpoint = {
+        id: 1,
+        changes: [
+            { safePath: '/p/a.js', before: 'old', after: 'new' },
+            { safePath: '/p/created.js', before: null, after: 'x' },
+            { type: 'rename', from: '/p/b.js', to: '/p/c.js' }
+        ]
+    };
+
+    test('accepts files as the checkpoint left them', async () => {
+        const io = memoryIo(new Map([['/p/a.js', 'new'], ['/p/created.js', 'x'], ['/p/c.js', '']]));
+        assert.equal(await findConflict([checkpoint], io), null);
+    });
+
+    test('reports a file edited since', async () => {
+        const io = memoryIo(new Map([['/p/a.js', 'edited by hand'], ['/p/created.js', 'x'], ['/p/c.js', '']]));
+        assert.deepEqual(await findConflict([checkpoint], io), { checkpoint, change: checkpoint.changes[0] });
+    });
+
+    test('reports a move whose paths changed since', async () => {
+        const io = memoryIo(new Map([['/p/a.js', 'new'], ['/p/created.js', 'x'], ['/p/b.js', ''], ['/p/c.js', '']]));
+        assert.deepEqual(await findConflict([checkpoint], io), { checkpoint, change: checkpoint.changes[2] });
+    });
+
+    test('compares binary contents by bytes', async () => {
+        const image = { id: 1, changes: [{ safePath: '/p/logo.png', before: Buffer.from([0xff, 0x01]), after: null }] };
+        assert.equal(await findConflict([image], memoryIo(new Map())), null);
+        const overwritten = { id: 2, changes: [{ safePath: '/p/logo.png', before: null, after: Buffer.from([0xff, 0x02]) }] };
+        assert.equal(await findConflict([overwritten], memoryIo(new Map([['/p/logo.png', Buffer.from([0xff, 0x02])]]))), null);
+    });
+
+    test('checks older checkpoints against the files as undoing newer ones leaves them', async () => {
+        const first = { id: 1, changes: [{ safePath: '/p/a.js', before: 'v0', after: 'v1' }] };
+        const second = { id: 2, changes: [{ safePath: '/p/a.js', before: 'v1', after: 'v2' }] };
+        const third = { id: 3, changes: [{ safePath: '/p/b.js', before: 'b0', after: 'b1' }] };
+        assert.equal(await findConflict([third, second, first], memoryIo(new Map([['/p/a.js', 'v2'], ['/p/b.js', 'b1']]))), null);
+
+        // a.js was edited by hand after the newest checkpoint that touched it.
+        const edited = memoryIo(new Map([['/p/a.js', 'v2 plus a hand edit'], ['/p/b.js', 'b1']]));
+        assert.deepEqual(await findConflict([third, second, first], edited), { checkpoint: second, change: second.changes[0] });
+
+        // Undoing `second` would not leave what `first` wrote.
+        const tampered = { id: 2, changes: [{ safePath: '/p/a.js', before: 'something else', after: 'v2' }] };
+        const conflict = await findConflict([tampered, first], memoryIo(new Map([['/p/a.js', 'v2']])));
+        assert.equal(conflict.checkpoint, first);
+    });
+
+    test('follows files through moves that are undone first', async () => {
+        const edit = { id: 1, changes: [{ safePath: '/p/lib/util.js', before: 'old', after: 'new' }] };
+        const move = { id: 2, changes: [{ type: 'rename', from: '/p/lib', to: '/p/src' }, { safePath: '/p/src/util.js', before: 'new', after: 'newer' }] };
+        const disk = new Map([['/p/src', ''], ['/p/src/util.js', 'newer']]);
+        assert.equal(await findConflict([move, edit], memoryIo(disk)), null);
+
+        disk.set('/p/src/util.js', 'changed since');
+        assert.deepEqual(await findConflict([move, edit], memoryIo(disk)), { checkpoint: move, change: move.changes[1] });
+    });
+});
@@ -0,0 +1,85 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { configuredCheckers, parseEslintJson, eslintFixableFiles, parsePrettierOutput, parseTscOutput } from '../code-checks.js';
+
+const root = '/work/app';
+
+describe('configuredCheckers', () => {
+    test('needs each tool installed and configured', () => {
+        const { available, missing } = configuredCheckers({
+            packageJson: { devDependencies: { prettier: '3' } },
+            rootFiles: new Set(['eslint.config.js', 'package.json']),
+            bins: new Set(['eslint', 'prettier', 'tsc'])
+        });
+        assert.deepEqual(available, ['eslint', 'prettier']);
+        assert.deepEqual(missing, { tsc: 'the project has no tsconfig.json' });
+    });
+
+    test('reports tools that are configured but not installed', () => {
+        const { available, missing } = configuredCheckers({ packageJson: { eslintConfig: {} }, rootFiles: new Set(['tsconfig.json']) });
+        assert.deepEqual(available, []);
+        assert.equal(missing.eslint, 'node_modules/.bin/eslint is not installed');
+    });
+});
+
+describe('parseEslintJson', () => {
+    const results = [
+        {
+            filePath: '/work/app/src/a.js',
+            messages: [
+                { ruleId: 'prefer-const', severity: 2, message: "'a' is never reassigned. Use 'const' instead.", line: 1, column: 5 },
+                { ruleId: 'no-console', severity: 1, message: 'Unexpected console statement.', line: 2, column: 1 }
+            ],
+            fixableErrorCount: 1,
+            fixableWarningCount: 0
+        },
+        { filePath: '/work/app/src/bad.js', messages: [{ ruleId: null, fatal: true, severity: 2, message: 'Parsing error: Unexpected token =', line: 1, column: 7 }], fixableErrorCount: 0, fixableWarningCount: 0 }
+    ];
+
+    test('normalizes messages, keeping parse errors without a rule', () => {
+        assert.deepEqual(parseEslintJson(results, root), [
+            { tool: 'eslint', file: 'src/a.js', line: 1, column: 5, rule: 'prefer-const', severity: 'error', message: "'a' is never reassigned. Use 'const' instead." },
+            { tool: 'eslint', file: 'src/a.js', line: 2, column: 1, rule: 'no-console', severity: 'warning', message: 'Unexpected console statement.' },
+            { tool: 'eslint', file: 'src/bad.js', line: 1, column: 7, rule: null, severity: 'error', message: 'Parsing error: Unexpected token =' }
+        ]);
+    });
+
+    test('lists the files with fixable problems', () => {
+        assert.deepEqual(eslintFixableFiles(results, root), ['src/a.js']);
+    });
+});
+
+describe('parsePrettierOutput', () => {
+    test('reports unformatted files and positioned syntax errors', () => {
+        const stderr = '[error] src/bad.js: SyntaxError: Unexpected token (1:7)\n[error] > 1 | const = ;\n[error]     |       ^\n';
+        assert.deepEqual(parsePrettierOutput('src/a.js\nsrc/b.ts\n', stderr).map(({ file, line, column, message }) => [file, line, column, message]), [
+            ['src/bad.js', 1, 7, 'SyntaxError: Unexpected token'],
+            ['src/a.js', null, null, 'File is not formatted with Prettier.'],
+            ['src/b.ts', null, null, 'File is not formatted with Prettier.']
+        ]);
+    });
+});
+
+describe('parseTscOutput', () => {
+    test('reads located and global diagnostics, joining continuation lines', () => {
+        const output = [
+            "src/c.ts(1,7): error TS2322: Type 'string' is not assignable to type 'number'.",
+            "src/d.ts(4,3): error TS2345: Argument of type '{}' is not assignable to parameter of type 'Options'.",
+            "  Property 'name' is missing in type '{}' but required in type 'Options'.",
+            "error TS5023: Unknown compiler option 'strictest'."
+        ].join('\n');
+        assert.deepEqual(parseTscOutput(output, root), [
+            { tool: 'tsc', file: 'src/c.ts', line: 1, column: 7, rule: 'TS2322', severity: 'error', message: "Type 'string' is not assignable to type 'number'." },
+            {
+                tool: 'tsc',
+                file: 'src/d.ts',
+                line: 4,
+                column: 3,
+                rule: 'TS2345',
+                severity: 'error',
+                message: "Argument of type '{}' is not assignable to parameter of type 'Options'.\nProperty 'name' is missing in type '{}' but required in type 'Options'."
+            },
+            { tool: 'tsc', file: null, line: null, column: null, rule: 'TS5023', severity: 'error', message: "Unknown compiler option 'strictest'." }
+        ]);
+    });
+});
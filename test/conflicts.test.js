@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConflicts, resolveConflicts } from '../conflicts.js';
+
+const MERGE_STYLE = [
+    'const a = 1;',
+    '<<<<<<< HEAD',
+    'const b = 2;',
+    '=======',
+    'const b = 3;',
+    '>>>>>>> feature',
+    'const c = 4;',
+    '<<<<<<< HEAD',
+    'run(a);',
+    '=======',
+    'run(b);',
+    'run(c);',
+    '>>>>>>> feature',
+    ''
+].join('\n');
+
+const DIFF3_STYLE = [
+    '<<<<<<< HEAD',
+    'timeout = 10',
+    '||||||| base',
+    'timeout = 5',
+    '=======',
+    'timeout = 30',
+    '>>>>>>> origin/main',
+    ''
+].join('\r\n');
+
+describe('parseConflicts', () => {
+    test('splits each region into ours and theirs with labels and line numbers', () => {
+        const regions = parseConflicts(MERGE_STYLE);
+        assert.equal(regions.length, 2);
+        assert.deepEqual(regions[0], {
+            index: 1,
+            start_line: 2,
+            end_line: 6,
+            ours: { label: 'HEAD', text: 'const b = 2;\n' },
+            base: null,
+            theirs: { label: 'feature', text: 'const b = 3;\n' }
+        });
+        assert.equal(regions[1].theirs.text, 'run(b);\nrun(c);\n');
+    });
+
+    test('reads the base section of diff3 markers and keeps CRLF line endings', () => {
+        const [region] = parseConflicts(DIFF3_STYLE);
+        assert.deepEqual(region.base, { label: 'base', text: 'timeout = 5\r\n' });
+        assert.equal(region.theirs.label, 'origin/main');
+        assert.equal(region.ours.text, 'timeout = 10\r\n');
+    });
+
+    test('ignores lines that only look like markers', () => {
+        assert.deepEqual(parseConflicts('// ======= section =======\n<<<<<<<< not a marker\n'), []);
+    });
+
+    test('rejects unterminated regions', () => {
+        assert.throws(() => parseConflicts('<<<<<<< HEAD\nx\n=======\ny\n'), /no closing >>>>>>> marker/);
+    });
+});
+
+describe('resolveConflicts', () => {
+    test('resolves chosen regions and leaves the others in place', () => {
+        const { content, resolved, remaining } = resolveConflicts(MERGE_STYLE, [{ region: 1, choose: 'theirs' }]);
+        assert.equal(resolved, 1);
+        assert.equal(remaining, 1);
+        assert.ok(content.startsWith('const a = 1;\nconst b = 3;\nconst c = 4;\n<<<<<<< HEAD\n'));
+        assert.equal(parseConflicts(content).length, 1);
+    });
+
+    test('supports both sides and merged content', () => {
+        const { content, remaining } = resolveConflicts(MERGE_STYLE, [
+            { region: 1, choose: 'both' },
+            { region: 2, content: 'run(a, b, c);' }
+        ]);
+        assert.equal(remaining, 0);
+        assert.equal(content, 'const a = 1;\nconst b = 2;\nconst b = 3;\nconst c = 4;\nrun(a, b, c);\n');
+    });
+
+    test('takes the base side and matches the file line endings for merged text', () => {
+        assert.equal(resolveConflicts(DIFF3_STYLE, [{ region: 1, choose: 'base' }]).content, 'timeout = 5\r\n');
+        assert.equal(resolveConflicts(DIFF3_STYLE, [{ region: 1, content: 'timeout = 20' }]).content, 'timeout = 20\r\n');
+    });
+
+    test('rejects unknown, duplicate and ambiguous resolutions', () => {
+        assert.throws(() => resolveConflicts(MERGE_STYLE, [{ region: 3, choose: 'ours' }]), /no conflict region 3/);
+        assert.throws(() => resolveConflicts(MERGE_STYLE, [{ region: 1, choose: 'ours' }, { region: 1, choose: 'theirs' }]), /more than once/);
+        assert.throws(() => resolveConflicts(MERGE_STYLE, [{ region: 1, choose: 'ours', content: 'x' }]), /exactly one/);
+        assert.throws(() => resolveConflicts(MERGE_STYLE, [{ region: 1, choose: 'base' }]), /no base section/);
+    });
+});
@@ -0,0 +1,142 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { exactMatch, smartMatch, fuzzyMatch, selectMatches, replaceInContent, deleteLinesInContent, insertLinesInContent, applyOperation } from '../edits.js';
+
+const source = 'function a() {\n    return 1;\n}\n\nfunction b() {\n    return 2;\n}\n';
+const lines = (matches) => matches.map(m => [m.start_line, m.end_line]);
+
+describe('exactMatch', () => {
+    test('finds every non-overlapping occurrence with its lines', () => {
+        const matches = exactMatch(source, 'return', 'yield');
+        assert.deepEqual(lines(matches), [[2, 2], [6, 6]]);
+        assert.equal(source.slice(matches[0].start, matches[0].end), 'return');
+    });
+
+    test('matches nothing for empty old code', () => {
+        assert.deepEqual(exactMatch(source, '', 'x'), []);
+    });
+});
+
+describe('smartMatch', () => {
+    test('falls back to trimmed line matching and keeps the indentation', () => {
+        const matches = smartMatch(source, 'function b() {\n  return 2;\n}', 'function b() {\n    return 3;\n}');
+        assert.deepEqual(lines(matches), [[5, 7]]);
+        assert.equal(source.slice(matches[0].start, matches[0].end), 'function b() {\n    return 2;\n}');
+    });
+
+    test('indents the replacement like the first matched line', () => {
+        const [match] = smartMatch(source, '      return 1;', 'return 10;');
+        assert.equal(match.replacement, '    return 10;');
+    });
+});
+
+describe('fuzzyMatch', () => {
+    test('scores windows by similarity and replaces a differing window with re-indented new code', () => {
+        const matches = fuzzyMatch(source, 'function a() {\n  return 1\n}', 'function a() {\n  return 3;\n}');
+        assert.deepEqual(lines(matches), [[1, 3], [5, 7]]);
+        assert.ok(matches[0].confidence > matches[1].confidence);
+        assert.equal(matches[0].applied_as, 'replace');
+        assert.equal(matches[0].replacement, 'function a() {\n  return 3;\n}');
+    });
+
+    test('does not apply a fix a second time when the file already has it', () => {
+        const content = 'function sum(items) {\n    let total = 0;\n    for (const item of items) total += item;\n    return total;\n}\n';
+        const [match] = fuzzyMatch(content, '    let totl = 0;\n    for (const item of items) total += item;', '    let total = 5;\n    for (const item of items) total += item;');
+        assert.equal(match.applied_as, 'replace');
+        assert.equal(match.replacement, '    let total = 5;\n    for (const item of items) total += item;');
+    });
+
+    test('patches a window that differs only in whitespace, keeping its spacing', () => {
+        const content = 'if (ready)  {\n    start( );\n}\n';
+        const [match] = fuzzyMatch(content, 'if (ready) {\n  start( );\n}', 'if (ready) {\n  start( true );\n}', 0.7);
+        assert.equal(match.applied_as, 'patch');
+        assert.equal(match.replacement, 'if (ready)  {\n    start( true );\n}');
+    });
+
+    test('drops windows below the threshold', () => {
+        assert.deepEqual(fuzzyMatch(source, 'const unrelated = true;', 'x', 0.8), []);
+    });
+});
+
+describe('selectMatches', () => {
+    const candidates = [{ start_line: 2, end_line: 2 }, { start_line: 6, end_line: 6 }, { start_line: 9, end_line: 9 }];
+
+    test('picks by occurrence, or all of them', () => {
+        assert.deepEqual(selectMatches(candidates, { occurrence: 2 }), [candidates[1]]);
+        assert.equal(selectMatches(candidates, { occurrence: 'all' }), candidates);
+    });
+
+    test('picks the candidate nearest to near_line', () => {
+        assert.deepEqual(selectMatches(candidates, { near_line: 8 }), [candidates[2]]);
+    });
+
+    test('refuses ambiguous choices and lists the candidates', () => {
+        assert.throws(() => selectMatches(candidates, {}), (error) => {
+            assert.match(error.message, /ambiguous: it matches 3 locations/);
+            assert.equal(error.details.candidates.length, 3);
+            return true;
+        });
+        assert.throws(() => selectMatches(candidates, { near_line: 4 }), /equally close to line 4/);
+        assert.throws(() => selectMatches(candidates, { occurrence: 4 }), /Invalid occurrence '4'/);
+    });
+
+    test('takes a clearly better fuzzy match but not a near tie', () => {
+        const scored = [{ start_line: 1, end_line: 3, confidence: 0.95 }, { start_line: 5, end_line: 7, confidence: 0.85 }];
+        assert.deepEqual(selectMatches(scored, { match_mode: 'fuzzy' }), [scored[0]]);
+        scored[1].confidence = 0.94;
+        assert.throws(() => selectMatches(scored, { match_mode: 'fuzzy' }), /Fuzzy match is ambiguous/);
+    });
+});
+
+describe('replaceInContent', () => {
+    test('replaces every selected match', () => {
+        const { newContent, candidates, selected } = replaceInContent(source, { old_code: 'return', new_code: 'yield', occurrence: 'all' });
+        assert.equal(candidates.length, 2);
+        assert.equal(selected.length, 2);
+        assert.equal(newContent, source.replaceAll('return', 'yield'));
+    });
+
+    test('rejects old code that is empty or only whitespace', () => {
+        assert.throws(() => replaceInContent(source, { old_code: '', new_code: 'x' }), /old_code must contain some non-whitespace text/);
+        assert.throws(() => replaceInContent(source, { old_code: ' \n ', new_code: 'x' }), /old_code must contain some non-whitespace text/);
+    });
+
+    test('reports old code that is not found', () => {
+        assert.throws(() => replaceInContent(source, { old_code: 'missing', new_code: 'x', match_mode: 'exact' }), /old_code was not found/);
+    });
+});
+
+describe('line edits', () => {
+    test('deletes and inserts whole lines', () => {
+        assert.equal(deleteLinesInContent('a\nb\nc\nd', 2, 3), 'a\nd');
+        assert.equal(insertLinesInContent('a\nd', 1, 'b\nc'), 'a\nb\nc\nd');
+        assert.equal(insertLinesInContent('a', 0, 'start'), 'start\na');
+    });
+
+    test('rejects ranges outside the file', () => {
+        assert.throws(() => deleteLinesInContent('a\nb', 2, 3), /Invalid line range: 2-3 \(file has 2 lines\)/);
+        assert.throws(() => insertLinesInContent('a\nb', 3, 'x'), /Invalid insert position/);
+    });
+
+    test('needs both ends of a deletion as integers', () => {
+        assert.throws(() => deleteLinesInContent('a\nb', 1, undefined), /start_line and end_line must both be integers \(got 1 and undefined\)/);
+        assert.throws(() => deleteLinesInContent('a\nb', '1', 2), /must both be integers/);
+        assert.throws(() => applyOperation('a\nb', { type: 'delete_lines', file_path: 'f', start_line: 1 }), /must both be integers/);
+    });
+});
+
+describe('applyOperation', () => {
+    test('returns the new content and the fields of its report', () => {
+        assert.deepEqual(applyOperation('a\nb\nc', { type: 'delete_lines', file_path: 'f', start_line: 1, end_line: 2 }), { content: 'c', result: { lines_deleted: 2 } });
+        assert.deepEqual(applyOperation('x = 1', { type: 'replace', file_path: 'f', old_code: '1', new_code: '2' }), { content: 'x = 2', result: { replaced: [{ start_line: 1, end_line: 1 }] } });
+        assert.deepEqual(applyOperation(null, { type: 'create', file_path: 'f', content: 'new' }), { content: 'new', result: {} });
+    });
+
+    test('needs an existing file except to create one, and overwrite to replace it', () => {
+        assert.throws(() => applyOperation(null, { type: 'insert', file_path: 'f', after_line: 0, content: 'x' }), /File not found: f/);
+        assert.throws(() => applyOperation('old', { type: 'create', file_path: 'f', content: 'new' }), /File already exists: f/);
+        assert.equal(applyOperation('old', { type: 'create', file_path: 'f', content: 'new', overwrite: true }).content, 'new');
+        assert.throws(() => applyOperation('old', { type: 'rename', file_path: 'f' }), /Unknown operation type: rename/);
+        assert.throws(() => applyOperation(Buffer.from([0xff]), { type: 'insert', file_path: 'f.bin', after_line: 0, content: 'x' }), /f.bin is not a UTF-8 text file/);
+    });
+});
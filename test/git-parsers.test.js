@@ -0,0 +1,151 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOG_FORMAT, parseUnifiedDiff, buildPatch, parseLog, parseBlame } from '../git-parsers.js';
+
+const MODIFIED = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 83db48f..bf269f4 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1,3 +1,3 @@ import x',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    ' const c = 4;',
+    '@@ -10,2 +10,3 @@ function run() {',
+    ' run();',
+    '-// --- old marker',
+    '+// new marker',
+    '+done();',
+    '\\ No newline at end of file',
+    ''
+].join('\n');
+
+describe('parseUnifiedDiff', () => {
+    test('splits hunks and numbers every line', () => {
+        const [file] = parseUnifiedDiff(MODIFIED);
+        assert.equal(file.path, 'src/app.js');
+        assert.equal(file.status, 'modified');
+        assert.equal(file.additions, 3);
+        assert.equal(file.deletions, 2);
+        assert.equal(file.hunks.length, 2);
+        const [first, second] = file.hunks;
+        assert.deepEqual([first.index, first.old_start, first.new_start, first.section], [1, 1, 1, 'import x']);
+        assert.deepEqual(first.lines[1], { type: 'delete', old_line: 2, content: 'const b = 2;' });
+        assert.deepEqual(first.lines[2], { type: 'add', new_line: 2, content: 'const b = 3;' });
+        assert.deepEqual(first.lines[3], { type: 'context', old_line: 3, new_line: 3, content: 'const c = 4;' });
+        assert.equal(second.lines[1].content, '// --- old marker', 'a removed line starting with "--" is not a file header');
+        assert.equal(second.lines[3].no_newline, true);
+    });
+
+    test('recognises added, deleted, renamed and binary files', () => {
+        const files = parseUnifiedDiff([
+            'diff --git a/new.txt b/new.txt',
+            'new file mode 100644',
+            '--- /dev/null',
+            '+++ b/new.txt',
+            '@@ -0,0 +1 @@',
+            '+hello',
+            'diff --git a/gone.txt b/gone.txt',
+            'deleted file mode 100644',
+            '--- a/gone.txt',
+            '+++ /dev/null',
+            '@@ -1 +0,0 @@',
+            '-bye',
+            'diff --git a/old name.js b/new name.js',
+            'similarity index 100%',
+            'rename from old name.js',
+            'rename to new name.js',
+            'diff --git a/logo.png b/logo.png',
+            'Binary files a/logo.png and b/logo.png differ',
+            'diff --git a/my file.txt b/my file.txt',
+            'old mode 100644',
+            'new mode 100755'
+        ].join('\n'));
+        assert.deepEqual(files.map(f => [f.status, f.old_path, f.new_path]), [
+            ['added', null, 'new.txt'],
+            ['deleted', 'gone.txt', null],
+            ['renamed', 'old name.js', 'new name.js'],
+            ['modified', 'logo.png', 'logo.png'],
+            ['modified', 'my file.txt', 'my file.txt']
+        ]);
+        assert.equal(files[1].path, 'gone.txt');
+        assert.equal(files[2].similarity, 100);
+        assert.equal(files[3].binary, true);
+    });
+
+    test('decodes quoted paths', () => {
+        const [file] = parseUnifiedDiff('diff --git "a/caf\\303\\251.txt" "b/caf\\303\\251.txt"\n--- "a/caf\\303\\251.txt"\n+++ "b/caf\\303\\251.txt"\n');
+        assert.equal(file.path, 'café.txt');
+    });
+});
+
+describe('buildPatch', () => {
+    test('renders only the chosen hunks', () => {
+        const [file] = parseUnifiedDiff(MODIFIED);
+        const patch = buildPatch(file, [file.hunks[1]]);
+        assert.equal(patch, [
+            'diff --git a/src/app.js b/src/app.js',
+            '--- a/src/app.js',
+            '+++ b/src/app.js',
+            '@@ -10,2 +10,3 @@ function run() {',
+            ' run();',
+            '-// --- old marker',
+            '+// new marker',
+            '+done();',
+            '\\ No newline at end of file',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('parseLog', () => {
+    test('reads commits with per-file stats', () => {
+        const record = (fields, stats) => LOG_FORMAT
+            .replace('%H', fields[0]).replace('%h', fields[1]).replace('%an', fields[2]).replace('%ae', fields[3])
+            .replace('%aI', fields[4]).replace('%s', fields[5]).replace('%b', fields[6]) + stats;
+        const text = record(['a'.repeat(40), 'aaaaaaa', 'Ann', 'ann@example.com', '2024-01-02T03:04:05+00:00', 'Add login', 'Body text\n'], '\n\n3\t1\tsrc/login.js\n-\t-\tlogo.png\n')
+            + record(['b'.repeat(40), 'bbbbbbb', 'Bob', 'bob@example.com', '2024-01-01T00:00:00+00:00', 'Initial commit', ''], '\n\n10\t0\tREADME.md\n');
+        const [first, second] = parseLog(text);
+        assert.equal(first.message, 'Add login');
+        assert.equal(first.body, 'Body text');
+        assert.deepEqual(first.files, [
+            { path: 'src/login.js', additions: 3, deletions: 1, binary: false },
+            { path: 'logo.png', additions: 0, deletions: 0, binary: true }
+        ]);
+        assert.deepEqual([first.additions, first.deletions], [3, 1]);
+        assert.equal(second.author_name, 'Bob');
+        assert.equal(second.additions, 10);
+    });
+});
+
+describe('parseBlame', () => {
+    test('maps each line to its commit and lists each commit once', () => {
+        const hash = 'c'.repeat(40);
+        const text = [
+            `${hash} 1 1 2`,
+            'author Carol',
+            'author-mail <carol@example.com>',
+            'author-time 1700000000',
+            'summary Add greeting',
+            'filename hello.js',
+            '\tconsole.log("hi");',
+            `${hash} 2 2`,
+            '\tconsole.log("bye");',
+            `${'0'.repeat(40)} 3 3 1`,
+            'author Not Committed Yet',
+            '\tnew();',
+            ''
+        ].join('\n');
+        const { commits, lines } = parseBlame(text);
+        assert.deepEqual(Object.keys(commits), ['cccccccc', '00000000']);
+        assert.equal(commits.cccccccc.author_email, 'carol@example.com');
+        assert.equal(commits.cccccccc.date, new Date(1700000000 * 1000).toISOString());
+        assert.equal(commits['00000000'].uncommitted, true);
+        assert.deepEqual(lines.map(l => [l.line, l.commit, l.content]), [
+            [1, 'cccccccc', 'console.log("hi");'],
+            [2, 'cccccccc', 'console.log("bye");'],
+            [3, '00000000', 'new();']
+        ]);
+    });
+});
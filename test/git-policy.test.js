@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_GIT_POLICY, evaluateGitCommand, findSandboxEscape } from '../git-policy.js';
+
+const decide = (command, args = [], branch = 'feature/x', { policy = DEFAULT_GIT_POLICY, confirmed = false } = {}) =>
+    evaluateGitCommand(policy, command, args, branch, confirmed).decision;
+
+describe('evaluateGitCommand', () => {
+    test('allows everyday work on a feature branch', () => {
+        for (const [command, args] of [['commit', ['msg']], ['merge', ['main']], ['pull', []], ['rebase', ['main']], ['cherry-pick', ['abc123']], ['push', ['-u', 'origin', 'feature/x']], ['status', []]]) {
+            assert.equal(decide(command, args), 'allow', command);
+        }
+    });
+
+    test('asks to confirm every command that commits on a protected branch', () => {
+        for (const command of ['commit', 'merge', 'pull', 'cherry-pick', 'revert', 'am', 'rebase']) {
+            assert.equal(decide(command, [], 'main'), 'confirm', command);
+        }
+        assert.deepEqual(evaluateGitCommand(DEFAULT_GIT_POLICY, 'merge', ['feature/x'], 'main'), {
+            decision: 'confirm',
+            rule: 'protectedBranches: main',
+            reason: "'main' is a protected branch, so merging into it directly is not allowed. Work on a feature branch and open a pull request instead."
+        });
+    });
+
+    test('treats continuing an operation on a protected branch like starting it', () => {
+        for (const command of ['merge', 'cherry-pick', 'revert', 'am', 'rebase']) {
+            assert.equal(decide(command, ['--continue'], 'master'), 'confirm', command);
+            assert.equal(decide(command, ['--abort'], 'master'), 'allow', command);
+        }
+    });
+
+    test('allows what does not commit on a protected branch', () => {
+        assert.equal(decide('pull', ['--ff-only'], 'main'), 'allow');
+        assert.equal(decide('merge', ['--ff-only', 'origin/main'], 'main'), 'allow');
+        assert.equal(decide('cherry-pick', ['-n', 'abc123'], 'main'), 'allow');
+        assert.equal(decide('checkout', ['-b', 'feature/y'], 'main'), 'allow');
+    });
+
+    test('matches protected branches by wildcard', () => {
+        const policy = { ...DEFAULT_GIT_POLICY, protectedBranches: ['release/*'] };
+        assert.equal(decide('commit', ['msg'], 'release/1.0', { policy }), 'confirm');
+        assert.equal(decide('commit', ['msg'], 'main', { policy }), 'allow');
+    });
+
+    test('guards pushes to protected branches, force pushes and deletions', () => {
+        assert.equal(decide('push', ['origin', 'HEAD:main']), 'confirm');
+        assert.equal(decide('push', [], 'main'), 'confirm');
+        assert.match(evaluateGitCommand(DEFAULT_GIT_POLICY, 'push', ['--force', 'origin', 'feature/x'], 'feature/x').rule, /^blockForcePush$/);
+        assert.equal(decide('push', ['origin', '+feature/x']), 'confirm');
+        assert.equal(decide('push', ['origin', ':old-branch']), 'confirm');
+    });
+
+    test('guards destructive commands', () => {
+        assert.equal(decide('reset', ['--hard', 'HEAD~1']), 'confirm');
+        assert.equal(decide('checkout', ['--', 'src/app.js']), 'confirm');
+        assert.equal(decide('branch', ['-D', 'old']), 'confirm');
+        assert.equal(decide('branch', ['-d', 'main']), 'confirm');
+        assert.equal(decide('stash', ['drop']), 'confirm');
+        assert.equal(decide('reset', ['--hard'], 'feature/x', { policy: { ...DEFAULT_GIT_POLICY, blockDestructive: false } }), 'allow');
+    });
+
+    test('lets confirmation through unless overrides are off', () => {
+        assert.deepEqual(evaluateGitCommand(DEFAULT_GIT_POLICY, 'commit', ['msg'], 'main', true), { decision: 'allow', rule: 'protectedBranches: main (confirmed)', reason: null });
+        const strict = { ...DEFAULT_GIT_POLICY, allowOverride: false };
+        assert.equal(decide('commit', ['msg'], 'main', { policy: strict, confirmed: true }), 'deny');
+    });
+
+    test('does not guess a protected branch when the branch is unknown', () => {
+        assert.equal(decide('commit', ['msg'], null), 'allow');
+    });
+});
+
+describe('findSandboxEscape', () => {
+    const root = '/work/app';
+
+    test('refuses options that write or read files of the caller\'s choosing', () => {
+        assert.match(findSandboxEscape('log', ['-p', '--output=/tmp/x'], root), /git log --output is not allowed/);
+        assert.match(findSandboxEscape('diff', ['--output', '/tmp/x'], root), /git diff --output is not allowed/);
+        assert.match(findSandboxEscape('show', ['-o/tmp/x'], root), /git show -o\/tmp\/x is not allowed/);
+        assert.match(findSandboxEscape('diff', ['--no-index', 'a', 'b'], root), /--no-index/);
+        assert.match(findSandboxEscape('blame', ['--contents', '/etc/passwd'], root), /--contents/);
+    });
+
+    test('refuses paths outside the project for diff', () => {
+        assert.match(findSandboxEscape('diff', ['/etc/passwd', 'a.js'], root), /the path is outside the project/);
+        assert.match(findSandboxEscape('diff', ['--', '../other/a.js'], root), /\.\.\/other\/a\.js/);
+    });
+
+    test('allows everyday reads', () => {
+        for (const [command, args] of [['log', ['-n', '5', '-S', 'needle', '--oneline']], ['diff', ['HEAD~1..HEAD', '--', 'src/a.js']], ['diff', ['--stat', '--cached']], ['show', ['HEAD:src/a.js']], ['blame', ['-w']], ['status', []]]) {
+            assert.equal(findSandboxEscape(command, args, root), null, `${command} ${args.join(' ')}`);
+        }
+    });
+});
@@ -0,0 +1,178 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import simpleGit from 'simple-git';
+
+// A stand-in for the GitHub REST API. Every list answers in two pages linked like GitHub's.
+const pages = {
+    '/repos/acme/app/pulls/7/files': [[{ filename: 'a.js', status: 'modified', additions: 1, deletions: 0 }], [{ filename: 'b.js', status: 'added', additions: 2, deletions: 0 }]],
+    '/repos/acme/app/pulls/7/reviews': [[{ id: 1, user: { login: 'ann' }, state: 'APPROVED', body: '' }], [{ id: 2, user: { login: 'bob' }, state: 'COMMENTED', body: 'nit' }]],
+    '/repos/acme/app/pulls/7/comments': [[{ id: 10, path: 'a.js', line: 1, user: { login: 'bob' }, body: 'why?' }], [{ id: 11, in_reply_to_id: 10, path: 'a.js', line: 1, user: { login: 'ann' }, body: 'because' }]],
+    '/repos/acme/app/issues/7/comments': [[{ id: 20, user: { login: 'ann' }, body: 'first' }], [{ id: 21, user: { login: 'bob' }, body: 'second' }]],
+    '/repos/acme/app/issues/5/comments': [[{ id: 30, user: { login: 'ann' }, body: 'seen it too' }], [{ id: 31, user: { login: 'bob' }, body: 'fixing' }]],
+    '/repos/acme/app/commits/abc123/check-runs': [
+        { total_count: 2, check_runs: [{ name: 'lint', status: 'completed', conclusion: 'success' }] },
+        { total_count: 2, check_runs: [{ name: 'test', status: 'completed', conclusion: 'failure' }] }
+    ],
+    '/repos/acme/app/commits/abc123/status': [
+        { url: 'x', sha: 'abc123', state: 'failure', total_count: 2, statuses: [{ context: 'ci/build', state: 'success' }] },
+        { url: 'x', sha: 'abc123', state: 'failure', total_count: 2, statuses: [{ context: 'ci/deploy', state: 'pending' }] }
+    ]
+};
+// Repositories created through the stub; each clone_url is a bare repository on disk.
+const created = [];
+let cloneUrl = null;
+const pullRequest = { number: 7, title: 'Add b', state: 'open', user: { login: 'ann' }, head: { ref: 'feature/b', sha: 'abc123' }, base: { ref: 'main' }, html_url: 'https://example.test/pr/7' };
+const issue = (number, title, extra = {}) => ({ number, title, state: 'open', user: { login: 'ann' }, labels: [{ name: 'bug' }], assignees: [], comments: 2, html_url: `https://example.test/issues/${number}`, node_id: `I_${number}`, ...extra });
+// Requests that change something, as [method, path, body].
+const writes = [];
+let issueQuery = null;
+
+const api = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://127.0.0.1:${api.address().port}`);
+    const send = (body, headers = {}) => {
+        response.writeHead(200, { 'content-type': 'application/json', ...headers });
+        response.end(JSON.stringify(body));
+    };
+    if (request.method !== 'GET') {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            const data = JSON.parse(body || '{}');
+            writes.push([request.method, url.pathname, data]);
+            if (url.pathname === '/user/repos') {
+                created.push(data.name);
+                return send({ name: data.name, full_name: `acme/${data.name}`, owner: { login: 'acme' }, html_url: `https://example.test/acme/${data.name}`, clone_url: cloneUrl, ssh_url: cloneUrl, private: false, default_branch: 'main' });
+            }
+            if (url.pathname === '/repos/acme/app/pulls/7') return send(Object.assign(pullRequest, data));
+            if (url.pathname === '/repos/acme/app/issues/5/comments') return send({ id: 40, body: data.body, html_url: 'https://example.test/issues/5#issuecomment-40' });
+            if (url.pathname === '/graphql') return send({ data: { createLinkedBranch: { linkedBranch: { ref: { name: data.variables.name } } } } });
+            response.writeHead(404, { 'content-type': 'application/json' });
+            response.end(JSON.stringify({ message: 'Not Found' }));
+        });
+        return;
+    }
+    if (url.pathname === '/repos/acme/app/pulls/7') return send(pullRequest);
+    if (url.pathname === '/repos/acme/app/issues/5') return send(issue(5, 'Crash on save', { body: 'It crashes.', milestone: { title: 'v1' } }));
+    if (url.pathname === '/repos/acme/app/issues') {
+        issueQuery = Object.fromEntries(url.searchParams);
+        return send([issue(5, 'Crash on save'), issue(7, 'Add b', { pull_request: { url: 'x' } }), issue(3, 'Docs', { labels: ['docs'] })]);
+    }
+    if (url.pathname === '/repos/acme/app') return send({ name: 'app', default_branch: 'main', node_id: 'R_app' });
+    if (url.pathname === '/repos/acme/app/branches/main') return send({ name: 'main', commit: { sha: 'f'.repeat(40) } });
+    const list = pages[url.pathname];
+    if (!list) {
+        response.writeHead(404, { 'content-type': 'application/json' });
+        return response.end(JSON.stringify({ message: 'Not Found' }));
+    }
+    const page = Number(url.searchParams.get('page') || 1);
+    const next = new URL(url);
+    next.searchParams.set('page', String(page + 1));
+    send(list[page - 1], page < list.length ? { link: `<${next.href}>; rel="next"` } : {});
+});
+await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+process.env.GITHUB_API_URL = `http://127.0.0.1:${api.address().port}`;
+const { AutonomousDeveloperMCPServer } = await import('../server.js');
+
+describe('GitHub tools', () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'github-test-'));
+        server = new AutonomousDeveloperMCPServer({
+            workspaces: [{ name: 'default', root, protectedPaths: ['.git/'], commandPolicy: { auditLog: false }, gitPolicy: {} }],
+            defaultWorkspace: 'default'
+        });
+    });
+
+    after(async () => {
+        api.close();
+        await fs.rm(root, { recursive: true, force: true });
+        if (cloneUrl) await fs.rm(cloneUrl, { recursive: true, force: true });
+    });
+
+    test('get_pull_request reads every page of files, reviews and comments', async () => {
+        const pr = await server.getPullRequest({ number: 7, repo: 'acme/app', auth_token: 'token' });
+        assert.deepEqual(pr.files.map(file => file.path), ['a.js', 'b.js']);
+        assert.deepEqual(pr.reviews.map(review => review.author), ['ann', 'bob']);
+        assert.deepEqual(pr.review_threads.map(thread => thread.comments.map(comment => comment.id)), [[10, 11]]);
+        assert.deepEqual(pr.comments.map(comment => comment.body), ['first', 'second']);
+    });
+
+    test('get_pr_checks reads every page of check runs and statuses', async () => {
+        const checks = await server.getPrChecks({ number: 7, repo: 'acme/app', auth_token: 'token' });
+        assert.deepEqual(checks.checks.map(check => check.name), ['lint', 'test']);
+        assert.deepEqual(checks.statuses.map(status => status.name), ['ci/build', 'ci/deploy']);
+        assert.equal(checks.sha, 'abc123');
+        assert.equal(checks.state, 'failure');
+        assert.deepEqual(checks.failing, ['test']);
+        assert.deepEqual(checks.pending, ['ci/deploy']);
+    });
+
+    test('list_issues leaves out pull requests and passes the filters on', async () => {
+        const result = await server.listIssues({ labels: ['bug', 'ui'], assignee: 'ann', limit: 500, repo: 'acme/app', auth_token: 'token' });
+        assert.deepEqual(result.issues.map(({ number, labels }) => [number, labels]), [[5, ['bug']], [3, ['docs']]]);
+        assert.equal(result.total, 2);
+        assert.deepEqual([issueQuery.state, issueQuery.labels, issueQuery.assignee, issueQuery.per_page], ['open', 'bug,ui', 'ann', '100']);
+    });
+
+    test('get_issue reads the issue and every page of its comments', async () => {
+        const result = await server.getIssue({ number: 5, repo: 'acme/app', auth_token: 'token' });
+        assert.deepEqual([result.title, result.body, result.milestone, result.is_pull_request], ['Crash on save', 'It crashes.', 'v1', false]);
+        assert.deepEqual(result.comments.map(comment => [comment.author, comment.body]), [['ann', 'seen it too'], ['bob', 'fixing']]);
+    });
+
+    test('comment_on_issue posts the comment', async () => {
+        const result = await server.commentOnIssue({ number: 5, body: 'Fixed in #7.', repo: 'acme/app', auth_token: 'token' });
+        assert.equal(result.comment_id, 40);
+        assert.deepEqual(writes.at(-1), ['POST', '/repos/acme/app/issues/5/comments', { body: 'Fixed in #7.' }]);
+    });
+
+    test('link_issue adds a closing reference to the pull request description once', async () => {
+        pullRequest.body = 'Adds b.\n';
+        const result = await server.linkIssue({ number: 5, pull_request: 7, repo: 'acme/app', auth_token: 'token' });
+        assert.equal(result.linked, 'pull_request');
+        assert.deepEqual(writes.at(-1), ['PATCH', '/repos/acme/app/pulls/7', { body: 'Adds b.\n\nCloses #5' }]);
+
+        const count = writes.length;
+        assert.equal((await server.linkIssue({ number: 5, pull_request: 7, repo: 'acme/app', auth_token: 'token' })).linked, 'already');
+        assert.equal(writes.length, count);
+        await assert.rejects(server.linkIssue({ number: 5, repo: 'acme/app', auth_token: 'token' }), /exactly one of "pull_request" or "branch"/);
+    });
+
+    test('link_issue creates a linked branch from the default branch', async () => {
+        const result = await server.linkIssue({ number: 5, branch: 'fix/crash', repo: 'acme/app', auth_token: 'token' });
+        assert.deepEqual([result.linked, result.from, result.sha], ['branch', 'main', 'f'.repeat(40)]);
+        const [method, pathname, { variables }] = writes.at(-1);
+        assert.deepEqual([method, pathname], ['POST', '/graphql']);
+        assert.deepEqual(variables, { issueId: 'I_5', repositoryId: 'R_app', oid: 'f'.repeat(40), name: 'fix/crash' });
+    });
+
+    test('create_github_repo with connect_local pushes under the git guardrails', async () => {
+        const git = simpleGit(root);
+        await git.init(['-b', 'main']);
+        await git.addConfig('user.name', 'Test').addConfig('user.email', 'test@example.test');
+        await fs.writeFile(path.join(root, 'README.md'), '# app\n');
+        await git.add('.').commit('Initial commit');
+        cloneUrl = path.join(root, '..', `${path.basename(root)}-remote.git`);
+        await simpleGit().init(true, [cloneUrl]);
+
+        // 'main' is protected: nothing is created on GitHub until the push is confirmed.
+        await assert.rejects(server.createGithubRepo({ repo_name: 'app', connect_local: true, auth_token: 'token' }), (error) => {
+            assert.match(error.message, /needs confirmation \(protectedBranches: main\)/);
+            assert.equal(error.details.policy.command, 'git push -u origin main');
+            return true;
+        });
+        assert.deepEqual(created, []);
+        assert.deepEqual(await git.getRemotes(), []);
+
+        const result = await server.createGithubRepo({ repo_name: 'app', connect_local: true, confirm: true, auth_token: 'token' });
+        assert.deepEqual(created, ['app']);
+        assert.deepEqual(result.local, { initialized_git: false, remote: 'origin', remote_url: cloneUrl, branch: 'main', pushed: true });
+        assert.equal((await simpleGit(cloneUrl).log(['main'])).latest.message, 'Initial commit');
+    });
+});
@@ -0,0 +1,59 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp, matchesGlob, parseGitignore, isIgnored } from '../globs.js';
+
+describe('globToRegExp', () => {
+    test('supports *, **, ?, classes and alternatives', () => {
+        assert.ok(globToRegExp('src/*.js').test('src/a.js'));
+        assert.ok(!globToRegExp('src/*.js').test('src/lib/a.js'));
+        assert.ok(globToRegExp('src/**/*.js').test('src/a.js'));
+        assert.ok(globToRegExp('src/**/*.js').test('src/lib/deep/a.js'));
+        assert.ok(globToRegExp('file?.txt').test('file1.txt'));
+        assert.ok(globToRegExp('[!a]*.md').test('b.md'));
+        assert.ok(!globToRegExp('[!a]*.md').test('a.md'));
+        assert.ok(globToRegExp('*.{js,ts}').test('a.ts'));
+        assert.ok(!globToRegExp('*.{js,ts}').test('a.tsx'));
+    });
+
+    test('escapes regular expression characters', () => {
+        assert.ok(globToRegExp('a+b.(1).js').test('a+b.(1).js'));
+        assert.ok(!globToRegExp('a.js').test('abjs'));
+    });
+});
+
+describe('matchesGlob', () => {
+    test('matches a glob without a slash against the file name at any depth', () => {
+        assert.ok(matchesGlob('src/lib/a.test.js', '*.test.js'));
+        assert.ok(!matchesGlob('src/lib/a.test.js', 'src/*.test.js'));
+        assert.ok(matchesGlob('src/lib/a.test.js', './src/**/*.test.js'));
+    });
+});
+
+describe('gitignore rules', () => {
+    const rules = [
+        ...parseGitignore('# build output\ndist/\n*.log\n!keep.log\n/config.local.json\n', ''),
+        ...parseGitignore('generated/*.js\n', 'packages/app')
+    ];
+
+    test('ignores matches at any depth unless anchored', () => {
+        assert.ok(isIgnored('logs/debug.log', false, rules));
+        assert.ok(!isIgnored('logs/keep.log', false, rules));
+        assert.ok(isIgnored('config.local.json', false, rules));
+        assert.ok(!isIgnored('sub/config.local.json', false, rules));
+    });
+
+    test('applies directory-only rules to directories', () => {
+        assert.ok(isIgnored('packages/dist', true, rules));
+        assert.ok(!isIgnored('packages/dist', false, rules));
+    });
+
+    test('scopes nested rules to their directory', () => {
+        assert.ok(isIgnored('packages/app/generated/a.js', false, rules));
+        assert.ok(!isIgnored('generated/a.js', false, rules));
+    });
+
+    test('always ignores .git and node_modules', () => {
+        assert.ok(isIgnored('node_modules', true, []));
+        assert.ok(isIgnored('packages/app/.git', true, []));
+    });
+});
@@ -0,0 +1,86 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSource } from '../languages.js';
+import { findRelativeImports, resolveImport, movedPath, rewriteImports } from '../import-paths.js';
+
+const files = new Set(['src/app.js', 'src/component.js', 'src/util.ts', 'src/widget/index.js', 'src/data.json']);
+
+const rewrite = (filePath, newFilePath, content, from, to, language = 'javascript') => rewriteImports({
+    filePath,
+    newFilePath,
+    content,
+    imports: findRelativeImports(parseSource(content, language).rootNode),
+    files,
+    mapPath: movedPath(from, to)
+});
+
+describe('findRelativeImports', () => {
+    test('finds relative specifiers in imports, re-exports, require() and import()', () => {
+        const source = [
+            "import a from './a.js';",
+            "import pkg from 'lodash';",
+            "export { b } from '../b';",
+            "const c = require('./c');",
+            "const d = await import(`./d`);",
+            "const e = import('./e');"
+        ].join('\n');
+        assert.deepEqual(findRelativeImports(parseSource(source, 'javascript').rootNode).map(({ specifier, line }) => [specifier, line]), [
+            ['./a.js', 1], ['../b', 3], ['./c', 4], ['./e', 6]
+        ]);
+    });
+
+    test("covers TypeScript's import type and import = require()", () => {
+        const source = "import type { T } from './types';\nimport fs = require('./fs-shim');\n";
+        assert.deepEqual(findRelativeImports(parseSource(source, 'typescript').rootNode).map(({ specifier }) => specifier), ['./types', './fs-shim']);
+    });
+});
+
+describe('resolveImport', () => {
+    test('tries the path as written, with extensions, then as a directory index', () => {
+        assert.equal(resolveImport('src/app.js', './component.js', files), 'src/component.js');
+        assert.equal(resolveImport('src/app.js', './component', files), 'src/component.js');
+        assert.equal(resolveImport('src/app.js', './widget', files), 'src/widget/index.js');
+        assert.equal(resolveImport('src/app.js', '../missing', files), null);
+    });
+
+    test('lets "./x.js" name a TypeScript file', () => {
+        assert.equal(resolveImport('src/app.js', './util.js', files), 'src/util.ts');
+    });
+});
+
+describe('rewriteImports', () => {
+    test('points imports of a moved file at its new path, keeping their form', () => {
+        const source = "import A from './component.js';\nconst B = require('./component');\nimport C from './data.json';\n";
+        const { content, changes } = rewrite('src/app.js', 'src/app.js', source, 'src/component.js', 'src/components/component.js');
+        assert.equal(content, "import A from './components/component.js';\nconst B = require('./components/component');\nimport C from './data.json';\n");
+        assert.deepEqual(changes, [
+            { line: 1, from: './component.js', to: './components/component.js' },
+            { line: 2, from: './component', to: './components/component' }
+        ]);
+    });
+
+    test("updates a moved file's own imports of files that stay", () => {
+        const source = "import { add } from './util.js';\nimport W from './widget';\n";
+        const { content } = rewrite('src/component.js', 'src/components/component.js', source, 'src/component.js', 'src/components/component.js');
+        assert.equal(content, "import { add } from '../util.js';\nimport W from '../widget';\n");
+    });
+
+    test('follows a directory move, including directory imports and files inside it', () => {
+        const { content } = rewrite('src/app.js', 'src/app.js', "import W from './widget';\nimport I from './widget/index.js';\n", 'src/widget', 'lib/widget');
+        assert.equal(content, "import W from '../lib/widget';\nimport I from '../lib/widget/index.js';\n");
+        const inside = rewrite('src/widget/index.js', 'lib/widget/index.js', "import A from '../app.js';\nimport I from './index.js';\n", 'src/widget', 'lib/widget');
+        assert.equal(inside.content, "import A from '../../src/app.js';\nimport I from './index.js';\n");
+    });
+
+    test('keeps paths into dot directories relative', () => {
+        const { content } = rewrite('src/app.js', 'src/app.js', "import { add } from './util';\n", 'src/util.ts', 'src/.config/util.ts');
+        assert.equal(content, "import { add } from './.config/util';\n");
+        const parent = rewrite('src/component.js', 'src/component.js', "import W from './widget';\n", 'src/widget', '.widget');
+        assert.equal(parent.content, "import W from '../.widget';\n");
+    });
+
+    test('leaves unrelated files untouched', () => {
+        const source = "import A from './app.js';\n";
+        assert.deepEqual(rewrite('src/component.js', 'src/component.js', source, 'src/util.ts', 'lib/util.ts'), { content: source, changes: [] });
+    });
+});
@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSource } from '../languages.js';
+import { javascriptStructure } from '../javascript-structure.js';
+
+const structure = (content, language = 'javascript') => javascriptStructure(parseSource(content, language).rootNode);
+
+const MODULE_JS = [
+    "import fs, { readFile as read } from 'fs';",
+    "import * as path from 'path';",
+    "const lodash = require('lodash');",
+    '',
+    'export class Store extends Base {',
+    '    constructor(root) { super(); this.root = root; }',
+    '    get size() { return 0; }',
+    '    static async open(root) { return new Store(root); }',
+    '    save = async (item) => item;',
+    '}',
+    '',
+    'export const helper = async (a, b = 1) => a + b;',
+    'function* ids() { yield 1; }',
+    'export default function main() {}',
+    "export { ids as identifiers };",
+    "export * from './more.js';",
+    ''
+].join('\n');
+
+describe('javascriptStructure', () => {
+    test('lists imports, including require()', () => {
+        assert.deepEqual(structure(MODULE_JS).imports.map(({ source, names, start_line }) => [source, names, start_line]), [
+            ['fs', ['fs', 'read'], 1],
+            ['path', ['* as path'], 2],
+            ['lodash', ['lodash'], 3]
+        ]);
+    });
+
+    test('describes classes with their methods and function-valued fields', () => {
+        const [store] = structure(MODULE_JS).classes;
+        assert.equal(store.name, 'Store');
+        assert.equal(store.extends, 'Base');
+        assert.deepEqual([store.start_line, store.end_line], [5, 10]);
+        assert.deepEqual(store.methods.map(({ name, kind, static: isStatic, async }) => [name, kind, isStatic, async]), [
+            ['constructor', 'constructor', false, false],
+            ['size', 'getter', false, false],
+            ['open', 'method', true, true],
+            ['save', 'field', false, true]
+        ]);
+    });
+
+    test('lists function declarations, generators and arrow functions', () => {
+        assert.deepEqual(structure(MODULE_JS).functions.map(({ name, kind, async, params }) => [name, kind, async, params]), [
+            ['helper', 'arrow', true, '(a, b = 1)'],
+            ['ids', 'generator', false, '()'],
+            ['main', 'function', false, '()']
+        ]);
+    });
+
+    test('lists exports of declarations, bindings and re-exports', () => {
+        assert.deepEqual(structure(MODULE_JS).exports.map(({ name, local, kind, source }) => [name, local, kind, source]), [
+            ['Store', 'Store', 'class', null],
+            ['helper', 'helper', 'function', null],
+            ['default', 'main', 'function', null],
+            ['identifiers', 'ids', 'binding', null],
+            ['*', null, 're-export', './more.js']
+        ]);
+    });
+
+    test('lists TypeScript interfaces, type aliases and enums, and abstract methods', () => {
+        const source = [
+            'export interface Shape { area(): number; }',
+            'type Id = string | number;',
+            'export enum Color { Red, Green }',
+            'export abstract class Base implements Shape {',
+            '    abstract area(): number;',
+            '}',
+            ''
+        ].join('\n');
+        const { types, exports, classes } = structure(source, 'typescript');
+        assert.deepEqual(types.map(({ name, kind, start_line }) => [name, kind, start_line]), [['Shape', 'interface', 1], ['Id', 'type', 2], ['Color', 'enum', 3]]);
+        assert.deepEqual(exports.map(({ name, kind }) => [name, kind]), [['Shape', 'interface'], ['Color', 'enum'], ['Base', 'class']]);
+        assert.deepEqual(classes[0].methods.map(({ name, kind }) => [name, kind]), [['area', 'abstract']]);
+        assert.equal(classes[0].extends, null, 'implementing an interface is not extending a class');
+    });
+});
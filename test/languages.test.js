@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PARSEABLE_LANGUAGES, detectLanguage, parseSource, findSyntaxErrors, findIntroducedErrors } from '../languages.js';
+
+describe('detectLanguage', () => {
+    test('picks the language from the extension or the file name', () => {
+        assert.equal(detectLanguage('src/app.MJS'), 'javascript');
+        assert.equal(detectLanguage('src/view.tsx'), 'tsx');
+        assert.equal(detectLanguage('lib/types.cts'), 'typescript');
+        assert.equal(detectLanguage('tools/run.py'), 'python');
+        assert.equal(detectLanguage('docker/Dockerfile'), 'dockerfile');
+        assert.equal(detectLanguage('notes.txt'), null);
+    });
+
+    test('only languages with a grammar are parseable', () => {
+        assert.deepEqual(PARSEABLE_LANGUAGES, ['javascript', 'typescript', 'tsx', 'python', 'json']);
+        assert.throws(() => parseSource('# Title', 'markdown'), /no grammar for markdown/);
+    });
+});
+
+describe('parseSource', () => {
+    test('parses each registered language with its own grammar', () => {
+        assert.equal(parseSource('let x: number = 1;', 'typescript').rootNode.hasError, false);
+        assert.equal(parseSource('let x: number = 1;', 'javascript').rootNode.hasError, true);
+        assert.equal(parseSource('const a = <div>{x}</div>;', 'tsx').rootNode.hasError, false);
+        assert.equal(parseSource('def f(x):\n    return x\n', 'python').rootNode.firstNamedChild.type, 'function_definition');
+        assert.equal(parseSource('{"a": [1, 2]}', 'json').rootNode.hasError, false);
+    });
+
+    test('parses sources larger than the 32KB limit of string input', () => {
+        const source = 'x = 1\n'.repeat(10000);
+        assert.equal(parseSource(source, 'python').rootNode.namedChildCount, 10000);
+    });
+});
+
+describe('findSyntaxErrors', () => {
+    test('reports missing and unexpected tokens with 1-based positions', () => {
+        const errors = findSyntaxErrors(parseSource('{\n  "a": [1, 2,],\n  "b" 3\n}\n', 'json').rootNode);
+        assert.deepEqual(errors.map(({ line, column, kind }) => [line, column, kind]), [[2, 14, 'missing'], [2, 15, 'unexpected']]);
+        assert.equal(errors[0].message, 'Missing number');
+    });
+
+    test('reports a missing closing token where the parser expected it', () => {
+        assert.deepEqual(findSyntaxErrors(parseSource('def f(:\n    pass\n', 'python').rootNode), [
+            { line: 1, column: 7, end_line: 1, end_column: 7, kind: 'missing', message: 'Missing )' }
+        ]);
+    });
+
+    test('finds nothing in valid code', () => {
+        assert.deepEqual(findSyntaxErrors(parseSource('export const add = (a: number, b: number) => a + b;', 'typescript').rootNode), []);
+    });
+});
+
+describe('findIntroducedErrors', () => {
+    const edit = { start: { line: 2, column: 1 }, oldEnd: { line: 4, column: 2 }, newEnd: { line: 6, column: 2 } };
+
+    test('reports an error in the new code even when it replaces one', () => {
+        const before = [{ line: 3, column: 5, message: 'Missing )' }];
+        const after = [{ line: 5, column: 9, message: "Unexpected '+'" }];
+        assert.deepEqual(findIntroducedErrors(before, after, edit), after);
+        assert.deepEqual(findIntroducedErrors(before, [], edit), []);
+    });
+
+    test('matches errors outside the edit after shifting those that follow it', () => {
+        const before = [{ line: 1, column: 3, message: 'Missing ;' }, { line: 10, column: 3, message: 'Missing }' }, { line: 4, column: 5, message: "Unexpected 'x'" }];
+        const after = [{ line: 1, column: 3, message: 'Missing ;' }, { line: 12, column: 3, message: 'Missing }' }, { line: 6, column: 5, message: "Unexpected 'x'" }];
+        assert.deepEqual(findIntroducedErrors(before, after, edit), []);
+        const moved = [{ line: 12, column: 4, message: 'Missing }' }];
+        assert.deepEqual(findIntroducedErrors(before, moved, edit), moved);
+    });
+
+    test('works on real parse trees', () => {
+        const source = 'const a = (1 + );\nconst b = 2;\n';
+        const changed = 'const a = 1;\nconst b = 2 +;\n';
+        const errors = findIntroducedErrors(findSyntaxErrors(parseSource(source, 'javascript').rootNode), findSyntaxErrors(parseSource(changed, 'javascript').rootNode), {
+            start: { line: 1, column: 1 }, oldEnd: { line: 1, column: 18 }, newEnd: { line: 1, column: 13 }
+        });
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].line, 2);
+    });
+});
@@ -0,0 +1,83 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AutonomousDeveloperMCPServer } from '../server.js';
+
+describe('list_directory', () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'list-directory-test-'));
+        const files = {
+            '.gitignore': 'dist/\n',
+            'README.md': '# app\n',
+            'src/app.js': 'a();\nb();\n',
+            'src/lib/util.ts': 'export {};',
+            'src/lib/deep/tool.py': 'pass\n',
+            'docs/guide.md': '# guide\n',
+            'dist/bundle.js': 'a();\n',
+            'node_modules/dep/index.js': 'a();\n'
+        };
+        for (const [name, content] of Object.entries(files)) {
+            await fs.mkdir(path.dirname(path.join(root, name)), { recursive: true });
+            await fs.writeFile(path.join(root, name), content);
+        }
+        await fs.writeFile(path.join(root, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00]));
+        server = new AutonomousDeveloperMCPServer({
+            workspaces: [{ name: 'default', root, protectedPaths: ['.git/'], commandPolicy: { auditLog: false }, gitPolicy: {} }],
+            defaultWorkspace: 'default'
+        });
+    });
+
+    after(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('lists one directory, directories first, with line counts and languages', async () => {
+        const { entries } = await server.listDirectory({ dir_path: 'src' });
+        assert.deepEqual(entries.map(({ name, type, size, lines, language }) => [name, type, size, lines, language]), [
+            ['lib', 'directory', null, undefined, undefined],
+            ['app.js', 'file', 10, 3, 'javascript']
+        ]);
+    });
+
+    test('renders a tree down to max_depth, skipping ignored directories', async () => {
+        const result = await server.listDirectory({ recursive: true, max_depth: 2, format: 'tree' });
+        assert.equal(result.tree, [
+            './',
+            '├── docs/',
+            '│   └── guide.md (2 lines, markdown)',
+            '├── src/',
+            '│   ├── lib/ …',
+            '│   └── app.js (3 lines, javascript)',
+            '├── .gitignore (2 lines)',
+            '├── logo.png (binary)',
+            '└── README.md (2 lines, markdown)'
+        ].join('\n'));
+        assert.equal(result.total_files, 5);
+        assert.equal(result.total_directories, 3);
+        assert.equal(result.truncated, false);
+    });
+
+    test('nests entries in the JSON format and marks directories it did not expand', async () => {
+        const { entries } = await server.listDirectory({ dir_path: 'src', recursive: true, max_depth: 2 });
+        const [lib, app] = entries;
+        assert.equal(app.path, 'src/app.js');
+        assert.deepEqual(lib.children.map(({ path: childPath, not_expanded }) => [childPath, not_expanded]), [['src/lib/deep', true], ['src/lib/util.ts', undefined]]);
+        assert.deepEqual(lib.children[0].children, []);
+    });
+
+    test('keeps only matching files, and the directories that lead to them, with include', async () => {
+        const result = await server.listDirectory({ recursive: true, max_depth: 5, include: '**/*.py', format: 'tree' });
+        assert.equal(result.tree, './\n└── src/\n    └── lib/\n        └── deep/\n            └── tool.py (2 lines, python)');
+    });
+
+    test('stops at max_entries', async () => {
+        const result = await server.listDirectory({ recursive: true, max_depth: 5, max_entries: 2 });
+        assert.deepEqual(result.entries.map(entry => entry.path), ['docs']);
+        assert.equal(result.truncated, true);
+    });
+});
@@ -0,0 +1,89 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AutonomousDeveloperMCPServer } from '../server.js';
+
+describe('move_or_rename_file', () => {
+    let root;
+    let server;
+    const read = (name) => fs.readFile(path.join(root, name), 'utf8');
+    const exists = (name) => fs.stat(path.join(root, name)).then(() => true, () => false);
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'move-file-test-'));
+        server = new AutonomousDeveloperMCPServer({
+            workspaces: [{ name: 'default', root, protectedPaths: ['.git/'], commandPolicy: { auditLog: false }, gitPolicy: {} }],
+            defaultWorkspace: 'default'
+        });
+    });
+
+    after(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('refuses to move onto an existing file without overwrite', async () => {
+        await fs.writeFile(path.join(root, 'a.js'), 'export const a = 1;\n');
+        await fs.writeFile(path.join(root, 'b.js'), 'export const b = 2;\n');
+        await assert.rejects(server.moveOrRenameFile({ source_path: 'a.js', destination_path: 'b.js' }), /b\.js already exists\. Pass overwrite: true/);
+        await assert.rejects(server.moveOrRenameFile({ source_path: 'a.js', destination_path: 'b.js', dry_run: true }), /already exists/);
+        assert.equal(await read('a.js'), 'export const a = 1;\n');
+        assert.equal(await read('b.js'), 'export const b = 2;\n');
+    });
+
+    test('with overwrite, undo moves the file back and restores the overwritten one', async () => {
+        await fs.writeFile(path.join(root, 'a.js'), 'export const a = 1;\n');
+        await fs.writeFile(path.join(root, 'b.js'), 'export const b = 2;\n');
+        const result = await server.moveOrRenameFile({ source_path: 'a.js', destination_path: 'b.js', overwrite: true });
+        assert.match(result.diff, /-export const b = 2;/);
+        assert.equal(await read('b.js'), 'export const a = 1;\n');
+        assert.equal(await exists('a.js'), false);
+
+        await server.undoLastEdit({});
+        assert.equal(await read('a.js'), 'export const a = 1;\n');
+        assert.equal(await read('b.js'), 'export const b = 2;\n');
+    });
+
+    test('overwriting restores a file that is not UTF-8 byte for byte', async () => {
+        const latin1 = Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x0a]);
+        await fs.writeFile(path.join(root, 'a.txt'), 'new\n');
+        await fs.writeFile(path.join(root, 'b.txt'), latin1);
+        await server.moveOrRenameFile({ source_path: 'a.txt', destination_path: 'b.txt', overwrite: true });
+        await server.undoLastEdit({});
+        assert.deepEqual(await fs.readFile(path.join(root, 'b.txt')), latin1);
+        assert.equal(await read('a.txt'), 'new\n');
+    });
+
+    test('never overwrites a directory', async () => {
+        await fs.writeFile(path.join(root, 'c.js'), '');
+        await fs.mkdir(path.join(root, 'lib'), { recursive: true });
+        await assert.rejects(server.moveOrRenameFile({ source_path: 'c.js', destination_path: 'lib', overwrite: true }), /is not a file/);
+    });
+});
+
+describe('text edits of files that are not UTF-8', () => {
+    let root;
+    let server;
+    const latin1 = Buffer.from('const caf\xe9 = 1;\nconst b = 2;\n', 'latin1');
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'non-utf8-test-'));
+        server = new AutonomousDeveloperMCPServer({
+            workspaces: [{ name: 'default', root, protectedPaths: ['.git/'], commandPolicy: { auditLog: false }, gitPolicy: {} }],
+            defaultWorkspace: 'default'
+        });
+        await fs.writeFile(path.join(root, 'latin1.js'), latin1);
+    });
+
+    after(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('smart_replace, replace_symbol and delete_lines refuse them instead of re-encoding', async () => {
+        await assert.rejects(server.smartReplace({ file_path: 'latin1.js', old_code: 'const b = 2;', new_code: 'const b = 3;' }), /latin1\.js is not a UTF-8 text file/);
+        await assert.rejects(server.replaceSymbol({ file_path: 'latin1.js', symbol: 'b', new_code: 'const b = 3;' }), /not a UTF-8 text file/);
+        await assert.rejects(server.deleteLines({ file_path: 'latin1.js', start_line: 2, end_line: 2 }), /not a UTF-8 text file/);
+        assert.deepEqual(await fs.readFile(path.join(root, 'latin1.js')), latin1);
+    });
+});
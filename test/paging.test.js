@@ -0,0 +1,53 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { cutUtf8, pageLines, decodeChunk } from '../paging.js';
+
+describe('cutUtf8', () => {
+    test('drops an incomplete trailing character only', () => {
+        const euro = Buffer.from('a€', 'utf8'); // € is 3 bytes
+        assert.equal(cutUtf8(euro.subarray(0, 3)).toString(), 'a');
+        assert.equal(cutUtf8(euro).toString(), 'a€');
+        assert.equal(cutUtf8(euro.subarray(0, 3), false).length, 3);
+    });
+});
+
+describe('pageLines', () => {
+    const content = 'one\ntwo\nthree\nfour';
+
+    test('returns the requested range', () => {
+        assert.deepEqual(pageLines(content, { start_line: 2, end_line: 3, max_bytes: 100 }), {
+            content: 'two\nthree', lines: 4, start_line: 2, end_line: 3, truncated: false
+        });
+    });
+
+    test('stops at whole lines when the budget runs out', () => {
+        const page = pageLines(content, { max_bytes: 9 });
+        assert.equal(page.end_line, 2);
+        assert.equal(page.next_start_line, 3);
+        assert.equal(page.content, 'one\ntwo\n[... truncated at 9 bytes: continue with start_line=3 ...]');
+    });
+
+    test('cuts a single oversized line and points at an offset', () => {
+        const page = pageLines('short\n€€€€', { start_line: 2, max_bytes: 7 });
+        assert.equal(page.content.split('\n')[0], '€€');
+        assert.equal(page.next_offset, 6 + 6);
+        assert.equal(page.end_line, 2);
+    });
+
+    test('rejects ranges outside the file', () => {
+        assert.throws(() => pageLines(content, { start_line: 5, max_bytes: 100 }), /Invalid line range: 5-4 \(file has 4 lines\)/);
+        assert.throws(() => pageLines(content, { start_line: 3, end_line: 2, max_bytes: 100 }), /Invalid line range/);
+    });
+});
+
+describe('decodeChunk', () => {
+    test('skips a partial character at the start and cuts one at the end', () => {
+        const file = Buffer.from('€a€', 'utf8'); // bytes 0-2, 3, 4-6
+        assert.deepEqual(decodeChunk(file.subarray(1, 6), 1, file.length), { text: 'a', offset: 3, end: 4 });
+    });
+
+    test('keeps the final bytes of the file', () => {
+        const file = Buffer.from('ab€', 'utf8');
+        assert.deepEqual(decodeChunk(file.subarray(2), 2, file.length), { text: '€', offset: 2, end: 5 });
+    });
+});
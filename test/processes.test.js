@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { createOutputBuffer, appendOutput, hasUnreadOutput, takeOutput, killProcessTree } from '../processes.js';
+
+describe('output buffers', () => {
+    test('hand out each part of the output once', () => {
+        const buffer = createOutputBuffer();
+        assert.equal(hasUnreadOutput(buffer), false);
+        appendOutput(buffer, 'hello ');
+        appendOutput(buffer, 'world');
+        assert.equal(hasUnreadOutput(buffer), true);
+        assert.deepEqual(takeOutput(buffer), { text: 'hello world', dropped: 0 });
+        assert.deepEqual(takeOutput(buffer), { text: '', dropped: 0 });
+    });
+
+    test('drop the oldest output past the limit and count what was never read', () => {
+        const buffer = createOutputBuffer();
+        appendOutput(buffer, 'abcd', 6);
+        assert.equal(takeOutput(buffer).text, 'abcd');
+        appendOutput(buffer, 'efghij', 6);
+        assert.deepEqual(takeOutput(buffer), { text: 'efghij', dropped: 0 });
+        appendOutput(buffer, 'klmnopqr', 6);
+        assert.deepEqual(takeOutput(buffer), { text: 'mnopqr', dropped: 2 });
+    });
+
+    test('count dropped output in bytes', () => {
+        const buffer = createOutputBuffer();
+        appendOutput(buffer, 'ééé', 2);
+        appendOutput(buffer, 'abc', 2);
+        assert.deepEqual(takeOutput(buffer), { text: 'bc', dropped: Buffer.byteLength('éééa') });
+    });
+});
+
+describe('killProcessTree', { skip: process.platform === 'win32' && 'POSIX process groups' }, () => {
+    // The background sleep inherits the stdout pipe, which only closes once it has exited too.
+    const startGroup = async (script) => {
+        const child = spawn(script, { shell: true, detached: true, stdio: ['ignore', 'pipe', 'ignore'] });
+        child.stdout.resume();
+        await once(child.stdout, 'data');
+        return child;
+    };
+    const closesWithin = async (stream, ms) => {
+        let timer;
+        const closed = once(stream, 'close').then(() => true);
+        const timedOut = new Promise((resolve) => { timer = setTimeout(resolve, ms, false); });
+        const result = await Promise.race([closed, timedOut]);
+        clearTimeout(timer);
+        return result;
+    };
+
+    test('signals the processes a child started as well', async () => {
+        const child = await startGroup('sleep 30 & echo started; wait');
+        killProcessTree(child);
+        assert.equal(await closesWithin(child.stdout, 5000), true);
+    });
+
+    test('reaches what is left of the group after the child exited', async () => {
+        const child = await startGroup('sleep 30 & echo started');
+        if (child.exitCode === null) await once(child, 'exit');
+        killProcessTree(child);
+        assert.equal(await closesWithin(child.stdout, 5000), true);
+        killProcessTree(child); // Nothing left to signal
+    });
+});
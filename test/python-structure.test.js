@@ -0,0 +1,110 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSource } from '../languages.js';
+import { pythonStructure, collectPythonSymbols } from '../python-structure.js';
+
+const MODULE_PY = [
+    'import os',
+    'import numpy as np',
+    'from typing import List, Optional as Opt',
+    'from .helpers import *',
+    '',
+    'LIMIT = 10',
+    '_cache = {}',
+    '',
+    'try:',
+    '    import ujson as json',
+    'except ImportError:',
+    '    import json',
+    '',
+    'class Store(Base):',
+    '    def __init__(self, path):',
+    '        self.path = path',
+    '',
+    '    @property',
+    '    def size(self):',
+    '        return 0',
+    '',
+    '    @size.setter',
+    '    def size(self, value):',
+    '        pass',
+    '',
+    '    @staticmethod',
+    '    async def load(path):',
+    '        return Store(path)',
+    '',
+    '@cached',
+    'def helper(a, b=1):',
+    '    def inner():',
+    '        pass',
+    '    return inner',
+    '',
+    'def _private():',
+    '    pass',
+    ''
+].join('\n');
+
+const structure = (content) => pythonStructure(parseSource(content, 'python').rootNode);
+
+describe('pythonStructure', () => {
+    test('lists imports, including those under try', () => {
+        assert.deepEqual(structure(MODULE_PY).imports.map(({ source, names }) => [source, names]), [
+            ['os', ['os']],
+            ['numpy', ['np']],
+            ['typing', ['List', 'Opt']],
+            ['.helpers', ['*']],
+            ['ujson', ['json']],
+            ['json', ['json']]
+        ]);
+    });
+
+    test('describes classes and their methods', () => {
+        const [store] = structure(MODULE_PY).classes;
+        assert.equal(store.name, 'Store');
+        assert.equal(store.extends, 'Base');
+        assert.deepEqual([store.start_line, store.end_line], [14, 28]);
+        assert.deepEqual(store.methods.map(({ name, kind, static: isStatic, async }) => [name, kind, isStatic, async]), [
+            ['__init__', 'constructor', false, false],
+            ['size', 'getter', false, false],
+            ['size', 'setter', false, false],
+            ['load', 'method', true, true]
+        ]);
+    });
+
+    test('lists module-level functions with their parameters', () => {
+        const { functions } = structure(MODULE_PY);
+        assert.deepEqual(functions.map(({ name, params }) => [name, params]), [['helper', '(a, b=1)'], ['_private', '()']]);
+        assert.deepEqual([functions[0].start_line, functions[0].end_line], [30, 34], 'a decorated function starts at its decorator');
+    });
+
+    test('exports the public top-level names', () => {
+        assert.deepEqual(structure(MODULE_PY).exports.map(({ name, kind }) => [name, kind]), [['LIMIT', 'variable'], ['Store', 'class'], ['helper', 'function']]);
+    });
+
+    test('exports exactly the names in __all__', () => {
+        const { exports } = structure("__all__ = ['helper', 'missing']\n\ndef helper():\n    pass\n\ndef other():\n    pass\n");
+        assert.deepEqual(exports.map(({ name, kind, start_line }) => [name, kind, start_line]), [['helper', 'function', 3], ['missing', 'value', 1]]);
+    });
+});
+
+describe('collectPythonSymbols', () => {
+    test('finds functions, classes and qualified methods, but not nested functions', () => {
+        const symbols = collectPythonSymbols(parseSource(MODULE_PY, 'python').rootNode);
+        assert.deepEqual(symbols.map(({ name, kind }) => [name, kind]), [
+            ['Store', 'class'],
+            ['Store.__init__', 'method'],
+            ['Store.size', 'method'],
+            ['Store.size', 'method'],
+            ['Store.load', 'method'],
+            ['helper', 'function'],
+            ['_private', 'function']
+        ]);
+    });
+
+    test('replaces a decorated definition together with its decorators', () => {
+        const symbols = collectPythonSymbols(parseSource(MODULE_PY, 'python').rootNode);
+        const helper = symbols.find(symbol => symbol.name === 'helper');
+        assert.ok(helper.node.text.startsWith('@cached\ndef helper'));
+        assert.equal(helper.exportNode, null);
+    });
+});
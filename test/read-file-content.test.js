@@ -0,0 +1,64 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AutonomousDeveloperMCPServer } from '../server.js';
+
+describe('read_file_content', () => {
+    let root;
+    let server;
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]);
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'read-file-content-test-'));
+        await fs.writeFile(path.join(root, 'lines.txt'), 'one\ntwo\nthree\nfour\n');
+        await fs.writeFile(path.join(root, 'logo.png'), png);
+        await fs.writeFile(path.join(root, 'data.bin'), Buffer.from('abc\0def'));
+        await fs.writeFile(path.join(root, 'utf8.txt'), 'añb€c');
+        server = new AutonomousDeveloperMCPServer({
+            workspaces: [{ name: 'default', root, protectedPaths: ['.git/'], commandPolicy: { auditLog: false }, gitPolicy: {} }],
+            defaultWorkspace: 'default'
+        });
+    });
+
+    after(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('reads a whole text file', async () => {
+        const result = await server.readFileContent({ file_path: 'lines.txt' });
+        assert.equal(result.content, 'one\ntwo\nthree\nfour\n');
+        assert.deepEqual([result.lines, result.start_line, result.end_line, result.truncated, result.size_bytes], [5, 1, 5, false, 19]);
+    });
+
+    test('describes binary files instead of returning them', async () => {
+        const result = await server.readFileContent({ file_path: 'logo.png' });
+        assert.equal(result.binary, true);
+        assert.equal(result.content, undefined);
+        assert.equal(result.mime_type, 'image/png');
+        assert.equal(result.size_bytes, png.length);
+        assert.equal(result.sha256, createHash('sha256').update(png).digest('hex'));
+        assert.equal((await server.readFileContent({ file_path: 'data.bin' })).mime_type, 'application/octet-stream');
+    });
+
+    test('pages by line within max_bytes', async () => {
+        const first = await server.readFileContent({ file_path: 'lines.txt', start_line: 2, max_bytes: 10 });
+        assert.equal(first.content, 'two\nthree\n[... truncated at 10 bytes: continue with start_line=4 ...]');
+        assert.equal(first.next_start_line, 4);
+        const rest = await server.readFileContent({ file_path: 'lines.txt', start_line: first.next_start_line, end_line: 4 });
+        assert.deepEqual([rest.content, rest.truncated], ['four', false]);
+        await assert.rejects(server.readFileContent({ file_path: 'lines.txt', start_line: 9 }), /Invalid line range/);
+    });
+
+    test('pages by byte offset without splitting a character', async () => {
+        // 'añb€c': ñ is 2 bytes (1-2) and € is 3 bytes (4-6).
+        const first = await server.readFileContent({ file_path: 'utf8.txt', offset: 0, max_bytes: 5 });
+        assert.deepEqual([first.offset, first.next_offset, first.truncated], [0, 4, true]);
+        assert.equal(first.content, 'añb\n[... truncated: continue with offset=4 ...]');
+        const rest = await server.readFileContent({ file_path: 'utf8.txt', offset: first.next_offset, max_bytes: 5 });
+        assert.deepEqual([rest.content, rest.next_offset, rest.truncated], ['€c', null, false]);
+        await assert.rejects(server.readFileContent({ file_path: 'utf8.txt', offset: 99 }), /Invalid offset 99 \(file is 8 bytes\)/);
+    });
+});
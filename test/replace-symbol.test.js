@@ -0,0 +1,74 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AutonomousDeveloperMCPServer } from '../server.js';
+
+const STORE_JS = [
+    'export class Store {',
+    '    save(item) {',
+    '        return item;',
+    '    }',
+    '',
+    '    load() {',
+    '        return null;',
+    '    }',
+    '}',
+    '',
+    'function helper(a) {',
+    '    return a;',
+    '}',
+    ''
+].join('\n');
+
+describe('replace_symbol', () => {
+    let root;
+    let server;
+    const read = (name) => fs.readFile(path.join(root, name), 'utf8');
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'replace-symbol-test-'));
+        server = new AutonomousDeveloperMCPServer({
+            workspaces: [{ name: 'default', root, protectedPaths: ['.git/'], commandPolicy: { auditLog: false }, gitPolicy: {} }],
+            defaultWorkspace: 'default'
+        });
+    });
+
+    after(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('replaces a method inside a class, indented like the original', async () => {
+        await fs.writeFile(path.join(root, 'store.js'), STORE_JS);
+        // Written flush left, as a model usually sends it.
+        const result = await server.replaceSymbol({ file_path: 'store.js', symbol: 'Store.save', new_code: 'save(item) {\n    this.items.push(item);\n    return item;\n}' });
+        assert.equal(result.kind, 'method');
+        assert.deepEqual(result.replaced_lines, { start_line: 2, end_line: 4 });
+        assert.deepEqual(result.new_lines, { start_line: 2, end_line: 5 });
+        assert.equal(await read('store.js'), STORE_JS.replace('    save(item) {\n        return item;\n    }', '    save(item) {\n        this.items.push(item);\n        return item;\n    }'));
+    });
+
+    test('finds a method by its bare name and strips extra indentation', async () => {
+        await fs.writeFile(path.join(root, 'store.js'), STORE_JS);
+        const result = await server.replaceSymbol({ file_path: 'store.js', symbol: 'load', new_code: '\n        load() {\n            return [];\n        }\n' });
+        assert.equal(result.symbol, 'Store.load');
+        assert.match(await read('store.js'), /\n {4}load\(\) \{\n {8}return \[\];\n {4}\}\n\}/);
+    });
+
+    test('replaces a top-level function and can be undone', async () => {
+        await fs.writeFile(path.join(root, 'store.js'), STORE_JS);
+        const result = await server.replaceSymbol({ file_path: 'store.js', symbol: 'helper', new_code: 'function helper(a, b) {\n    return a + b;\n}' });
+        assert.equal(result.kind, 'function');
+        assert.ok((await read('store.js')).endsWith('function helper(a, b) {\n    return a + b;\n}\n'));
+        await server.undoLastEdit({});
+        assert.equal(await read('store.js'), STORE_JS);
+    });
+
+    test('refuses unknown symbols and replacements with syntax errors, leaving the file alone', async () => {
+        await fs.writeFile(path.join(root, 'store.js'), STORE_JS);
+        await assert.rejects(server.replaceSymbol({ file_path: 'store.js', symbol: 'missing', new_code: 'function missing() {}' }), /Symbol 'missing' was not found/);
+        await assert.rejects(server.replaceSymbol({ file_path: 'store.js', symbol: 'helper', new_code: 'function helper( {' }), /Replacement rejected/);
+        assert.equal(await read('store.js'), STORE_JS);
+    });
+});
@@ -0,0 +1,51 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AutonomousDeveloperMCPServer } from '../server.js';
+
+// A test script that ignores SIGTERM and never finishes, after printing `bytes` bytes.
+const stubborn = (bytes) => `process.on('SIGTERM', () => {}); process.stdout.write('x'.repeat(${bytes}) + 'end'); setInterval(() => {}, 1000);`;
+
+describe('run_tests', { skip: process.platform === 'win32' && 'POSIX process groups' }, () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'run-tests-timeout-test-'));
+        server = new AutonomousDeveloperMCPServer({
+            workspaces: [{ name: 'default', root, protectedPaths: ['.git/'], commandPolicy: { auditLog: false }, gitPolicy: {} }],
+            defaultWorkspace: 'default'
+        });
+    });
+
+    after(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    const writeTestScript = (script) => fs.writeFile(path.join(root, 'package.json'), JSON.stringify({ scripts: { test: 'node stubborn.js' } }))
+        .then(() => fs.writeFile(path.join(root, 'stubborn.js'), script));
+
+    test('kills a run that ignores SIGTERM once it times out, keeping the end of its output', async () => {
+        await writeTestScript(stubborn(2 * 1024 * 1024));
+        const started = Date.now();
+        const result = await server.runTests({ runner: 'npm', timeout_seconds: 1 });
+        assert.equal(result.timed_out, true);
+        assert.equal(result.success, false);
+        assert.ok(result.output.endsWith('xend'), 'the output keeps its end');
+        assert.ok(Date.now() - started < 15000, 'the call returns after the grace periods');
+        assert.equal(server.runs.size, 0);
+    });
+
+    test('stopAllProcesses stops a run in progress', async () => {
+        await writeTestScript(stubborn(10));
+        const run = server.runTests({ runner: 'npm', timeout_seconds: 600 });
+        while (server.runs.size === 0) await new Promise(resolve => setTimeout(resolve, 20));
+        await new Promise(resolve => setTimeout(resolve, 1000)); // Let npm start the script
+        server.stopAllProcesses();
+        const result = await run;
+        assert.equal(result.timed_out, false);
+        assert.equal(result.success, false);
+    });
+});
@@ -0,0 +1,148 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectTestRunner, nodeTestArgs, findFailureLocation, parseTap, parseJUnit, parseJestJson } from '../run-tests.js';
+
+const root = '/work/app';
+
+describe('detectTestRunner', () => {
+    test('follows the npm test script first, then the dependencies', () => {
+        assert.equal(detectTestRunner({ packageJson: { scripts: { test: 'vitest run' }, devDependencies: { jest: '29' } } }), 'vitest');
+        assert.equal(detectTestRunner({ packageJson: { scripts: { test: 'node --test test/' } } }), 'node');
+        assert.equal(detectTestRunner({ packageJson: { scripts: { test: 'mocha' } } }), 'npm');
+        assert.equal(detectTestRunner({ packageJson: { scripts: { test: 'echo "Error: no test specified" && exit 1' }, devDependencies: { jest: '29' } } }), 'jest');
+    });
+
+    test('falls back to pytest, then to node:test for a package with a test directory', () => {
+        assert.equal(detectTestRunner({ pytestConfigured: true }), 'pytest');
+        assert.equal(detectTestRunner({ packageJson: {}, hasTestDir: true }), 'node');
+        assert.equal(detectTestRunner({ packageJson: {} }), null);
+    });
+});
+
+describe('nodeTestArgs', () => {
+    test('reuses the paths and flags of a plain node --test script only', () => {
+        assert.deepEqual(nodeTestArgs('node --test test/ --test-concurrency=1'), ['test/', '--test-concurrency=1']);
+        assert.deepEqual(nodeTestArgs('node --test'), []);
+        assert.deepEqual(nodeTestArgs('npm run build && node --test test/'), []);
+    });
+});
+
+describe('findFailureLocation', () => {
+    test('skips node_modules and prefers frames in the test file', () => {
+        const stack = [
+            'at expect (/work/app/node_modules/expect/build/index.js:10:5)',
+            'at check (/work/app/src/check.js:7:11)',
+            'at Object.<anonymous> (/work/app/test/check.test.js:3:5)'
+        ].join('\n');
+        assert.deepEqual(findFailureLocation(stack, root), { file: 'src/check.js', line: 7 });
+        assert.deepEqual(findFailureLocation(stack, root, { file: 'test/check.test.js' }), { file: 'test/check.test.js', line: 3 });
+    });
+});
+
+describe('parseTap', () => {
+    test('counts leaf tests and reports nested failures with their location', () => {
+        const tap = [
+            'TAP version 13',
+            '# Subtest: math',
+            '    # Subtest: adds',
+            '    not ok 1 - adds',
+            '      ---',
+            "      location: '/work/app/test/math.test.js:4:3'",
+            '      error: |-',
+            '        Expected values to be strictly equal:',
+            '        ',
+            '        2 !== 3',
+            '      stack: |-',
+            '        TestContext.<anonymous> (file:///work/app/test/math.test.js:5:12)',
+            '        Test.run (node:internal/test_runner/test:796:25)',
+            '      ...',
+            '    ok 2 - subtracts',
+            '    ok 3 - divides # SKIP',
+            '    1..3',
+            'not ok 1 - math',
+            '  ---',
+            "  error: '1 subtest failed'",
+            '  ...',
+            'ok 2 - top level',
+            '1..2'
+        ].join('\n');
+        assert.deepEqual(parseTap(tap, root), {
+            passed: 2,
+            failed: 1,
+            skipped: 1,
+            total: 4,
+            failures: [{ name: 'math > adds', file: 'test/math.test.js', line: 5, message: 'Expected values to be strictly equal:\n\n2 !== 3' }]
+        });
+    });
+});
+
+describe('parseJUnit', () => {
+    test('reads pytest reports, taking the innermost traceback line', () => {
+        const xml = `<?xml version="1.0"?><testsuites><testsuite tests="3">
+            <testcase classname="tests.test_x" name="test_adds"><failure message="AssertionError: x should be 3&#10;assert 2 == 3">def test_adds():
+&gt;       helper(1 + 1)
+
+tests/test_x.py:7:
+E       assert 2 == 3
+
+tests/test_x.py:4: AssertionError</failure></testcase>
+            <testcase classname="tests.test_x" name="test_ok" time="0.000" />
+            <testcase classname="tests.test_x" name="test_skip"><skipped message="later" /></testcase>
+        </testsuite></testsuites>`;
+        assert.deepEqual(parseJUnit(xml, root, { innermost: 'last' }), {
+            passed: 1,
+            failed: 1,
+            skipped: 1,
+            total: 3,
+            failures: [{ name: 'test_adds', suite: 'tests.test_x', file: 'tests/test_x.py', line: 4, message: 'AssertionError: x should be 3\nassert 2 == 3' }]
+        });
+    });
+
+    test('reads Vitest reports, counting errors as failures', () => {
+        const xml = `<testsuites><testsuite name="test/a.test.ts">
+            <testcase classname="test/a.test.ts" name="math &gt; adds"><failure message="expected 2 to be 3" type="AssertionError">
+AssertionError: expected 2 to be 3
+ ❯ test/a.test.ts:3:38
+            </failure></testcase>
+            <testcase classname="test/a.test.ts" name="math &gt; loads"><error><![CDATA[TypeError: x is <undefined>]]></error></testcase>
+        </testsuite></testsuites>`;
+        const results = parseJUnit(xml, root);
+        assert.equal(results.failed, 2);
+        assert.deepEqual(results.failures[0], { name: 'math > adds', suite: 'test/a.test.ts', file: 'test/a.test.ts', line: 3, message: 'expected 2 to be 3' });
+        assert.equal(results.failures[1].message, 'TypeError: x is <undefined>');
+    });
+});
+
+describe('parseJestJson', () => {
+    test('reports failed assertions and test files that did not run', () => {
+        const report = {
+            testResults: [
+                {
+                    name: '/work/app/test/b.test.js',
+                    status: 'failed',
+                    assertionResults: [
+                        {
+                            fullName: 'math adds',
+                            status: 'failed',
+                            location: { line: 2, column: 3 },
+                            failureMessages: ['Error: expect(received).toBe(expected)\n\nExpected: 3\nReceived: 2\n    at Object.<anonymous> (/work/app/test/b.test.js:2:38)']
+                        },
+                        { fullName: 'math ok', status: 'passed', failureMessages: [] },
+                        { fullName: 'math later', status: 'pending', failureMessages: [] }
+                    ]
+                },
+                { name: '/work/app/test/broken.test.js', status: 'failed', message: 'SyntaxError: Unexpected token (4:1)', assertionResults: [] }
+            ]
+        };
+        assert.deepEqual(parseJestJson(report, root), {
+            passed: 1,
+            failed: 2,
+            skipped: 1,
+            total: 4,
+            failures: [
+                { name: 'math adds', file: 'test/b.test.js', line: 2, message: 'Error: expect(received).toBe(expected)\n\nExpected: 3\nReceived: 2' },
+                { name: 'test/broken.test.js', file: 'test/broken.test.js', line: null, message: 'SyntaxError: Unexpected token (4:1)' }
+            ]
+        });
+    });
+});
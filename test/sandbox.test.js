@@ -0,0 +1,144 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { isPathInside, isProtectedPath, resolveSandboxPath } from '../sandbox.js';
+
+const PROTECTED = ['.git/', '.env'];
+const canSymlink = process.platform !== 'win32';
+
+describe('isPathInside', () => {
+    const root = path.resolve('/x/project');
+
+    test('accepts the root and paths below it', () => {
+        assert.equal(isPathInside(root, root), true);
+        assert.equal(isPathInside(root, path.join(root, 'src/index.js')), true);
+        assert.equal(isPathInside(root, path.join(root, '..project/file')), true);
+    });
+
+    test('rejects siblings that share the root as a string prefix', () => {
+        assert.equal(isPathInside(root, path.resolve('/x/project-evil/x')), false);
+        assert.equal(isPathInside(root, path.resolve('/x/projectx')), false);
+    });
+
+    test('rejects parents and unrelated paths', () => {
+        assert.equal(isPathInside(root, path.resolve('/x')), false);
+        assert.equal(isPathInside(root, path.resolve('/etc/passwd')), false);
+    });
+});
+
+describe('isProtectedPath', () => {
+    test('directory entries cover everything inside them, at any depth', () => {
+        assert.equal(isProtectedPath('.git', PROTECTED), true);
+        assert.equal(isProtectedPath('.git/config', PROTECTED), true);
+        assert.equal(isProtectedPath('vendor/lib/.git/HEAD', PROTECTED), true);
+        assert.equal(isProtectedPath('.github/workflows/ci.yml', PROTECTED), false);
+    });
+
+    test('file entries match the exact name only', () => {
+        assert.equal(isProtectedPath('.env', PROTECTED), true);
+        assert.equal(isProtectedPath('api/.env', PROTECTED), true);
+        assert.equal(isProtectedPath('.env.example', PROTECTED), false);
+    });
+
+    test('supports wildcards and paths anchored at the root', () => {
+        assert.equal(isProtectedPath('.env.local', ['.env.*']), true);
+        assert.equal(isProtectedPath('config/prod.json', ['config/prod.json']), true);
+        assert.equal(isProtectedPath('other/config/prod.json', ['config/prod.json']), false);
+        assert.equal(isProtectedPath('secrets/a/b.txt', ['secrets/']), true);
+    });
+});
+
+describe('resolveSandboxPath', () => {
+    let base;
+    let root;
+    let outside;
+
+    before(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-test-')));
+        root = path.join(base, 'project');
+        outside = path.join(base, 'project-evil');
+        await fs.mkdir(path.join(root, 'src'), { recursive: true });
+        await fs.mkdir(path.join(root, '.git'), { recursive: true });
+        await fs.mkdir(outside, { recursive: true });
+        await fs.writeFile(path.join(root, 'src/index.js'), 'export {};\n');
+        await fs.writeFile(path.join(root, '.git/config'), '[core]\n');
+        await fs.writeFile(path.join(outside, 'secret.txt'), 'secret\n');
+        if (canSymlink) {
+            await fs.symlink(outside, path.join(root, 'link-out'));
+            await fs.symlink(path.join(outside, 'secret.txt'), path.join(root, 'secret-link.txt'));
+            await fs.symlink(path.join(outside, 'missing.txt'), path.join(root, 'dangling.txt'));
+            await fs.symlink(path.join(root, 'src'), path.join(root, 'src-link'));
+            await fs.symlink(path.join(root, '.git/config'), path.join(root, 'git-config-link'));
+        }
+    });
+
+    after(async () => {
+        await fs.rm(base, { recursive: true, force: true });
+    });
+
+    test('resolves relative and absolute paths inside the project', async () => {
+        assert.equal(await resolveSandboxPath(root, 'src/index.js'), path.join(root, 'src/index.js'));
+        assert.equal(await resolveSandboxPath(root, './src/../src/index.js'), path.join(root, 'src/index.js'));
+        assert.equal(await resolveSandboxPath(root, path.join(root, 'src/index.js')), path.join(root, 'src/index.js'));
+        assert.equal(await resolveSandboxPath(root, '.'), root);
+    });
+
+    test('allows new files in directories that do not exist yet', async () => {
+        const target = await resolveSandboxPath(root, 'src/new/deeper/file.js', { forWrite: true });
+        assert.equal(target, path.join(root, 'src/new/deeper/file.js'));
+    });
+
+    const traversals = [
+        '../project-evil/x',
+        '../project-evil/secret.txt',
+        '..',
+        '../../etc/passwd',
+        'src/../../project-evil/x',
+        'src/../..',
+        '/etc/passwd'
+    ];
+    for (const userPath of traversals) {
+        test(`rejects traversal: ${userPath}`, async () => {
+            await assert.rejects(resolveSandboxPath(root, userPath), /Security Violation/);
+        });
+    }
+
+    test('rejects paths containing NUL bytes', async () => {
+        await assert.rejects(resolveSandboxPath(root, 'src/index.js\0.txt'), /Security Violation/);
+    });
+
+    test('rejects a symlinked directory that points outside', { skip: !canSymlink }, async () => {
+        await assert.rejects(resolveSandboxPath(root, 'link-out/secret.txt'), /symbolic link/);
+        await assert.rejects(resolveSandboxPath(root, 'link-out/new-file.txt', { forWrite: true }), /symbolic link/);
+    });
+
+    test('rejects a symlinked file that points outside', { skip: !canSymlink }, async () => {
+        await assert.rejects(resolveSandboxPath(root, 'secret-link.txt'), /symbolic link/);
+    });
+
+    test('rejects a dangling symlink, since writing would create its target', { skip: !canSymlink }, async () => {
+        await assert.rejects(resolveSandboxPath(root, 'dangling.txt', { forWrite: true }), /symbolic link/);
+    });
+
+    test('allows symlinks that stay inside the project', { skip: !canSymlink }, async () => {
+        assert.equal(await resolveSandboxPath(root, 'src-link/index.js'), path.join(root, 'src-link/index.js'));
+    });
+
+    test('refuses writes to protected paths but allows reads', async () => {
+        const options = { forWrite: true, protectedPaths: PROTECTED };
+        await assert.rejects(resolveSandboxPath(root, '.git/config', options), /Protected path/);
+        await assert.rejects(resolveSandboxPath(root, '.env', options), /Protected path/);
+        await assert.rejects(resolveSandboxPath(root, 'src/../.git/hooks/pre-commit', options), /Protected path/);
+        assert.equal(await resolveSandboxPath(root, '.git/config', { protectedPaths: PROTECTED }), path.join(root, '.git/config'));
+    });
+
+    test('refuses writes to protected paths reached through a symlink', { skip: !canSymlink }, async () => {
+        await assert.rejects(resolveSandboxPath(root, 'git-config-link', { forWrite: true, protectedPaths: PROTECTED }), /Protected path/);
+    });
+
+    test('refuses to modify the project directory itself', async () => {
+        await assert.rejects(resolveSandboxPath(root, '.', { forWrite: true }), /project directory itself/);
+    });
+});
@@ -0,0 +1,85 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AutonomousDeveloperMCPServer } from '../server.js';
+
+describe('search_code', () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'search-code-test-'));
+        const files = {
+            '.gitignore': 'dist/\n*.log\n',
+            'src/app.js': 'import { load } from "./load.js";\n\nconst config = load();\nconsole.log(config);\n',
+            'src/load.js': 'export function load() {\n    return { Config: true };\n}\n',
+            'src/app.test.js': 'load();\n',
+            'README.md': 'Call load() first.\n',
+            'dist/bundle.js': 'load();\n',
+            'debug.log': 'load failed\n',
+            'node_modules/dep/index.js': 'load();\n'
+        };
+        for (const [name, content] of Object.entries(files)) {
+            await fs.mkdir(path.dirname(path.join(root, name)), { recursive: true });
+            await fs.writeFile(path.join(root, name), content);
+        }
+        await fs.writeFile(path.join(root, 'image.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x6c, 0x6f, 0x61, 0x64]));
+        server = new AutonomousDeveloperMCPServer({
+            workspaces: [{ name: 'default', root, protectedPaths: ['.git/'], commandPolicy: { auditLog: false }, gitPolicy: {} }],
+            defaultWorkspace: 'default'
+        });
+    });
+
+    after(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('groups matches by file, skipping ignored and binary files', async () => {
+        const result = await server.searchCode({ pattern: 'load(' });
+        assert.deepEqual(result.files.map(file => [file.file_path, file.matches.map(match => [match.line, match.column])]), [
+            ['src/app.js', [[3, 16]]],
+            ['src/app.test.js', [[1, 1]]],
+            ['src/load.js', [[1, 17]]],
+            ['README.md', [[1, 6]]]
+        ]);
+        assert.equal(result.total_matches, 4);
+        assert.equal(result.files_with_matches, 4);
+        assert.equal(result.skipped_binary_or_large, 1);
+        assert.equal(result.truncated, false);
+    });
+
+    test('treats the pattern literally unless is_regex is set', async () => {
+        assert.equal((await server.searchCode({ pattern: 'lo.d' })).total_matches, 0);
+        const result = await server.searchCode({ pattern: '\\bcon\\w+', is_regex: true, include: 'src/*.js' });
+        assert.deepEqual(result.files.map(file => [file.file_path, file.matches.map(match => match.text)]), [
+            ['src/app.js', ['const config = load();', 'const config = load();', 'console.log(config);', 'console.log(config);']]
+        ]);
+        await assert.rejects(server.searchCode({ pattern: '(', is_regex: true }), /Invalid regular expression/);
+    });
+
+    test('honours case_sensitive, include, exclude and dir_path', async () => {
+        assert.equal((await server.searchCode({ pattern: 'config', dir_path: 'src' })).total_matches, 2);
+        assert.equal((await server.searchCode({ pattern: 'config', dir_path: 'src', case_sensitive: false })).total_matches, 3);
+        const result = await server.searchCode({ pattern: 'load', include: ['src/**'], exclude: ['**/*.test.js'] });
+        assert.deepEqual(result.files.map(file => file.file_path), ['src/app.js', 'src/load.js']);
+    });
+
+    test('returns context lines around each match', async () => {
+        const [file] = (await server.searchCode({ pattern: 'Config', dir_path: 'src', context_lines: 1 })).files;
+        assert.deepEqual(file.matches, [{
+            line: 2,
+            column: 14,
+            text: '    return { Config: true };',
+            before: ['export function load() {'],
+            after: ['}']
+        }]);
+    });
+
+    test('stops at max_results', async () => {
+        const result = await server.searchCode({ pattern: 'load', max_results: 2 });
+        assert.equal(result.total_matches, 2);
+        assert.equal(result.truncated, true);
+    });
+});
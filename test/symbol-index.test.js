@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSource } from '../languages.js';
+import { extractSymbols, SymbolIndex } from '../symbol-index.js';
+
+const extract = (content, language) => extractSymbols(parseSource(content, language).rootNode, language);
+
+const STORE_JS = [
+    "import { write } from './db.js';",
+    'const LIMIT = 10;',
+    'export class Store {',
+    '    save(item) { return write(item); }',
+    '    load = async () => this.save(null);',
+    '}',
+    'function helper() { const local = LIMIT; return local; }',
+    'export { helper as help };',
+    'export default Store;',
+    ''
+].join('\n');
+
+describe('extractSymbols', () => {
+    test('finds module-level declarations and class members, but not locals', () => {
+        const { definitions } = extract(STORE_JS, 'javascript');
+        assert.deepEqual(definitions.map(d => [d.name, d.kind, d.line, d.exported]), [
+            ['LIMIT', 'variable', 2, false],
+            ['Store', 'class', 3, true],
+            ['Store.save', 'method', 4, false],
+            ['Store.load', 'method', 5, false],
+            ['helper', 'function', 7, true]
+        ]);
+    });
+
+    test('classifies references and skips the declarations themselves', () => {
+        const { references } = extract(STORE_JS, 'javascript');
+        const uses = (name) => references.filter(r => r.name === name).map(r => [r.line, r.kind]);
+        assert.deepEqual(uses('write'), [[1, 'import'], [4, 'call']]);
+        assert.deepEqual(uses('save'), [[5, 'call']]);
+        assert.deepEqual(uses('LIMIT'), [[7, 'reference']]);
+        assert.deepEqual(uses('Store'), [[9, 'reference']]);
+    });
+
+    test('reads ES module, CommonJS and TypeScript exports', () => {
+        assert.deepEqual(extract(STORE_JS, 'javascript').exports.map(e => [e.name, e.local, e.kind]), [
+            ['Store', 'Store', 'class'],
+            ['help', 'helper', 'binding'],
+            ['default', 'Store', 'value']
+        ]);
+        const commonJs = extract('module.exports = { parse, run: start };\nexports.extra = 1;\n', 'javascript');
+        assert.deepEqual(commonJs.exports.map(e => [e.name, e.local]), [['parse', 'parse'], ['run', 'start'], ['extra', null]]);
+        const typed = extract("export interface Options { retries: number }\nexport type Id = string;\nexport * from './more';\n", 'typescript');
+        assert.deepEqual(typed.exports.map(e => [e.name, e.kind, e.source]), [['Options', 'interface', null], ['Id', 'type', null], ['*', 're-export', './more']]);
+    });
+
+    test('exports a const as what find_definition finds it as', () => {
+        const { definitions, exports } = extract('export const h = () => 1, n = 2;\nexport const C = class {};\n', 'javascript');
+        assert.deepEqual(exports.map(e => [e.name, e.kind]), [['h', 'function'], ['n', 'variable'], ['C', 'class']]);
+        assert.deepEqual(definitions.map(d => [d.name, d.kind]), [['h', 'function'], ['n', 'variable'], ['C', 'class']]);
+    });
+
+    test('uses __all__ for Python exports, else the public top-level names', () => {
+        const source = [
+            'from .db import write',
+            'class Store(Base):',
+            '    def save(self, item):',
+            '        return write(item)',
+            'def _helper():',
+            '    Store().save(None)',
+            ''
+        ].join('\n');
+        const { definitions, references, exports } = extract(source, 'python');
+        assert.deepEqual(definitions.map(d => [d.name, d.kind, d.exported]), [['Store', 'class', true], ['Store.save', 'method', false], ['_helper', 'function', false]]);
+        assert.deepEqual(exports.map(e => e.name), ['Store']);
+        assert.deepEqual(references.filter(r => r.name === 'save').map(r => r.kind), ['call']);
+        assert.deepEqual(extract(`${source}__all__ = ['_helper']\n`, 'python').exports.map(e => [e.name, e.kind]), [['_helper', 'function']]);
+    });
+});
+
+describe('SymbolIndex', () => {
+    const index = new SymbolIndex();
+    index.set('src/store.js', { mtimeMs: 1, size: 10 }, extract(STORE_JS, 'javascript'));
+    index.set('src/app.js', { mtimeMs: 2, size: 20 }, extract("import Store from './store.js';\nnew Store().save(1);\n", 'javascript'));
+
+    test('finds definitions by bare or qualified name', () => {
+        assert.deepEqual(index.findDefinitions('save').map(d => [d.file_path, d.name]), [['src/store.js', 'Store.save']]);
+        assert.equal(index.findDefinitions('Store.save').length, 1);
+        assert.equal(index.findDefinitions('Other.save').length, 0);
+        assert.equal(index.findDefinitions('Store', { kind: 'function' }).length, 0);
+    });
+
+    test('finds references across files', () => {
+        assert.deepEqual(index.findReferences('Store.save').map(r => [r.file_path, r.line, r.kind]), [['src/store.js', 5, 'call'], ['src/app.js', 2, 'call']]);
+    });
+
+    test('tracks staleness and removes whole directories', () => {
+        assert.equal(index.isCurrent('src/app.js', { mtimeMs: 2, size: 20 }), true);
+        assert.equal(index.isCurrent('src/app.js', { mtimeMs: 3, size: 20 }), false);
+        assert.deepEqual(index.listExports('src').map(e => `${e.file_path}:${e.name}`), ['src/store.js:Store', 'src/store.js:help', 'src/store.js:default']);
+        index.delete('src');
+        assert.equal(index.files.size, 0);
+    });
+});
@@ -0,0 +1,37 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { unifiedDiff } from '../unified-diff.js';
+
+const numbers = (count) => Array.from({ length: count }, (_, i) => `${i + 1}\n`).join('');
+
+describe('unifiedDiff', () => {
+    test('shows a change with three lines of context', () => {
+        assert.equal(unifiedDiff('a.txt', numbers(10), numbers(10).replace('4\n', 'four\n')), [
+            '--- a/a.txt', '+++ b/a.txt', '@@ -1,7 +1,7 @@', ' 1', ' 2', ' 3', '-4', '+four', ' 5', ' 6', ' 7', ''
+        ].join('\n'));
+    });
+
+    test('splits distant changes into separate hunks', () => {
+        const after = numbers(12).replace(/^1\n/, 'one\n').replace('12\n', 'twelve\n');
+        assert.equal(unifiedDiff('a.txt', numbers(12), after, 1), [
+            '--- a/a.txt', '+++ b/a.txt', '@@ -1,2 +1,2 @@', '-1', '+one', ' 2', '@@ -11,2 +11,2 @@', ' 11', '-12', '+twelve', ''
+        ].join('\n'));
+    });
+
+    test('uses /dev/null for created and deleted files', () => {
+        assert.equal(unifiedDiff('a.txt', null, 'x\n'), '--- /dev/null\n+++ b/a.txt\n@@ -0,0 +1,1 @@\n+x\n');
+        assert.equal(unifiedDiff('a.txt', 'x\n', null), '--- a/a.txt\n+++ /dev/null\n@@ -1,1 +0,0 @@\n-x\n');
+    });
+
+    test('marks a missing final newline and is empty without changes', () => {
+        assert.match(unifiedDiff('a.txt', 'x', 'y'), /^-x\n\\ No newline at end of file\n\+y\n\\ No newline at end of file\n$/m);
+        assert.equal(unifiedDiff('a.txt', 'same', 'same'), '');
+    });
+
+    test('reports binary contents as changed without a text diff', () => {
+        const image = Buffer.from([0x89, 0x50, 0xff, 0x00]);
+        assert.equal(unifiedDiff('logo.png', image, null), 'Binary files a/logo.png and /dev/null differ\n');
+        assert.equal(unifiedDiff('logo.png', null, image), 'Binary files /dev/null and b/logo.png differ\n');
+        assert.equal(unifiedDiff('logo.png', image, Buffer.from(image)), '');
+    });
+});
@@ -0,0 +1,124 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseWorkspaceArgs, parseWorkspaceSpec, loadWorkspaces, checkWorkspaceRoots } from '../workspaces.js';
+
+describe('parseWorkspaceSpec', () => {
+    const base = path.resolve('/srv/mcp');
+
+    test('splits name=path and resolves the path against the base directory', () => {
+        assert.deepEqual(parseWorkspaceSpec('api=../api', base), { name: 'api', root: path.resolve('/srv/api') });
+    });
+
+    test('names a bare path after its last directory', () => {
+        assert.deepEqual(parseWorkspaceSpec('/work/frontend', base), { name: 'frontend', root: path.resolve('/work/frontend') });
+    });
+});
+
+describe('parseWorkspaceArgs', () => {
+    test('reads repeated and inline flags, ignoring unrelated arguments', () => {
+        const options = parseWorkspaceArgs(['--verbose', '--workspace', 'a=/a', '--workspace=b=/b', '--default-workspace=b', '--workspaces-file', 'ws.json']);
+        assert.deepEqual(options, { workspaces: ['a=/a', 'b=/b'], defaultWorkspace: 'b', workspacesFile: 'ws.json' });
+    });
+
+    test('rejects a flag without a value', () => {
+        assert.throws(() => parseWorkspaceArgs(['--workspace']), /Missing value/);
+    });
+});
+
+describe('loadWorkspaces', () => {
+    let base;
+
+    before(async () => {
+        base = await fs.mkdtemp(path.join(os.tmpdir(), 'workspaces-test-'));
+        await fs.writeFile(path.join(base, 'policy.json'), JSON.stringify({ mode: 'allowlist', allow: ['npm'] }));
+        await fs.writeFile(path.join(base, 'workspaces.json'), JSON.stringify({
+            default: 'web',
+            workspaces: {
+                web: 'projects/web',
+                api: { path: '/srv/api', protectedPaths: ['.git/', 'migrations/'], commandPolicyFile: 'policy.json', gitPolicy: { protectedBranches: ['production'] } }
+            }
+        }));
+    });
+
+    after(async () => {
+        await fs.rm(base, { recursive: true, force: true });
+    });
+
+    test('keeps projectDirectory working as the "default" workspace', async () => {
+        const config = await loadWorkspaces({ packageJson: { projectDirectory: 'project' }, baseDir: base, env: {} });
+        assert.equal(config.defaultWorkspace, 'default');
+        assert.deepEqual(config.workspaces, [{ name: 'default', root: path.join(base, 'project'), protectedPaths: ['.git/', '.env'], commandPolicy: {}, gitPolicy: {} }]);
+    });
+
+    test('ignores projectDirectory once workspaces are configured another way', async () => {
+        const packageJson = { projectDirectory: 'project' };
+        const fromArgv = await loadWorkspaces({ packageJson, baseDir: base, env: {}, argv: ['--workspace', 'x=/work/x'] });
+        assert.deepEqual(fromArgv.workspaces.map(workspace => workspace.name), ['x']);
+        assert.equal(fromArgv.defaultWorkspace, 'x');
+        const fromEnv = await loadWorkspaces({ packageJson, baseDir: base, env: { MCP_WORKSPACES: 'y=/work/y' } });
+        assert.deepEqual(fromEnv.workspaces.map(workspace => workspace.name), ['y']);
+        const fromFile = await loadWorkspaces({ packageJson: { ...packageJson, workspacesFile: 'workspaces.json' }, baseDir: base, env: {} });
+        assert.deepEqual(fromFile.workspaces.map(workspace => workspace.name), ['web', 'api']);
+    });
+
+    test('loads a workspaces file with per-workspace policies and its default', async () => {
+        const config = await loadWorkspaces({ packageJson: { workspacesFile: 'workspaces.json' }, baseDir: base, env: {}, commandPolicy: { mode: 'denylist' } });
+        assert.equal(config.defaultWorkspace, 'web');
+        const [web, api] = config.workspaces;
+        assert.equal(web.root, path.join(base, 'projects/web'));
+        assert.deepEqual(web.commandPolicy, { mode: 'denylist' });
+        assert.equal(api.root, path.resolve('/srv/api'));
+        assert.deepEqual(api.protectedPaths, ['.git/', 'migrations/']);
+        assert.deepEqual(api.commandPolicy, { mode: 'allowlist', allow: ['npm'] });
+        assert.deepEqual(api.gitPolicy, { protectedBranches: ['production'] });
+        assert.deepEqual(web.gitPolicy, {});
+    });
+
+    test('lets the environment and then argv add and override workspaces', async () => {
+        const config = await loadWorkspaces({
+            packageJson: { workspacesFile: 'workspaces.json' },
+            baseDir: base,
+            env: { MCP_WORKSPACES: ['api=/elsewhere/api', 'docs=/work/docs'].join(path.delimiter), MCP_WORKSPACE: 'docs' },
+            argv: ['--workspace', 'docs=/override/docs']
+        });
+        assert.equal(config.defaultWorkspace, 'docs');
+        const byName = Object.fromEntries(config.workspaces.map(workspace => [workspace.name, workspace]));
+        assert.equal(byName.api.root, path.resolve('/elsewhere/api'));
+        assert.deepEqual(byName.api.protectedPaths, ['.git/', 'migrations/'], 'a new path keeps the configured policies');
+        assert.equal(byName.docs.root, path.resolve('/override/docs'));
+    });
+
+    test('fails clearly without any workspace or with an unknown default', async () => {
+        await assert.rejects(loadWorkspaces({ packageJson: {}, baseDir: base, env: {} }), /No workspace configured/);
+        await assert.rejects(loadWorkspaces({ packageJson: { projectDirectory: 'p' }, baseDir: base, env: {}, argv: ['--default-workspace', 'x'] }), /Default workspace 'x'/);
+    });
+});
+
+describe('checkWorkspaceRoots', () => {
+    let base;
+
+    before(async () => {
+        base = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-roots-test-'));
+        await fs.writeFile(path.join(base, 'file.txt'), '');
+    });
+
+    after(async () => {
+        await fs.rm(base, { recursive: true, force: true });
+    });
+
+    test('accepts existing directories', async () => {
+        await checkWorkspaceRoots([{ name: 'a', root: base }]);
+    });
+
+    test('reports missing roots and files as configuration errors without creating anything', async () => {
+        const missing = path.join(base, 'missing');
+        await assert.rejects(
+            checkWorkspaceRoots([{ name: 'a', root: base }, { name: 'b', root: missing }, { name: 'c', root: path.join(base, 'file.txt') }]),
+            (error) => /^CRITICAL: Fix the workspace configuration/.test(error.message) && /'b' .* does not exist/.test(error.message) && /'c' .* not a directory/.test(error.message)
+        );
+        await assert.rejects(fs.stat(missing), { code: 'ENOENT' });
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Git-style unified diffs of two versions of a file, as every editing tool reports its changes.
+ */
+
+import { diff_match_patch } from 'diff-match-patch';
+
+const dmp = new diff_match_patch();
+
+/**
+ * The diff from oldContent to newContent, '' when they are equal. `null` content stands for a
+ * file that does not exist; a Buffer for one that is not text, which git only reports as changed.
+ */
+export function unifiedDiff(filePath, oldContent, newContent, contextLines = 3) {
+    if (oldContent === newContent) return '';
+    if (Buffer.isBuffer(oldContent) || Buffer.isBuffer(newContent)) {
+        if (oldContent !== null && newContent !== null && Buffer.from(oldContent).equals(Buffer.from(newContent))) return '';
+        return `Binary files ${oldContent === null ? '/dev/null' : `a/${filePath}`} and ${newContent === null ? '/dev/null' : `b/${filePath}`} differ\n`;
+    }
+    const { chars1, chars2, lineArray } = dmp.diff_linesToChars_(oldContent ?? '', newContent ?? '');
+    const diffs = dmp.diff_main(chars1, chars2, false);
+    dmp.diff_charsToLines_(diffs, lineArray);
+
+    const prefixes = { [0]: ' ', [-1]: '-', [1]: '+' };
+    const entries = [];
+    let oldLine = 0;
+    let newLine = 0;
+    for (const [op, text] of diffs) {
+        for (const line of text.match(/[^\n]*\n|[^\n]+$/g) || []) {
+            entries.push({ prefix: prefixes[op], line, oldBefore: oldLine, newBefore: newLine });
+            if (op <= 0) oldLine++;
+            if (op >= 0) newLine++;
+        }
+    }
+
+    const changed = entries.map((e, i) => (e.prefix === ' ' ? -1 : i)).filter(i => i !== -1);
+    const hunks = [];
+    for (const index of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= contextLines * 2 + 1) {
+            last.end = index;
+        } else {
+            hunks.push({ start: index, end: index });
+        }
+    }
+
+    const output = [
+        oldContent === null ? '--- /dev/null' : `--- a/${filePath}`,
+        newContent === null ? '+++ /dev/null' : `+++ b/${filePath}`
+    ];
+    for (const hunk of hunks) {
+        const slice = entries.slice(Math.max(0, hunk.start - contextLines), Math.min(entries.length, hunk.end + contextLines + 1));
+        const oldCount = slice.filter(e => e.prefix !== '+').length;
+        const newCount = slice.filter(e => e.prefix !== '-').length;
+        const oldStart = slice[0].oldBefore + (oldCount > 0 ? 1 : 0);
+        const newStart = slice[0].newBefore + (newCount > 0 ? 1 : 0);
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const entry of slice) {
+            output.push(entry.prefix + entry.line.replace(/\n$/, ''));
+            if (!entry.line.endsWith('\n')) output.push('\\ No newline at end of file');
+        }
+    }
+    return output.join('\n') + '\n';
+}
@@ -0,0 +1,108 @@
+/**
+ * Workspace configuration for the Autonomous Developer MCP Server.
+ *
+ * A workspace is a named project directory with its own file-tool policies. They can come
+ * from four places, later ones overriding earlier ones with the same name:
+ *   1. "projectDirectory" in package.json, as the workspace "default", unless any of the others names one.
+ *   2. A workspaces file: --workspaces-file, MCP_WORKSPACES_FILE or "workspacesFile" in package.json.
+ *   3. The MCP_WORKSPACES environment variable: "name=path" pairs separated like PATH.
+ *   4. --workspace name=path flags on the command line.
+ * The starting workspace is --default-workspace, MCP_WORKSPACE, the file's "default", or the first one.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Parses "name=path". A bare path is named after its last directory.
+ */
+export function parseWorkspaceSpec(spec, baseDir) {
+    const match = /^([A-Za-z0-9_.-]+)=(.+)$/.exec(spec);
+    const root = path.resolve(baseDir, match ? match[2] : spec);
+    return { name: match ? match[1] : path.basename(root), root };
+}
+
+/**
+ * Reads the workspace options out of an argv array (without the node and script entries).
+ * Both "--flag value" and "--flag=value" are accepted.
+ */
+export function parseWorkspaceArgs(argv) {
+    const options = { workspaces: [], defaultWorkspace: null, workspacesFile: null };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].startsWith('--') && argv[i].includes('=')
+            ? [argv[i].slice(0, argv[i].indexOf('=')), argv[i].slice(argv[i].indexOf('=') + 1)]
+            : [argv[i], undefined];
+        if (!['--workspace', '--default-workspace', '--workspaces-file'].includes(flag)) continue;
+        const value = inlineValue ?? argv[++i];
+        if (!value) throw new Error(`Missing value for ${flag}.`);
+        if (flag === '--workspace') options.workspaces.push(value);
+        else if (flag === '--default-workspace') options.defaultWorkspace = value;
+        else options.workspacesFile = value;
+    }
+    return options;
+}
+
+/**
+ * Builds the workspace list from package.json, the environment and argv. Each entry is
+ * { name, root, protectedPaths, commandPolicy, gitPolicy }; the policies fall back to the
+ * top-level "protectedPaths", command policy and "gitPolicy" when a workspace does not set its own.
+ */
+export async function loadWorkspaces({ packageJson, baseDir, env = process.env, argv = [], commandPolicy = {} }) {
+    const args = parseWorkspaceArgs(argv);
+    const defaults = { protectedPaths: packageJson.protectedPaths || ['.git/', '.env'], commandPolicy, gitPolicy: packageJson.gitPolicy || {} };
+    const workspaces = new Map();
+    const add = (name, root, overrides = {}) => workspaces.set(name, { name, root, ...defaults, ...overrides });
+
+    let fileDefault = null;
+    const workspacesFile = args.workspacesFile || env.MCP_WORKSPACES_FILE || packageJson.workspacesFile;
+    if (workspacesFile) {
+        const filePath = path.resolve(baseDir, workspacesFile);
+        const fileDir = path.dirname(filePath);
+        const config = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        for (const [name, entry] of Object.entries(config.workspaces || {})) {
+            const { path: root, protectedPaths, commandPolicy: policy, commandPolicyFile, gitPolicy } = typeof entry === 'string' ? { path: entry } : entry;
+            if (!root) throw new Error(`Workspace '${name}' in ${workspacesFile} has no "path".`);
+            const overrides = {};
+            if (protectedPaths) overrides.protectedPaths = protectedPaths;
+            if (gitPolicy) overrides.gitPolicy = gitPolicy;
+            if (commandPolicyFile) overrides.commandPolicy = JSON.parse(await fs.readFile(path.resolve(fileDir, commandPolicyFile), 'utf-8'));
+            else if (policy) overrides.commandPolicy = policy;
+            add(name, path.resolve(fileDir, root), overrides);
+        }
+        fileDefault = config.default || null;
+    }
+
+    const envSpecs = (env.MCP_WORKSPACES || '').split(path.delimiter).filter(Boolean);
+    for (const spec of [...envSpecs, ...args.workspaces]) {
+        const { name, root } = parseWorkspaceSpec(spec, baseDir);
+        add(name, root, workspaces.get(name) && { ...workspaces.get(name), root });
+    }
+
+    if (workspaces.size === 0 && packageJson.projectDirectory) {
+        add('default', path.resolve(baseDir, packageJson.projectDirectory));
+    }
+
+    if (workspaces.size === 0) {
+        throw new Error("CRITICAL: No workspace configured. Set 'projectDirectory' in package.json, MCP_WORKSPACES, or pass --workspace name=path.");
+    }
+    const defaultWorkspace = args.defaultWorkspace || env.MCP_WORKSPACE || fileDefault || workspaces.keys().next().value;
+    if (!workspaces.has(defaultWorkspace)) {
+        throw new Error(`CRITICAL: Default workspace '${defaultWorkspace}' is not configured. Known workspaces: ${[...workspaces.keys()].join(', ')}.`);
+    }
+    return { workspaces: [...workspaces.values()], defaultWorkspace };
+}
+
+/**
+ * Fails with a configuration error naming every workspace whose root is not an existing directory.
+ */
+export async function checkWorkspaceRoots(workspaces) {
+    const problems = [];
+    for (const { name, root } of workspaces) {
+        const stats = await fs.stat(root).catch(() => null);
+        if (!stats) problems.push(`'${name}' points to ${root}, which does not exist.`);
+        else if (!stats.isDirectory()) problems.push(`'${name}' points to ${root}, which is not a directory.`);
+    }
+    if (problems.length > 0) {
+        throw new Error(`CRITICAL: Fix the workspace configuration: ${problems.join(' ')}`);
+    }
+}